@@ -13,52 +13,856 @@
 
 const bodyParser = require("body-parser"),
   config = require("config"),
-  crypto = require("crypto"),
   express = require("express"),
-  https = require("https"),
-  request = require("request"),
-  fetch = require("node-fetch");
+  path = require("path"),
+  fetch = require("node-fetch"),
+  { createIntentRouter } = require("./lib/intentRouter"),
+  fixtureModule = require("./lib/fixtures"),
+  { createFeed, createLiveScores } = require("./lib/liveScores"),
+  { createGlossary } = require("./lib/glossary"),
+  { createJokes, renderJoke } = require("./lib/jokes"),
+  playerModule = require("./lib/players"),
+  { createTermOfTheDay } = require("./lib/termOfTheDay"),
+  { createWebhookGuard } = require("./lib/webhookSignature"),
+  { createEventQueue, eventId } = require("./lib/eventQueue"),
+  accountLinkingModule = require("./lib/accountLinking"),
+  { createFileUserStore } = require("./lib/users"),
+  { createLogger } = require("./lib/logger"),
+  { createSubscriptions } = require("./lib/subscriptions"),
+  {
+    createPayloadRouter,
+    decodePayload,
+    encodePayload
+  } = require("./lib/payloadRouter"),
+  { createReplyDispatcher, reply } = require("./lib/reply"),
+  { createCurationClient } = require("./lib/curation"),
+  {
+    ConfigError,
+    SERVER_URL_PLACEHOLDER,
+    loadConfig
+  } = require("./lib/configSchema"),
+  { createDevConsole, newUserId } = require("./lib/devConsole"),
+  contentModule = require("./lib/content"),
+  { createAdminRouter } = require("./lib/admin"),
+  { createAnalytics } = require("./lib/analytics"),
+  { createDigest } = require("./lib/digest"),
+  { MAX_PAGE_SIZE, renderCarousel } = require("./lib/articles"),
+  { createSendClient } = require("./lib/sendClient"),
+  { PAYLOADS, buildProfile, setupProfile } = require("./lib/messengerProfile"),
+  { createPageRegistry } = require("./lib/pages"),
+  { createPreferences, mergeArticles } = require("./lib/preferences"),
+  { createSessionStore } = require("./lib/sessionStore"),
+  { createStore } = require("./lib/stores"),
+  { joinNames } = require("./lib/text");
 
-  const {promisify} = require('util')
-  const fs = require('fs')
-  const readFileAsync = promisify(fs.readFile)
 
 var app = express();
 app.set("port", process.env.PORT || 5000);
 app.set("view engine", "ejs");
-app.use(bodyParser.json({ verify: verifyRequestSignature }));
 app.use(express.static("public"));
 
 /*
  * Be sure to setup your config values before running this code. You can
  * set them using environment variables or modifying the config file in /config.
+ * The whole config is checked here, and the server won't start until every
+ * missing or invalid key it names is fixed.
  *
  */
+let SETTINGS;
+
+try {
+  SETTINGS = loadConfig(config, process.env);
+} catch (error) {
+  if (!(error instanceof ConfigError)) {
+    throw error;
+  }
+
+  // Logging isn't set up yet, and this is for whoever is starting the server
+  console.error(error.message);
+  process.exit(1);
+}
 
 // App Secret can be retrieved from the App Dashboard
-const APP_SECRET = process.env.MESSENGER_APP_SECRET
-  ? process.env.MESSENGER_APP_SECRET
-  : config.get("appSecret");
+const APP_SECRET = SETTINGS.appSecret;
 
 // Arbitrary value used to validate a webhook
-const VALIDATION_TOKEN = process.env.MESSENGER_VALIDATION_TOKEN
-  ? process.env.MESSENGER_VALIDATION_TOKEN
-  : config.get("validationToken");
-
-// Generate a page access token for your page from the App Dashboard
-const PAGE_ACCESS_TOKEN = process.env.MESSENGER_PAGE_ACCESS_TOKEN
-  ? process.env.MESSENGER_PAGE_ACCESS_TOKEN
-  : config.get("pageAccessToken");
+const VALIDATION_TOKEN = SETTINGS.validationToken;
 
 // URL where the app is running (include protocol). Used to point to scripts and
 // assets located at this address.
-const SERVER_URL = process.env.SERVER_URL
-  ? process.env.SERVER_URL
-  : config.get("serverURL");
+const SERVER_URL = SETTINGS.serverURL;
 
-if (!(APP_SECRET && VALIDATION_TOKEN && PAGE_ACCESS_TOKEN && SERVER_URL)) {
-  console.error("Missing config values");
-  process.exit(1);
+// Everything is logged as JSON lines at or above this level ("debug", "info",
+// "warn" or "error"), with PSIDs masked using the app secret and tokens
+// removed. Set LOG_LEVEL=debug to trace each webhook event through its
+// fetches and Send API calls.
+const LOGGING_CONFIG = optionalConfig("logging", {});
+
+const logger = createLogger({
+  level: process.env.LOG_LEVEL || LOGGING_CONFIG.level || "info",
+  salt: APP_SECRET
+});
+
+/*
+ * Verify that webhook callbacks came from Facebook. Using the App Secret from
+ * the App Dashboard, we check the signature sent with each callback in the
+ * x-hub-signature-256 (or x-hub-signature) header. Messages delivered twice
+ * are only handled once by the event queue.
+ *
+ * https://developers.facebook.com/docs/graph-api/webhooks#setup
+ *
+ * Unsigned callbacks are only accepted outside production, unless
+ * MESSENGER_REQUIRE_SIGNATURE or the "webhook.requireSignature" config value
+ * says otherwise.
+ *
+ */
+const WEBHOOK_CONFIG = optionalConfig("webhook", {});
+
+const webhookGuard = createWebhookGuard({
+  appSecret: APP_SECRET,
+  requireSignature: process.env.MESSENGER_REQUIRE_SIGNATURE ?
+    process.env.MESSENGER_REQUIRE_SIGNATURE === "true" :
+    WEBHOOK_CONFIG.requireSignature,
+  log: logger
+});
+
+// Graph API base URL and version. Point the URL at a local stub to test
+// without Facebook.
+const GRAPH_API_URL = process.env.GRAPH_API_URL ?
+  process.env.GRAPH_API_URL :
+  optionalConfig("graphApiUrl", "https://graph.facebook.com");
+
+const GRAPH_API_VERSION = process.env.GRAPH_API_VERSION ?
+  process.env.GRAPH_API_VERSION :
+  optionalConfig("graphApiVersion", "v2.6");
+
+const GRAPH_API = `${GRAPH_API_URL}/${GRAPH_API_VERSION}`;
+
+// Register the Get Started button, greeting and persistent menu when the
+// server starts. They can also be set up with `npm run setup-profile`.
+const SETUP_PROFILE_ON_START = process.env.MESSENGER_SETUP_PROFILE ?
+  process.env.MESSENGER_SETUP_PROFILE === "true" :
+  optionalConfig("setupProfileOnStart", false);
+
+// JSON file listing the topics offered in the "latest" menu. Edits to this
+// file are picked up without restarting the server.
+const TOPICS_FILE = process.env.TOPICS_FILE ?
+  process.env.TOPICS_FILE :
+  optionalConfig("topicsFile", `${__dirname}/data/topics.json`);
+
+/*
+ * The pages the bot answers for. Without a "pages" list that's the one page
+ * of "pageAccessToken". Otherwise each page is
+ * { "id": "...", "accessToken": "...", "name": "The West",
+ *   "topicsFile": "data/topics.json", "greetingText": "...",
+ *   "sponsor": "..." }
+ * with its own token, topics and branding; what it leaves out comes from the
+ * top-level config. The page each user talks to is kept in the "pageUsers"
+ * store, in storage/page-users.json unless it says otherwise, so messages
+ * sent later still go out from the right page after a restart.
+ *
+ */
+const pages = createPageRegistry({
+  pages: SETTINGS.pages.map(page => {
+    if (!page.topicsFile) {
+      return page;
+    }
+
+    return Object.assign({}, page, {
+      topicsFile: path.resolve(__dirname, page.topicsFile)
+    });
+  }),
+  defaults: {
+    name: "The West",
+    topicsFile: TOPICS_FILE,
+    greetingText: optionalConfig("greetingText", undefined)
+  },
+  store: createStore(
+    storeOptions(
+      Object.assign(
+        { backend: "file", file: "storage/page-users.json" },
+        optionalConfig("pageUsers", {})
+      )
+    )
+  )
+});
+
+// Retries, backoff (ms) and the global rate limit for the Send API, e.g.
+// { "retries": 3, "backoff": 500, "messagesPerSecond": 20 }
+const sendClient = createSendClient(
+  Object.assign({}, optionalConfig("sendApi", {}), {
+    graphApiUrl: GRAPH_API,
+    accessToken: pages.get(null).accessToken,
+    log: logger
+  })
+);
+
+// JSON file of cricket jargon and its definitions, also hot reloaded
+const GLOSSARY_FILE = process.env.GLOSSARY_FILE ?
+  process.env.GLOSSARY_FILE :
+  optionalConfig("glossaryFile", `${__dirname}/data/explainers.json`);
+
+const glossary = createGlossary({ file: GLOSSARY_FILE });
+
+// Curation API settings, e.g. { "baseUrl": "...", "timeout": 5000,
+// "ttl": 60000, "topicTtl": { "sport/cricket": 30000 }, "fallbackImage": "..." }
+const CURATION_CONFIG = optionalConfig("curation", {});
+
+const curation = createCurationClient(
+  Object.assign({}, CURATION_CONFIG, { log: logger })
+);
+
+// Jokes and the sponsor footer under them, e.g.
+// { "file": "data/jokes.json", "backend": "file",
+//   "storeFile": "storage/jokes.json",
+//   "sponsor": { "footer": "...", "from": "2018-11-01", "until": "2019-02-01" } }
+// Which jokes each user has heard is kept in the given store backend. Set
+// "sponsor" to false (or leave it out) for no footer.
+const JOKES_CONFIG = optionalConfig("jokes", {});
+
+const JOKES_FILE = path.resolve(
+  __dirname,
+  JOKES_CONFIG.file || "data/jokes.json"
+);
+
+const jokes = createJokes({
+  file: JOKES_FILE,
+  store: createStore(
+    storeOptions({
+      backend: JOKES_CONFIG.backend,
+      file: JOKES_CONFIG.storeFile
+    })
+  ),
+  sponsor: JOKES_CONFIG.sponsor
+});
+
+// JSON file of player profiles for "who is ..." questions, hot reloaded like
+// the topics
+const PLAYERS_FILE = process.env.PLAYERS_FILE ?
+  process.env.PLAYERS_FILE :
+  optionalConfig("playersFile", `${__dirname}/data/players.json`);
+
+const players = playerModule.createPlayerDirectory({ file: PLAYERS_FILE });
+
+// Where fixtures come from, e.g. { "source": "file", "file": "data/fixtures.json" }
+// or { "source": "http", "url": "..." }, and how many to show at a time
+const FIXTURES_CONFIG = optionalConfig("fixtures", {});
+
+const FIXTURES_FILE = path.resolve(
+  __dirname,
+  FIXTURES_CONFIG.file || "data/fixtures.json"
+);
+
+const fixtures = fixtureModule.createFixtures({
+  source: fixtureModule.createSource({
+    source: FIXTURES_CONFIG.source,
+    file: FIXTURES_FILE,
+    url: FIXTURES_CONFIG.url
+  })
+});
+
+const FIXTURES_LIMIT = FIXTURES_CONFIG.limit || 3;
+
+// Timezone used for match times when the user's own can't be looked up,
+// as an offset from UTC in hours. Defaults to Perth.
+const DEFAULT_TIMEZONE = optionalConfig("defaultTimezone", 8);
+
+// Who follows which teams and matches for live score updates. Same options
+// as "sessions" below.
+const subscriptions = createSubscriptions({
+  store: createStore(storeOptions(optionalConfig("subscriptions", {})))
+});
+
+// Subscribers to the daily glossary term and when it's sent, e.g.
+// { "backend": "file", "file": "storage/term-of-the-day.json", "hour": 9 }.
+// The hour is in the default timezone unless "utcOffset" is given.
+// Subscribers are kept in that file unless another store is configured.
+const TERM_OF_THE_DAY_CONFIG = Object.assign(
+  { backend: "file", file: "storage/term-of-the-day.json" },
+  optionalConfig("termOfTheDay", {})
+);
+
+const termOfTheDay = createTermOfTheDay({
+  glossary,
+  store: createStore(storeOptions(TERM_OF_THE_DAY_CONFIG)),
+  send: sendTermOfTheDay,
+  hour: TERM_OF_THE_DAY_CONFIG.hour,
+  utcOffset:
+    TERM_OF_THE_DAY_CONFIG.utcOffset === undefined ?
+      DEFAULT_TIMEZONE :
+      TERM_OF_THE_DAY_CONFIG.utcOffset,
+  retryDelay: TERM_OF_THE_DAY_CONFIG.retryDelay,
+  log: logger
+});
+
+// Live score updates are pushed when a score feed is configured, e.g.
+// { "feed": { "source": "file", "file": "data/scores.json" },
+//   "interval": 30000, "throttle": 60000 }
+const LIVE_SCORES_CONFIG = optionalConfig("liveScores", null);
+
+const liveScores = LIVE_SCORES_CONFIG ?
+  createLiveScores({
+    feed: createFeed(storeOptions(LIVE_SCORES_CONFIG.feed)),
+    subscriptions,
+    send: sendLiveScoreUpdate,
+    interval: LIVE_SCORES_CONFIG.interval,
+    throttle: LIVE_SCORES_CONFIG.throttle,
+    log: logger
+  }) :
+  null;
+
+// Where conversation state is kept, e.g.
+// { "backend": "file", "file": "storage/sessions.json", "ttl": 1800000 }.
+// Defaults to an in-memory store.
+const SESSION_CONFIG = optionalConfig("sessions", {});
+
+const sessions = createSessionStore({
+  store: createStore(storeOptions(SESSION_CONFIG)),
+  ttl: SESSION_CONFIG.ttl
+});
+
+setInterval(
+  () =>
+    sessions
+      .prune()
+      .catch(error => logger.error("Couldn't prune sessions", { error })),
+  10 * 60 * 1000
+).unref();
+
+// Webhook events are queued and handled by workers, e.g.
+// { "file": "storage/queue.json",
+//   "deadLetterFile": "storage/dead-letters.json",
+//   "processedFile": "storage/processed.json",
+//   "concurrency": 2, "retries": 5, "backoff": 1000 }
+// The queue, dead letters and processed ids are kept in files (those above
+// by default) so events acknowledged but not yet handled survive a restart
+// and aren't handled twice. "backend": "memory" keeps them in memory
+// instead, which is only fit for tests.
+const EVENT_QUEUE_CONFIG = Object.assign(
+  {
+    backend: "file",
+    file: "storage/queue.json",
+    deadLetterFile: "storage/dead-letters.json",
+    processedFile: "storage/processed.json"
+  },
+  optionalConfig("eventQueue", {})
+);
+
+const eventQueue = createEventQueue({
+  jobs: queueStore(EVENT_QUEUE_CONFIG.file),
+  deadLetters: queueStore(EVENT_QUEUE_CONFIG.deadLetterFile),
+  processed: queueStore(EVENT_QUEUE_CONFIG.processedFile),
+  // Everything logged while handling an event carries its id
+  handler: (event, id) =>
+    handleMessagingEvent(event, logger.child({ correlationId: id })),
+  concurrency: EVENT_QUEUE_CONFIG.concurrency,
+  retries: EVENT_QUEUE_CONFIG.retries,
+  backoff: EVENT_QUEUE_CONFIG.backoff,
+  timeout: EVENT_QUEUE_CONFIG.timeout,
+  log: logger
+});
+
+// The developer chat console (public/console.html) feeds what's typed into
+// it through the same handlers as the webhook and keeps the replies instead
+// of sending them, e.g. { "enabled": true, "limit": 100, "users": 50 }. Its
+// routes have no login, so it's off unless DEV_CONSOLE=true or
+// "devConsole.enabled" turns it on.
+const DEV_CONSOLE_CONFIG = Object.assign(
+  { enabled: false },
+  optionalConfig("devConsole", {})
+);
+
+if (process.env.DEV_CONSOLE) {
+  DEV_CONSOLE_CONFIG.enabled = process.env.DEV_CONSOLE === "true";
+}
+
+const devConsole = createDevConsole({
+  handler: event =>
+    handleMessagingEvent(
+      event,
+      logger.child({ correlationId: eventId(event), devConsole: true })
+    ),
+  limit: DEV_CONSOLE_CONFIG.limit,
+  users: DEV_CONSOLE_CONFIG.users
+});
+
+// Account linking: who can log in and where links are kept, e.g.
+// { "usersFile": "storage/users.json", "backend": "file",
+//   "linksFile": "storage/account-links.json",
+//   "codesFile": "storage/auth-codes.json", "codeTtl": 600000 }
+// See data/users.example.json for the users file format. Links and codes
+// are kept in those files unless another store is configured, so users stay
+// linked across restarts.
+const ACCOUNT_LINKING_CONFIG = Object.assign(
+  {
+    backend: "file",
+    linksFile: "storage/account-links.json",
+    codesFile: "storage/auth-codes.json"
+  },
+  optionalConfig("accountLinking", {})
+);
+
+const accountLinking = accountLinkingModule.createAccountLinking({
+  users: createFileUserStore({
+    file: path.resolve(
+      __dirname,
+      ACCOUNT_LINKING_CONFIG.usersFile || "storage/users.json"
+    ),
+    log: logger
+  }),
+  links: createStore(
+    storeOptions({
+      backend: ACCOUNT_LINKING_CONFIG.backend,
+      file: ACCOUNT_LINKING_CONFIG.linksFile
+    })
+  ),
+  codes: createStore(
+    storeOptions({
+      backend: ACCOUNT_LINKING_CONFIG.backend,
+      file: ACCOUNT_LINKING_CONFIG.codesFile
+    })
+  ),
+  codeTtl: ACCOUNT_LINKING_CONFIG.codeTtl
+});
+
+setInterval(
+  () =>
+    accountLinking
+      .pruneCodes()
+      .catch(error =>
+        logger.error("Couldn't prune authorization codes", { error })
+      ),
+  60 * 60 * 1000
+).unref();
+
+// Users' favourite topics, which "latest" brings straight up
+const PREFERENCES_CONFIG = optionalConfig("preferences", {});
+
+const preferences = createPreferences({
+  store: createStore(storeOptions(PREFERENCES_CONFIG))
+});
+
+// How many stories a carousel of the user's favourites shows
+const FAVOURITES_LIMIT = PREFERENCES_CONFIG.limit || 10;
+
+// The daily digest of top stories from each subscriber's favourite topics,
+// e.g. { "backend": "file", "file": "storage/digest.json", "hour": 7 }. Set
+// `messageTag` to send digests to users who haven't messaged the page in the
+// last 24 hours, and `dryRun` (or DIGEST_DRY_RUN=true) to log the planned
+// sends to `dryRunLog` instead of sending them. Subscribers are kept in that
+// file unless another store is configured.
+const DIGEST_CONFIG = Object.assign(
+  { backend: "file", file: "storage/digest.json" },
+  optionalConfig("digest", {})
+);
+
+const digest = createDigest({
+  store: createStore(storeOptions(DIGEST_CONFIG)),
+  stories: digestStories,
+  send: sendDigest,
+  hour: DIGEST_CONFIG.hour,
+  utcOffset: DEFAULT_TIMEZONE,
+  messageTag: DIGEST_CONFIG.messageTag,
+  retryDelay: DIGEST_CONFIG.retryDelay,
+  dryRun: process.env.DIGEST_DRY_RUN ?
+    process.env.DIGEST_DRY_RUN === "true" :
+    DIGEST_CONFIG.dryRun,
+  dryRunLog: path.resolve(
+    __dirname,
+    DIGEST_CONFIG.dryRunLog || "storage/digest-dry-run.log"
+  ),
+  log: logger
+});
+
+// The delivery times offered when subscribing to the digest
+const DIGEST_HOURS = [6, 7, 8, 12, 17, 20];
+
+// What users ask for, how many of the bot's messages are delivered and read
+// and which topics' stories get clicked, counted per day in a store like
+// { "backend": "file", "file": "storage/analytics.json" } and reported at
+// /admin/api/report. Article links go through /read to count clicks, unless
+// the server URL hasn't been set yet.
+const ANALYTICS_CONFIG = optionalConfig("analytics", {});
+
+let articleLinkBase = `${SERVER_URL}/read`;
+
+if (SERVER_URL === SERVER_URL_PLACEHOLDER) {
+  articleLinkBase = null;
+}
+
+const analytics = createAnalytics({
+  store: createStore(storeOptions(ANALYTICS_CONFIG)),
+  salt: APP_SECRET,
+  linkBase: articleLinkBase,
+  sentTtl: ANALYTICS_CONFIG.sentTtl
+});
+
+// Reply sent when a message doesn't match any intent
+const FALLBACK_REPLY = process.env.MESSENGER_FALLBACK_REPLY ?
+  process.env.MESSENGER_FALLBACK_REPLY :
+  optionalConfig(
+    "fallbackReply",
+    "Sorry, I didn't catch that. Try \"latest\", \"next match\", " +
+        "\"what is a yorker\" or \"tell me a joke\"."
+  );
+
+// Payload of the "More stories" button at the end of a carousel
+const MORE_STORIES_PAYLOAD = "MORE_STORIES";
+
+// Payloads for a player's profile card (used when choosing between players
+// with the same name) and the "Latest articles" button on it
+const PLAYER_PAYLOAD = "PLAYER";
+const PLAYER_LATEST_PAYLOAD = "PLAYER_LATEST";
+
+// Payload of the "did you mean" quick replies for glossary terms
+const EXPLAIN_PAYLOAD = "EXPLAIN";
+
+// Payloads for browsing the glossary: a page of the A-Z index, a page of the
+// terms under one letter, a random term and the term of the day opt in/out
+const GLOSSARY_INDEX_PAYLOAD = "GLOSSARY_INDEX";
+const GLOSSARY_LETTER_PAYLOAD = "GLOSSARY";
+const RANDOM_TERM_PAYLOAD = "RANDOM_TERM";
+const TERM_OF_THE_DAY_PAYLOAD = "TERM_OF_THE_DAY";
+
+// Payloads for editing favourite topics: the list of favourites, adding or
+// removing one, clearing them and finishing, and the full topic menu shown
+// instead of the favourites
+const FAVOURITES_PAYLOAD = "FAVOURITES";
+const FAVOURITE_TOGGLE_PAYLOAD = "FAVOURITE_TOGGLE";
+const FAVOURITES_CLEAR_PAYLOAD = "FAVOURITES_CLEAR";
+const FAVOURITES_DONE_PAYLOAD = "FAVOURITES_DONE";
+const ALL_TOPICS_PAYLOAD = "ALL_TOPICS";
+
+// Payloads for the daily digest: its settings, subscribing at an hour and
+// unsubscribing
+const DIGEST_PAYLOAD = "DIGEST";
+const DIGEST_HOUR_PAYLOAD = "DIGEST_HOUR";
+const DIGEST_STOP_PAYLOAD = "DIGEST_STOP";
+
+// How many letters and terms fit in one set of quick replies, leaving room
+// for a "More" button
+const GLOSSARY_PAGE_SIZE = 12;
+
+/*
+ * Intents
+ *
+ * Each text message is matched against these intents and only the matching
+ * intent with the highest priority is handled. Anything else gets the
+ * fallback reply.
+ *
+ */
+const intents = createIntentRouter({
+  fallback: () => reply().text(FALLBACK_REPLY)
+});
+
+intents.register({
+  name: "joke",
+  priority: 50,
+  pattern: [/^tell me (?:a|an|another) (?:(.+) )?joke$/, /^(?:another )?joke$/],
+  handler: (context, match) => jokeReply(context.senderID, match[1])
+});
+
+intents.register({
+  name: "followUp",
+  priority: 45,
+  match: (text, context) =>
+    context.session.lastEntity &&
+    /^(tell me more|more|(his|her|their) latest|latest on (him|her|them))$/.exec(text),
+  handler: context =>
+    entityReply(context.senderID, context.session.lastEntity, context.log)
+});
+
+intents.register({
+  name: "player",
+  priority: 40,
+  pattern: [/^tell me more about (.*)/, /^tell me about (.*)/, /^who is (.*)/],
+  handler: (context, match) =>
+    playerReply(match[1], context.session, context.log)
+});
+
+intents.register({
+  name: "explainer",
+  priority: 40,
+  pattern: [
+    /^what(?: is|s) an? (.+)/,
+    /^what(?: is|s) (?!the latest|the next|next)(.+)/,
+    /^what does (.+) mean/,
+    /^define (.+)/
+  ],
+  handler: (context, match) => explainerReply(match[1])
+});
+
+intents.register({
+  name: "glossary",
+  priority: 40,
+  pattern: /^(?:glossary|jargon)(?: ([a-z]))?$/,
+  handler: (context, match) =>
+    match[1] ? glossaryLetterReply(match[1], 1) : glossaryIndexReply(1)
+});
+
+intents.register({
+  name: "randomTerm",
+  priority: 40,
+  pattern: /^(?:random|another) (?:term|word)$/,
+  handler: context => randomTermReply(context.session)
+});
+
+intents.register({
+  name: "termOfTheDay",
+  priority: 40,
+  pattern: /^(?:the )?(?:term|word) of the day$/,
+  handler: context => termOfTheDayReply(context.senderID)
+});
+
+intents.register({
+  name: "stopTermOfTheDay",
+  priority: 45,
+  pattern: /^(?:stop|unsubscribe(?: from)?|cancel) (?:the )?(?:term|word) of the day$/,
+  handler: context => termOfTheDaySubscriptionReply(context.senderID, false)
+});
+
+intents.register({
+  name: "account",
+  priority: 40,
+  pattern: /^(?:my account|account|link my account|unlink my account)$/,
+  handler: context => accountReply(context.senderID)
+});
+
+intents.register({
+  name: "setFavourites",
+  priority: 40,
+  pattern: [
+    /^i (?:follow|like|support|barrack for|go for) (.+)$/,
+    /^my (?:favourite )?(?:teams|topics|favourites) (?:are|is) (.+)$/
+  ],
+  handler: (context, match) => setFavouritesReply(context.senderID, match[1])
+});
+
+intents.register({
+  name: "editFavourites",
+  priority: 45,
+  pattern: [
+    /^(?:change|edit|update) my (?:favourite )?(?:teams|topics|favourites)$/,
+    /^my (?:favourite )?(?:teams|topics|favourites)$/
+  ],
+  handler: context => favouritesReply(context.senderID)
+});
+
+intents.register({
+  name: "digest",
+  priority: 40,
+  pattern: /^(?:subscribe|(?:my )?(?:daily |morning )?digest|subscribe (?:me )?to (?:the )?(?:daily |morning )?digest)$/,
+  handler: context => digestReply(context.senderID)
+});
+
+intents.register({
+  name: "digestTime",
+  priority: 45,
+  pattern: /^(?:subscribe|(?:send (?:me )?)?(?:my |the )?(?:daily |morning )?digest) at (\d{1,2})(?:00)? ?(am|pm)?$/,
+  handler: (context, match) =>
+    digestSubscribeReply(
+      context.senderID,
+      parseHour(match[1], match[2]),
+      context.session,
+      context.log
+    )
+});
+
+intents.register({
+  name: "stopDigest",
+  priority: 45,
+  pattern: /^(?:unsubscribe(?: from (?:the )?(?:daily |morning )?digest)?|(?:stop|cancel) (?:my |the )?(?:daily |morning )?digest)$/,
+  handler: context => digestUnsubscribeReply(context.senderID)
+});
+
+intents.register({
+  name: "search",
+  priority: 30,
+  pattern: /^(?:search(?: for)?|(?:news|stories|articles) (?:about|on)) (.+)$/,
+  handler: (context, match) =>
+    storiesReply("search", match[1], 1, 5, match[1], context.log)
+});
+
+intents.register({
+  name: "unfollow",
+  priority: 35,
+  pattern: /^(?:unfollow|stop following)(?: (?:the )?(.+))?$/,
+  handler: (context, match) => unfollowReply(context.senderID, match[1])
+});
+
+intents.register({
+  name: "follow",
+  priority: 30,
+  pattern: /^follow (?:the )?(.+)$/,
+  handler: (context, match) => followTeamReply(context.senderID, match[1])
+});
+
+intents.register({
+  name: "nextMatch",
+  priority: 20,
+  pattern: /next (?:(.+) )?(?:match|game)(?:es)?(?: for (.+))?/,
+  handler: (context, match) =>
+    nextMatchReply(
+      context.senderID,
+      (match[1] || match[2] || "").replace(/^the /, ""),
+      context.session,
+      context.log
+    )
+});
+
+intents.register({
+  name: "latest",
+  priority: 10,
+  pattern: /latest/,
+  handler: context => latestReply(context.senderID, context.log)
+});
+
+/*
+ * Payloads
+ *
+ * Quick replies and postbacks are dispatched by payload. Payloads without a
+ * handler are looked up in the topic registry.
+ *
+ */
+const payloads = createPayloadRouter({
+  fallback: async context => {
+    const topics = await topicsFor(context.senderID);
+    const topic = await topics.find(context.payload);
+
+    if (!topic) {
+      context.log.warn("No handler for payload", {
+        payload: decodePayload(context.payload).name
+      });
+      return reply().text("Sorry, that option isn't available any more.");
+    }
+
+    context.session.lastEntity = { type: "topic", payload: topic.payload };
+    return topicReply(topic, context.log);
+  }
+});
+
+payloads.register(PAYLOADS.GET_STARTED, context =>
+  pages.pageFor(context.senderID).then(hiReply)
+);
+payloads.register(PAYLOADS.LATEST, context =>
+  latestReply(context.senderID, context.log)
+);
+payloads.register(ALL_TOPICS_PAYLOAD, context =>
+  latestMenuReply(context.senderID)
+);
+payloads.register(FAVOURITES_PAYLOAD, context =>
+  favouritesReply(context.senderID)
+);
+payloads.register(FAVOURITE_TOGGLE_PAYLOAD, (context, args) =>
+  toggleFavouriteReply(context.senderID, args[0])
+);
+payloads.register(FAVOURITES_CLEAR_PAYLOAD, context =>
+  clearFavouritesReply(context.senderID)
+);
+payloads.register(FAVOURITES_DONE_PAYLOAD, context =>
+  favouritesDoneReply(context.senderID)
+);
+payloads.register(DIGEST_PAYLOAD, context => digestReply(context.senderID));
+payloads.register(DIGEST_HOUR_PAYLOAD, (context, args) =>
+  digestSubscribeReply(
+    context.senderID,
+    Number(args[0]),
+    context.session,
+    context.log
+  )
+);
+payloads.register(DIGEST_STOP_PAYLOAD, context =>
+  digestUnsubscribeReply(context.senderID)
+);
+payloads.register(PAYLOADS.NEXT_MATCH, context =>
+  nextMatchReply(context.senderID, null, context.session, context.log)
+);
+payloads.register(PAYLOADS.JARGON, () =>
+  glossaryIndexMessage(1).then(message =>
+    reply()
+      .text(
+        "Ask me about any bit of cricket jargon, like \"what is a yorker\" " +
+          "or \"what does LBW mean\", or browse the glossary."
+      )
+      .message(message)
+  )
+);
+payloads.register(PAYLOADS.JOKE, (context, args) =>
+  jokeReply(context.senderID, args[0])
+);
+payloads.register(PLAYER_PAYLOAD, (context, args) =>
+  profileReply(args[0], context.session)
+);
+payloads.register(PLAYER_LATEST_PAYLOAD, (context, args) =>
+  playerLatestReply(args[0], context.log)
+);
+payloads.register(EXPLAIN_PAYLOAD, (context, args) => termReply(args[0]));
+payloads.register(GLOSSARY_INDEX_PAYLOAD, (context, args) =>
+  glossaryIndexReply(Number(args[0]) || 1)
+);
+payloads.register(GLOSSARY_LETTER_PAYLOAD, (context, args) =>
+  glossaryLetterReply(args[0], Number(args[1]) || 1)
+);
+payloads.register(RANDOM_TERM_PAYLOAD, context =>
+  randomTermReply(context.session)
+);
+payloads.register(TERM_OF_THE_DAY_PAYLOAD, (context, args) =>
+  termOfTheDaySubscriptionReply(context.senderID, args[0] === "subscribe")
+);
+payloads.register(fixtureModule.NOTIFY_PAYLOAD, (context, args) =>
+  followMatchReply(context.senderID, args[0])
+);
+payloads.register("UNFOLLOW", (context, args) =>
+  unfollowReply(context.senderID, args[0])
+);
+payloads.register(MORE_STORIES_PAYLOAD, (context, args) =>
+  moreStoriesReply(
+    context.senderID,
+    args[0],
+    args[1],
+    args[2],
+    args[3],
+    context.log
+  )
+);
+
+/*
+ * Replies
+ *
+ * Handlers return a reply (or a promise of one) and the dispatcher sends it,
+ * in order and with a typing indicator while the handler is working.
+ *
+ */
+const replies = createReplyDispatcher({
+  send: callSendAPI,
+  log: logger,
+  onError: () =>
+    reply().text("Sorry, something went wrong there. Please try again.")
+});
+
+/*
+ * Read an optional config value, falling back to a default when it isn't set
+ *
+ */
+function optionalConfig(key, defaultValue) {
+  return config.has(key) ? config.get(key) : defaultValue;
+}
+
+/*
+ * Resolve the file path of a file-backed store or feed relative to the app
+ * directory
+ *
+ */
+function queueStore(file) {
+  return createStore(
+    storeOptions({ backend: EVENT_QUEUE_CONFIG.backend, file })
+  );
+}
+
+function storeOptions(options) {
+  return Object.assign({}, options, {
+    file: options.file ? path.resolve(__dirname, options.file) : undefined
+  });
 }
 
 /*
@@ -71,10 +875,10 @@ app.get("/webhook", function(req, res) {
     req.query["hub.mode"] === "subscribe" &&
     req.query["hub.verify_token"] === VALIDATION_TOKEN
   ) {
-    console.log("Validating webhook");
+    logger.info("Validating webhook");
     res.status(200).send(req.query["hub.challenge"]);
   } else {
-    console.error("Failed validation. Make sure the validation tokens match.");
+    logger.error("Failed validation. Make sure the validation tokens match.");
     res.sendStatus(403);
   }
 });
@@ -86,46 +890,155 @@ app.get("/webhook", function(req, res) {
  * https://developers.facebook.com/docs/messenger-platform/product-overview/setup#subscribe_app
  *
  */
-app.post("/webhook", function(req, res) {
+app.post("/webhook", webhookGuard.middleware, function(req, res) {
   var data = req.body;
 
-  // Make sure this is a page subscription
-  if (data.object == "page") {
-    // Iterate over each entry
-    // There may be multiple if batched
-    data.entry.forEach(function(pageEntry) {
-      var pageID = pageEntry.id;
-      var timeOfEvent = pageEntry.time;
-
-      // Iterate over each messaging event
-      pageEntry.messaging.forEach(function(messagingEvent) {
-        if (messagingEvent.optin) {
-          receivedAuthentication(messagingEvent);
-        } else if (messagingEvent.message) {
-          receivedMessage(messagingEvent);
-        } else if (messagingEvent.delivery) {
-          receivedDeliveryConfirmation(messagingEvent);
-        } else if (messagingEvent.postback) {
-          receivedPostback(messagingEvent);
-        } else if (messagingEvent.read) {
-          receivedMessageRead(messagingEvent);
-        } else if (messagingEvent.account_linking) {
-          receivedAccountLink(messagingEvent);
-        } else {
-          console.log(
-            "Webhook received unknown messagingEvent: ",
-            messagingEvent
-          );
-        }
-      });
-    });
-
-    // Assume all went well.
-    //
-    // You must send back a 200, within 20 seconds, to let us know you've
-    // successfully received the callback. Otherwise, the request will time out.
+  // Only page subscriptions are handled, but everything is acknowledged so
+  // Facebook doesn't keep retrying
+  if (data.object != "page") {
     res.sendStatus(200);
+    return;
+  }
+
+  // There may be multiple entries and events if batched. Each event is
+  // tagged with the page it arrived on, so replies use that page's token.
+  var events = [];
+
+  (data.entry || []).forEach(function(pageEntry) {
+    events = events.concat(
+      (pageEntry.messaging || []).map(event =>
+        Object.assign({ pageId: pageEntry.id }, event)
+      )
+    );
+  });
+
+  // Events are only queued here and handled by the queue's workers, so the
+  // 200 goes back as soon as they're stored. You must send back a 200 within
+  // 20 seconds, otherwise the request times out and Facebook retries it.
+  // Delivery and read receipts only feed the analytics, so they're handled
+  // straight away rather than written to the queue's files.
+  Promise.all(
+    events.map(event => {
+      const id = eventId(event);
+
+      if (event.delivery || event.read) {
+        handleMessagingEvent(event, logger.child({ correlationId: id })).catch(
+          error => logger.error("Couldn't handle a receipt", { error })
+        );
+        return null;
+      }
+
+      return eventQueue
+        .enqueue(id, event.sender && event.sender.id, event)
+        .then(queued =>
+          logger.debug(queued ? "Queued webhook event" : "Already queued", {
+            correlationId: id
+          })
+        );
+    })
+  ).then(
+    () => res.sendStatus(200),
+    error => {
+      logger.error("Couldn't queue webhook events", { error });
+      res.sendStatus(500);
+    }
+  );
+});
+
+/*
+ * Handle one messaging event from the webhook. Called by the event queue's
+ * workers; a rejected promise means the event is retried later. The page the
+ * user wrote to is remembered first, so everything sent to them uses its
+ * token.
+ *
+ */
+function handleMessagingEvent(messagingEvent, log) {
+  return pages
+    .remember(messagingEvent)
+    .then(() => dispatchMessagingEvent(messagingEvent, log));
+}
+
+function dispatchMessagingEvent(messagingEvent, log) {
+  if (messagingEvent.optin) {
+    return receivedAuthentication(messagingEvent, log);
+  } else if (messagingEvent.message) {
+    return receivedMessage(messagingEvent, log);
+  } else if (messagingEvent.delivery) {
+    return receivedDeliveryConfirmation(messagingEvent, log);
+  } else if (messagingEvent.postback) {
+    return receivedPostback(messagingEvent, log);
+  } else if (messagingEvent.read) {
+    return receivedMessageRead(messagingEvent, log);
+  } else if (messagingEvent.account_linking) {
+    return receivedAccountLink(messagingEvent, log);
   }
+
+  log.warn("Webhook received unknown messagingEvent", {
+    fields: Object.keys(messagingEvent)
+  });
+}
+
+/*
+ * Developer console
+ *
+ * The chat page at /console.html starts a conversation as a new console
+ * user, posts what's typed or tapped to /console/events and polls
+ * /console/messages for anything sent later. Nothing is signed, so these
+ * only exist while the console is enabled.
+ *
+ */
+if (DEV_CONSOLE_CONFIG.enabled) {
+  app.get("/console/start", function(req, res) {
+    res.json({
+      psid: newUserId(),
+      profile: buildProfile({ greeting: pages.get(null).greetingText })
+    });
+  });
+
+  app.post("/console/events", bodyParser.json(), function(req, res) {
+    devConsole.send(req.body).then(
+      result => res.json(result),
+      error => {
+        if (error instanceof TypeError) {
+          res.status(400).json({ error: error.message });
+          return;
+        }
+
+        logger.error("Couldn't handle a console event", { error });
+        res.sendStatus(500);
+      }
+    );
+  });
+
+  app.get("/console/messages", function(req, res) {
+    if (!devConsole.isUser(req.query.psid)) {
+      res.status(400).json({ error: "Expected a console psid" });
+      return;
+    }
+
+    res.json(devConsole.messages(req.query.psid, req.query.after));
+  });
+}
+
+/*
+ * Article links in carousels come here first, so a tap is counted against
+ * the topic the story was shown for, then go on to the story. Links the bot
+ * didn't sign get a 404 rather than a redirect to wherever they say.
+ *
+ */
+app.get("/read", function(req, res) {
+  analytics
+    .click(req.query, error =>
+      logger.error("Couldn't count an article click", { error })
+    )
+    .then(url => {
+      if (!url) {
+        res.sendStatus(404);
+        return;
+      }
+
+      res.redirect(url);
+    });
 });
 
 /*
@@ -134,52 +1047,124 @@ app.post("/webhook", function(req, res) {
  *
  */
 app.get("/authorize", function(req, res) {
-  var accountLinkingToken = req.query.account_linking_token;
   var redirectURI = req.query.redirect_uri;
 
-  // Authorization Code should be generated per user by the developer. This will
-  // be passed to the Account Linking callback.
-  var authCode = "1234567890";
-
-  // Redirect users to this URI on successful login
-  var redirectURISuccess = redirectURI + "&authorization_code=" + authCode;
+  if (!accountLinkingModule.isMessengerRedirect(redirectURI)) {
+    res.status(400).send("Invalid redirect_uri");
+    return;
+  }
 
   res.render("authorize", {
-    accountLinkingToken: accountLinkingToken,
+    accountLinkingToken: req.query.account_linking_token,
     redirectURI: redirectURI,
-    redirectURISuccess: redirectURISuccess
+    redirectURICancel: accountLinkingModule.completionUrl(redirectURI),
+    username: "",
+    error: null
   });
 });
 
 /*
- * Verify that the callback came from Facebook. Using the App Secret from
- * the App Dashboard, we can verify the signature that is sent with each
- * callback in the x-hub-signature field, located in the header.
- *
- * https://developers.facebook.com/docs/graph-api/webhooks#setup
+ * The login form on the authorize page posts here. On success the user is
+ * sent back to Messenger with a fresh authorization code, which comes back
+ * to us in the account linking webhook event.
  *
  */
-function verifyRequestSignature(req, res, buf) {
-  var signature = req.headers["x-hub-signature"];
+app.post(
+  "/authorize",
+  bodyParser.urlencoded({ extended: false }),
+  function(req, res) {
+    var body = req.body || {};
+    var redirectURI = body.redirect_uri;
+
+    if (!accountLinkingModule.isMessengerRedirect(redirectURI)) {
+      res.status(400).send("Invalid redirect_uri");
+      return;
+    }
 
-  if (!signature) {
-    // For testing, let's log an error. In production, you should throw an
-    // error.
-    console.error("Couldn't validate the signature.");
-  } else {
-    var elements = signature.split("=");
-    var method = elements[0];
-    var signatureHash = elements[1];
+    accountLinking
+      .login(body.username, body.password)
+      .then(account => {
+        if (!account) {
+          res.status(401).render("authorize", {
+            accountLinkingToken: body.account_linking_token,
+            redirectURI: redirectURI,
+            redirectURICancel: accountLinkingModule.completionUrl(redirectURI),
+            username: body.username || "",
+            error: "That username and password don't match."
+          });
+          return;
+        }
 
-    var expectedHash = crypto
-      .createHmac("sha1", APP_SECRET)
-      .update(buf)
-      .digest("hex");
+        return accountLinking
+          .issueCode(account.id)
+          .then(authCode =>
+            res.redirect(
+              accountLinkingModule.completionUrl(redirectURI, authCode)
+            )
+          );
+      })
+      .catch(error => {
+        logger.error("Couldn't log in for account linking", { error });
+        res.sendStatus(500);
+      });
+  }
+);
 
-    if (signatureHash != expectedHash) {
-      throw new Error("Couldn't validate the request signature.");
-    }
+/*
+ * Admin
+ *
+ * Jokes, glossary terms, topics and fixtures can be changed at /admin (a
+ * dashboard) and /admin/api (JSON) without a deploy. Changes are written to
+ * the data files atomically and the handlers pick them up straight away.
+ * The conversation analytics are reported at /admin/api/report. Admins log
+ * in with HTTP Basic auth against their own users file, e.g.
+ * { "usersFile": "storage/admins.json" }, in the same format as the account
+ * linking one. Without a users file there's no admin.
+ *
+ */
+const ADMIN_CONFIG = optionalConfig("admin", {});
+
+if (ADMIN_CONFIG.usersFile) {
+  const collections = [
+    contentModule.createJokeCollection(JOKES_FILE),
+    contentModule.createGlossaryCollection(GLOSSARY_FILE),
+    contentModule.createTopicCollection(TOPICS_FILE, {
+      isReserved: payload => payloads.handles(payload)
+    })
+  ];
+
+  // Pages with their own topics get a list of their own
+  pages
+    .all()
+    .filter(page => page.topicsFile !== TOPICS_FILE)
+    .forEach(page =>
+      collections.push(
+        contentModule.createTopicCollection(page.topicsFile, {
+          name: `topics-${page.id}`,
+          label: `Topics (${page.name})`,
+          isReserved: payload => payloads.handles(payload)
+        })
+      )
+    );
+
+  // Fixtures from a URL are managed wherever that is
+  if ((FIXTURES_CONFIG.source || "file") === "file") {
+    collections.push(contentModule.createFixtureCollection(FIXTURES_FILE));
   }
+
+  app.use(
+    "/admin",
+    createAdminRouter({
+      collections,
+      users: createFileUserStore({
+        file: path.resolve(__dirname, ADMIN_CONFIG.usersFile),
+        log: logger
+      }),
+      report: range => analytics.report(range),
+      secret: APP_SECRET,
+      log: logger
+    })
+  );
 }
 
 /*
@@ -190,7 +1175,7 @@ function verifyRequestSignature(req, res, buf) {
  * https://developers.facebook.com/docs/messenger-platform/webhook-reference/authentication
  *
  */
-function receivedAuthentication(event) {
+function receivedAuthentication(event, log) {
   var senderID = event.sender.id;
   var recipientID = event.recipient.id;
   var timeOfAuth = event.timestamp;
@@ -202,18 +1187,16 @@ function receivedAuthentication(event) {
   // plugin.
   var passThroughParam = event.optin.ref;
 
-  console.log(
-    "Received authentication for user %d and page %d with pass " +
-      "through param '%s' at %d",
+  log.info("Received authentication", {
     senderID,
     recipientID,
     passThroughParam,
     timeOfAuth
-  );
+  });
 
   // When an authentication is received, we'll send a message back to the sender
   // to let them know it was successful.
-  sendTextMessage(senderID, "Authentication successful");
+  return sendTextMessage(senderID, "Authentication successful", log);
 }
 
 /*
@@ -230,19 +1213,22 @@ function receivedAuthentication(event) {
  * then we'll simply confirm that we've received the attachment.
  *
  */
-async function receivedMessage(event) {
+async function receivedMessage(event, log) {
   var senderID = event.sender.id;
   var recipientID = event.recipient.id;
   var timeOfMessage = event.timestamp;
   var message = event.message;
 
-  console.log(
-    "Received message for user %d and page %d at %d with message:",
+  // Only the shape of the message is logged, never what the user wrote
+  log.info("Received message", {
     senderID,
     recipientID,
-    timeOfMessage
-  );
-  console.log(JSON.stringify(message));
+    timeOfMessage,
+    mid: message.mid,
+    textLength: message.text ? message.text.length : undefined,
+    quickReply: Boolean(message.quick_reply),
+    attachments: (message.attachments || []).map(attachment => attachment.type)
+  });
 
   var isEcho = message.is_echo;
   var messageId = message.mid;
@@ -254,348 +1240,93 @@ async function receivedMessage(event) {
   var messageAttachments = message.attachments;
   var quickReply = message.quick_reply;
 
+  var session = await sessions.get(senderID);
+
   if (isEcho) {
-    // Just logging message echoes to console
-    console.log(
-      "Received echo for message %s and app %d with metadata %s",
-      messageId,
-      appId,
-      metadata
-    );
+    // Just logging message echoes
+    log.debug("Received echo", { mid: messageId, appId, metadata });
     return;
   } else if (quickReply) {
+    const context = { senderID, payload: quickReply.payload, session, log };
 
-    function generateMessageData(documents, id) {
-      return {
-        recipient: { id },
-        message: {
-          attachment: {
-            type: "template",
-            payload: {
-              template_type: "generic",
-              elements: documents.map(function(document) {
-                return {
-                  title: document.homepageHead !== "undefined" && document.homepageHead !== "null" ? document.homepageHead : '',
-                  subtitle: document.homepageTeaser !== "undefined" ? document.homepageTeaser : '',
-                  item_url: document._self !== "undefined" ? document._self : '',
-                  image_url: document.posterImage ? document.posterImage.reference : document.mainImage ? document.mainImage.reference : '',
-                };
-              })
-            }
-          }
-        }
-      };
-    }
-    switch (quickReply.payload) {
-      case "LATEST_CRICKET_PAYLOAD":
-        fetch(
-          `https://gazette.swmdigital.io/curation-api/the-west/publication?page=1&page_size=5&includeFuture=true&topics=sport/cricket`
-        )
-          .then(res => res.json())
-          .then(json => {
-            return generateMessageData(json.documents, senderID);
-          })
-          .then(messageData => {
-              sendLoadingMessage(senderID)
-              callSendAPI(messageData)
-            })
-          .catch((error, recipientId) => {
-            console.log(error);
-            const errorMessage = {
-              recipient: { id: recipientId },
-              sender_action: "typing_off"
-            };
-            callSendAPI(errorMessage);
-          });
-          break;
-      case "LATEST_SCORCHERS_PAYLOAD":
-        fetch(
-          `https://gazette.swmdigital.io/curation-api/the-west/publication?page=1&page_size=5&includeFuture=true&topics=sport/perth-scorchers`
-        )
-          .then(res => res.json())
-          .then(json => {
-            return generateMessageData(json.documents, senderID);
-          })
-          .then(messageData => {
-            sendLoadingMessage(senderID)
-            callSendAPI(messageData)
-          })
-          .catch((error, recipientId) => {
-            console.log(error);
-            const errorMessage = {
-              recipient: { id: recipientId },
-              sender_action: "typing_off"
-            };
-            callSendAPI(errorMessage);
-          });
-          break;
-      case "LATEST_BBL_PAYLOAD":
-        fetch(
-          `https://gazette.swmdigital.io/curation-api/the-west/publication?page=1&page_size=5&includeFuture=true&topics=sport/big-bash-league`
-        )
-          .then(res => res.json())
-          .then(json => {
-            return generateMessageData(json.documents, senderID);
-          })
-          .then(messageData => {
-            sendLoadingMessage(senderID)
-            callSendAPI(messageData)
-          })
-          .catch((error, recipientId) => {
-            console.log(error);
-            const errorMessage = {
-              recipient: { id: recipientId },
-              sender_action: "typing_off"
-            };
-            callSendAPI(errorMessage);
-          });
-          break;
-      case "LATEST_WOMENS_PAYLOAD":
-        fetch(
-          `https://gazette.swmdigital.io/curation-api/the-west/publication?page=1&page_size=5&includeFuture=true&topics=sport/womens-cricket`
-        )
-          .then(res => res.json())
-          .then(json => {
-            return generateMessageData(json.documents, senderID);
-          })
-          .then(messageData => {
-            sendLoadingMessage(senderID)
-            callSendAPI(messageData)
-          })
-          .catch((error, recipientId) => {
-            console.log(error);
-            const errorMessage = {
-              recipient: { id: recipientId },
-              sender_action: "typing_off"
-            };
-            callSendAPI(errorMessage);
-          });
-          break;
-      case "LATEST_AUST_PAYLOAD":
-        fetch(
-          `https://gazette.swmdigital.io/curation-api/the-west/publication?page=1&page_size=5&includeFuture=true&topics=sport/australian-cricket-team`
-        )
-          .then(res => res.json())
-          .then(json => {
-            return generateMessageData(json.documents, senderID);
-          })
-          .then(messageData => {
-            sendLoadingMessage(senderID)
-            callSendAPI(messageData)
-          })
-          .catch((error, recipientId) => {
-            console.log(error);
-            const errorMessage = {
-              recipient: { id: recipientId },
-              sender_action: "typing_off"
-            };
-            callSendAPI(errorMessage);
-          });
-          break;
-      case "LATEST_ASHES_PAYLOAD":
-        fetch(
-          `https://gazette.swmdigital.io/curation-api/the-west/publication?page=1&page_size=5&includeFuture=true&topics=sport/the-ashes`
-        )
-          .then(res => res.json())
-          .then(json => {
-            return generateMessageData(json.documents, senderID);
-          })
-          .then(messageData => {
-            sendLoadingMessage(senderID)
-            callSendAPI(messageData)
-          })
-          .catch((error, recipientId) => {
-            console.log(error);
-            const errorMessage = {
-              recipient: { id: recipientId },
-              sender_action: "typing_off"
-            };
-            callSendAPI(errorMessage);
-          });
-          break;
-      case "LATEST_IPL_PAYLOAD":
-        fetch(
-          `https://gazette.swmdigital.io/curation-api/the-west/publication?page=1&page_size=5&includeFuture=true&topics=sport/indian-premier-league`
-        )
-          .then(res => res.json())
-          .then(json => {
-            return generateMessageData(json.documents, senderID);
-          })
-          .then(messageData => {
-            sendLoadingMessage(senderID)
-            callSendAPI(messageData)
-          })
-          .catch((error, recipientId) => {
-            console.log(error);
-            const errorMessage = {
-              recipient: { id: recipientId },
-              sender_action: "typing_off"
-            };
-            callSendAPI(errorMessage);
-          });
-          break;
-      case "LATEST_WORLD_PAYLOAD":
-        fetch(
-          `https://gazette.swmdigital.io/curation-api/the-west/publication?page=1&page_size=5&includeFuture=true&topics=sport/cricket-world-cup`
-        )
-          .then(res => res.json())
-          .then(json => {
-            return generateMessageData(json.documents, senderID);
-          })
-          .then(messageData => {
-            sendLoadingMessage(senderID)
-            callSendAPI(messageData)
-          })
-          .catch((error, recipientId) => {
-            console.log(error);
-            const errorMessage = {
-              recipient: { id: recipientId },
-              sender_action: "typing_off"
-            };
-            callSendAPI(errorMessage);
-          });
-          break;
-    }
-
+    await respond(context, payloads.dispatch(quickReply.payload, context));
     return;
   }
 
-  sendReadReceipt(senderID);
-
   if (messageText) {
-    const downCaseMessage = messageText.replace(/[^\w\s]/gi, '').trim().toLowerCase()
-    const regex = /^tell me more about (.*)/g;
-    const latestRegex = /^(.*)latest(.*)/g;
-    const nextMatchRegex = /^(.*)next match(.*)/g;
-
-    const playerInfo = [/^tell me more about (.*)/g, /^tell me about (.*)/g, /^who is (.*)/g]
-    const explainThis = [/^what is a (.*)/g, /^what does (.*) mean/g]
-    const regex2 = /^(.*)latest(.*)/g;
+    const downCaseMessage = messageText.replace(/[^\w\s]/gi, '').trim().toLowerCase();
 
-    playerInfo.forEach(expression => {
-      if (downCaseMessage.match(expression)) {
-        const searchFor = expression.exec(downCaseMessage)
-
-        sendPlayerMessage(senderID, searchFor[1])
-      }
-    })
+    const context = { senderID, text: messageText, session, log };
 
-    explainThis.forEach(expression => {
-      if (downCaseMessage.match(expression)) {
-        const searchFor = expression.exec(downCaseMessage)
+    await respond(context, intents.dispatch(downCaseMessage, context));
+  } else if (messageAttachments) {
+    await replies.dispatch(
+      senderID,
+      reply().text("Message with attachment received"),
+      log
+    );
+  }
+}
 
-        sendExplainerMessage(senderID, searchFor[1])
+/*
+ * Send the reply from a dispatched intent or payload handler, then save the
+ * session along with the name of the intent or payload that was handled.
+ * The message is counted in the analytics, with how long the reply took.
+ *
+ */
+async function respond(context, dispatching) {
+  const started = Date.now();
+  const handled = dispatching.catch(error => ({ name: null, error }));
+
+  await replies.dispatch(
+    context.senderID,
+    handled.then(result => {
+      if (result.error) {
+        throw result.error;
       }
-    })
-
-    if (downCaseMessage === 'tell me a joke') {
-      sendJokeMessage(senderID)
-    }
-    if (downCaseMessage.match(latestRegex)) {
-      var messageData = {
-        recipient: {
-          id: senderID
-        },
-        message: {
-          text: "Select a Topic",
-          quick_replies: [
-            {
-              content_type: "text",
-              title: "Cricket",
-              payload: "LATEST_CRICKET_PAYLOAD"
-            },
-            {
-              content_type: "text",
-              title: "Scorchers",
-              payload: "LATEST_SCORCHERS_PAYLOAD"
-            },
-            {
-              content_type: "text",
-              title: "Women’s Cricket",
-              payload: "LATEST_WOMENS_PAYLOAD"
-            },
-            {
-              content_type: "text",
-              title: "Australian Cricket Team",
-              payload: "LATEST_AUST_PAYLOAD"
-            },
-            {
-              content_type: "text",
-              title: "The Ashes",
-              payload: "LATEST_ASHES_PAYLOAD"
-            },
-            {
-              content_type: "text",
-              title: "Big Bash League",
-              payload: "LATEST_BBL_PAYLOAD"
-            },
-            {
-              content_type: "text",
-              title: "Cricket World Cup",
-              payload: "LATEST_WORLD_PAYLOAD"
-            },
-            {
-              content_type: "text",
-              title: "Indian Premier League",
-              payload: "LATEST_IPL_PAYLOAD"
-            }
-          ]
-        }
-      };
-
-      callSendAPI(messageData);
-
-    }
+      return result.result;
+    }),
+    context.log
+  );
 
-    if (downCaseMessage.match(nextMatchRegex)) {
-      var messageData = {
-        "recipient":{
-          "id": senderID
-        },
-        "message": {
-          "attachment": {
-            "type": "template",
-            "payload": {
-              "template_type": "list",
-              "top_element_style": "LARGE",
-              "elements": [
-                {
-                  "title": "Cricket",
-                  "image_url": "https://images.thewest.com.au/publication/B881022500Z/1542262499128_GDO1U9KIB.1-2.jpg?imwidth=1024",
-                },
-                {
-                  "title": 'Gillette T20s v India, First T20',
-                  "subtitle": `Wednesday 21 Nov 2018 5:50 PM. The Gabba, Brisbane`,
-                },
-                {
-                  "title": 'Gillette T20s v India, Second T20',
-                  "subtitle": `23 Nov 2018 @ 6:50 PM. MCG, Melbourne`,
-                },
-                {
-                  "title": 'Gillette T20s v India, Third T20',
-                  "subtitle": `25 Nov 2018 6:50 PM. SCG, Sydney`,
-                }
-
-              ],
-              "buttons": [
-                {
-                  "title": "More on The West",
-                  "type": "web_url",
-                  "url": "https://thewest.com.au/sport/cricket/which-cricket-matches-are-on-seven-this-summer-complete-free-to-air-tv-guide-for-big-bash-league-and-internationals-ng-b881022500z"
-                }
-              ]
-            }
-          }
-        }
-      };
+  const { name, error } = await handled;
 
-      callSendAPI(messageData);
-    }
+  context.log.info("Handled", { handler: name });
+  await recordMessage(context, name, error, Date.now() - started);
+  await sessions.update(
+    context.senderID,
+    Object.assign({}, context.session, { lastIntent: name })
+  );
 
+  // Keeps the 24-hour messaging window open for the user's next digest
+  await digest
+    .seen(context.senderID)
+    .catch(error =>
+      context.log.error("Couldn't update the digest subscriber", { error })
+    );
+}
 
-  } else if (messageAttachments) {
-    sendTextMessage(senderID, "Message with attachment received");
+/*
+ * Count an inbound message in the analytics. Console users are only trying
+ * the bot out, so they aren't counted.
+ *
+ */
+function recordMessage(context, name, error, latency) {
+  if (devConsole.isUser(context.senderID)) {
+    return Promise.resolve();
   }
+
+  return analytics
+    .recordMessage({
+      psid: context.senderID,
+      intent: name,
+      failed: Boolean(error),
+      text: context.text,
+      latency
+    })
+    .catch(failure =>
+      context.log.error("Couldn't record the message", { error: failure })
+    );
 }
 
 /*
@@ -605,7 +1336,7 @@ async function receivedMessage(event) {
  * these fields at https://developers.facebook.com/docs/messenger-platform/webhook-reference/message-delivered
  *
  */
-function receivedDeliveryConfirmation(event) {
+function receivedDeliveryConfirmation(event, log) {
   var senderID = event.sender.id;
   var recipientID = event.recipient.id;
   var delivery = event.delivery;
@@ -613,16 +1344,15 @@ function receivedDeliveryConfirmation(event) {
   var watermark = delivery.watermark;
   var sequenceNumber = delivery.seq;
 
-  if (messageIDs) {
-    messageIDs.forEach(function(messageID) {
-      console.log(
-        "Received delivery confirmation for message ID: %s",
-        messageID
-      );
-    });
-  }
+  log.debug("Received delivery confirmation", {
+    mids: messageIDs,
+    watermark,
+    sequenceNumber
+  });
 
-  console.log("All message before %d were delivered.", watermark);
+  return analytics
+    .recordDelivery(senderID, messageIDs, watermark)
+    .catch(error => log.error("Couldn't record the delivery", { error }));
 }
 
 /*
@@ -632,7 +1362,7 @@ function receivedDeliveryConfirmation(event) {
  * https://developers.facebook.com/docs/messenger-platform/webhook-reference/postback-received
  *
  */
-function receivedPostback(event) {
+async function receivedPostback(event, log) {
   var senderID = event.sender.id;
   var recipientID = event.recipient.id;
   var timeOfPostback = event.timestamp;
@@ -641,17 +1371,19 @@ function receivedPostback(event) {
   // button for Structured Messages.
   var payload = event.postback.payload;
 
-  console.log(
-    "Received postback for user %d and page %d with payload '%s' " + "at %d",
+  // Only the payload's name is logged, as its arguments can be what the
+  // user wrote, like the keyword of a search
+  log.info("Received postback", {
     senderID,
     recipientID,
-    payload,
+    payload: decodePayload(payload).name,
     timeOfPostback
-  );
+  });
 
-  // When a postback is called, we'll send a message back to the sender to
-  // let them know it was successful
-  sendTextMessage(senderID, "Postback called");
+  var session = await sessions.get(senderID);
+  var context = { senderID, payload, session, log };
+
+  await respond(context, payloads.dispatch(payload, context));
 }
 
 /*
@@ -661,7 +1393,7 @@ function receivedPostback(event) {
  * https://developers.facebook.com/docs/messenger-platform/webhook-reference/message-read
  *
  */
-function receivedMessageRead(event) {
+function receivedMessageRead(event, log) {
   var senderID = event.sender.id;
   var recipientID = event.recipient.id;
 
@@ -669,11 +1401,11 @@ function receivedMessageRead(event) {
   var watermark = event.read.watermark;
   var sequenceNumber = event.read.seq;
 
-  console.log(
-    "Received message read event for watermark %d and sequence " + "number %d",
-    watermark,
-    sequenceNumber
-  );
+  log.debug("Received message read event", { watermark, sequenceNumber });
+
+  return analytics
+    .recordRead(senderID, watermark)
+    .catch(error => log.error("Couldn't record the read", { error }));
 }
 
 /*
@@ -684,393 +1416,1188 @@ function receivedMessageRead(event) {
  * https://developers.facebook.com/docs/messenger-platform/webhook-reference/account-linking
  *
  */
-function receivedAccountLink(event) {
+async function receivedAccountLink(event, log) {
   var senderID = event.sender.id;
   var recipientID = event.recipient.id;
 
   var status = event.account_linking.status;
   var authCode = event.account_linking.authorization_code;
 
-  console.log(
-    "Received account link event with for user %d with status %s " +
-      "and auth code %s ",
-    senderID,
-    status,
-    authCode
-  );
+  log.info("Received account link event", { senderID, recipientID, status });
+
+  if (status === "linked") {
+    const account = await accountLinking.link(senderID, authCode);
+
+    await replies.dispatch(
+      senderID,
+      reply().text(
+        account ?
+          `You're linked to your account, ${account.name || account.username}.` :
+          "Sorry, that login has expired. Say \"my account\" to try again."
+      ),
+      log
+    );
+  } else if (status === "unlinked") {
+    await accountLinking.unlink(senderID);
+    await replies.dispatch(
+      senderID,
+      reply().text("Your account has been unlinked."),
+      log
+    );
+  }
 }
 
 /*
- * If users came here through testdrive, they need to configure the server URL
- * in default.json before they can access local resources likes images/videos.
+ * The topic registry of the page a user talks to
+ *
  */
-function requiresServerURL(next, [recipientId, ...args]) {
-  if (SERVER_URL === "to_be_set_manually") {
-    var messageData = {
-      recipient: {
-        id: recipientId
-      },
-      message: {
-        text: `
-We have static resources like images and videos available to test, but you need to update the code you downloaded earlier to tell us your current server url.
-1. Stop your node server by typing ctrl-c
-2. Paste the result you got from running "lt —port 5000" into your config/default.json file as the "serverURL".
-3. Re-run "node app.js"
-Once you've finished these steps, try typing “video” or “image”.
-        `
-      }
-    };
+function topicsFor(recipientId) {
+  return pages.pageFor(recipientId).then(page => page.topics);
+}
 
-    callSendAPI(messageData);
-  } else {
-    next.apply(this, [recipientId, ...args]);
-  }
+/*
+ * Onboarding message sent when the user taps Get Started, naming their page
+ *
+ */
+function hiReply(page) {
+  return reply().message({
+    text: `G'day! I can bring you the latest cricket news from ${page.name}, tell you when the next match is on, explain cricket jargon and even tell you a (terrible) joke.
+
+What would you like to do?`,
+    quick_replies: [
+      { content_type: "text", title: "Latest", payload: PAYLOADS.LATEST },
+      { content_type: "text", title: "Next match", payload: PAYLOADS.NEXT_MATCH },
+      { content_type: "text", title: "Jargon", payload: PAYLOADS.JARGON },
+      { content_type: "text", title: "Joke", payload: PAYLOADS.JOKE }
+    ]
+  });
 }
 
-function sendHiMessage(recipientId) {
+/*
+ * Send a text message. Resolves once the Send API has answered, like
+ * callSendAPI.
+ *
+ */
+function sendTextMessage(recipientId, messageText, log) {
   var messageData = {
     recipient: {
       id: recipientId
     },
     message: {
-      text: `
-Congrats on setting up your Messenger Bot!
-
-Right now, your bot can only respond to a few words. Try out "quick reply", "typing on", "button", or "image" to see how they work. You'll find a complete list of these commands in the "app.js" file. Anything else you type will just be mirrored until you create additional commands.
-
-For more details on how to create commands, go to https://developers.facebook.com/docs/messenger-platform/reference/send-api.
-      `
+      text: messageText
     }
   };
 
-  callSendAPI(messageData);
+  return callSendAPI(messageData, log);
 }
 
-function sendLoadingMessage(recipientId) {
-  const loadingMessage = {
-    recipient: { id: recipientId },
-    sender_action: "typing_on"
-  };
+/*
+ * Ask which topic the user wants the latest stories for
+ *
+ */
+async function latestMenuReply(recipientId) {
+  const topics = await topicsFor(recipientId);
+  const quickReplies = await topics.quickReplies();
+
+  if (quickReplies.length < 13) {
+    quickReplies.push(textQuickReply("My favourites", FAVOURITES_PAYLOAD));
+  }
+
+  return reply().message({
+    text: "Select a Topic",
+    quick_replies: quickReplies
+  });
+}
+
+/*
+ * "latest": the newest stories from the user's favourite topics in one
+ * carousel, or the topic menu if they haven't picked any
+ *
+ */
+async function latestReply(recipientId, log) {
+  const favourites = await favouriteTopics(recipientId);
+
+  if (!favourites.length) {
+    return latestMenuReply(recipientId);
+  }
+
+  const articles = await topicStories(favourites, log);
+  const quickReplies = [
+    textQuickReply("Other topics", ALL_TOPICS_PAYLOAD),
+    textQuickReply("Change my teams", FAVOURITES_PAYLOAD)
+  ];
+
+  if (!articles.length) {
+    return reply().message({
+      text: `Sorry, I couldn't find any stories about ${joinLabels(
+        favourites
+      )}.`,
+      quick_replies: quickReplies
+    });
+  }
+
+  return reply()
+    .message(renderCarousel(articles, { link: articleLink }))
+    .message({
+      text: `The latest on ${joinLabels(favourites)}.`,
+      quick_replies: quickReplies
+    });
+}
+
+/*
+ * The newest stories from several topics merged into one list, newest
+ * from each topic first. Each story notes the topic it came from.
+ *
+ */
+async function topicStories(list, log) {
+  const lists = await Promise.all(
+    list.map(topic =>
+      curation
+        .latest(topic.topic, { page: 1, pageSize: FAVOURITES_LIMIT, log })
+        .then(result =>
+          result.articles.map(article =>
+            Object.assign({ topic: topic.topic }, article)
+          )
+        )
+        .catch(error => {
+          log.error("Couldn't fetch stories", { topic: topic.topic, error });
+          return [];
+        })
+    )
+  );
+
+  return mergeArticles(lists, FAVOURITES_LIMIT);
+}
+
+/*
+ * The link for an article in a carousel, through /read so that a tap is
+ * counted against the topic it was shown for
+ *
+ */
+function articleLink(article, topic) {
+  return analytics.link(article.url, topic || article.topic, error =>
+    logger.error("Couldn't count an article shown", { error })
+  );
+}
 
-  callSendAPI(loadingMessage);
+/*
+ * The topics a user has picked as favourites, in the order they picked
+ * them. Topics since removed from the registry are skipped.
+ *
+ */
+async function favouriteTopics(recipientId) {
+  const topics = await topicsFor(recipientId);
+  const [picked, all] = await Promise.all([
+    preferences.get(recipientId),
+    topics.all()
+  ]);
+
+  return picked.topics
+    .map(payload => all.find(topic => topic.payload === payload))
+    .filter(Boolean);
+}
+
+function joinLabels(list) {
+  return joinNames(list.map(topic => topic.label));
+}
+
+/*
+ * Add the topics named in a message like "I follow the Scorchers and the
+ * Ashes" to the user's favourites
+ *
+ */
+async function setFavouritesReply(recipientId, list) {
+  const topics = await topicsFor(recipientId);
+  const matched = await topics.matchList(list);
+  const unknown = matched.unknown.length ?
+    ` I don't have stories about ${matched.unknown.join(" or ")}, sorry.` :
+    "";
+
+  if (!matched.topics.length) {
+    return reply().message({
+      text: `Sorry, I don't have stories about ${list}. Pick your favourites from these instead.`,
+      quick_replies: await favouriteQuickReplies(recipientId)
+    });
+  }
+
+  await preferences.addTopics(
+    recipientId,
+    matched.topics.map(topic => topic.payload)
+  );
+
+  const favourites = await favouriteTopics(recipientId);
+
+  return reply().message({
+    text: `Got it, your favourites are ${joinLabels(favourites)}. Say "latest" for their newest stories.${unknown}`,
+    quick_replies: [
+      textQuickReply("Latest", PAYLOADS.LATEST),
+      textQuickReply("Change my teams", FAVOURITES_PAYLOAD)
+    ]
+  });
+}
+
+/*
+ * A quick reply for each topic that adds or removes it from the user's
+ * favourites, ticking the ones already picked
+ *
+ */
+async function favouriteQuickReplies(recipientId) {
+  const topics = await topicsFor(recipientId);
+  const [picked, all] = await Promise.all([
+    preferences.get(recipientId),
+    topics.all()
+  ]);
+  const quickReplies = all.slice(0, 11).map(topic => {
+    const chosen = picked.topics.indexOf(topic.payload) !== -1;
+
+    return textQuickReply(
+      `${chosen ? "\u2713" : "+"} ${topic.label}`,
+      encodePayload(FAVOURITE_TOGGLE_PAYLOAD, topic.payload)
+    );
+  });
+
+  if (picked.topics.length) {
+    quickReplies.push(textQuickReply("Clear all", FAVOURITES_CLEAR_PAYLOAD));
+  }
+  quickReplies.push(textQuickReply("Done", FAVOURITES_DONE_PAYLOAD));
+
+  return quickReplies;
+}
+
+/*
+ * Show the user's favourites with buttons to change them
+ *
+ */
+async function favouritesReply(recipientId) {
+  const favourites = await favouriteTopics(recipientId);
+
+  return reply().message({
+    text: favourites.length ?
+      `Your favourites are ${joinLabels(favourites)}. Tap a topic to add or remove it.` :
+      "Pick the teams and topics you want in \"latest\".",
+    quick_replies: await favouriteQuickReplies(recipientId)
+  });
+}
+
+async function toggleFavouriteReply(recipientId, payload) {
+  const topics = await topicsFor(recipientId);
+
+  if (!(await topics.find(payload))) {
+    return reply().text("Sorry, that topic isn't available any more.");
+  }
+
+  await preferences.toggleTopic(recipientId, payload);
+  return favouritesReply(recipientId);
+}
+
+async function clearFavouritesReply(recipientId) {
+  await preferences.clear(recipientId);
+  return favouritesReply(recipientId);
+}
+
+async function favouritesDoneReply(recipientId) {
+  const favourites = await favouriteTopics(recipientId);
+
+  return reply().message({
+    text: favourites.length ?
+      `Done! "Latest" will show you ${joinLabels(favourites)}.` :
+      "Done! \"Latest\" will ask which topic you want.",
+    quick_replies: [textQuickReply("Latest", PAYLOADS.LATEST)]
+  });
+}
+
+/*
+ * "8", "8 am", "8pm" and "20" as an hour of the day, or NaN
+ *
+ */
+function parseHour(hour, meridiem) {
+  const value = parseInt(hour, 10);
+
+  if (!meridiem) {
+    return value < 24 ? value : NaN;
+  }
+  if (value < 1 || value > 12) {
+    return NaN;
+  }
+
+  return (value % 12) + (meridiem === "pm" ? 12 : 0);
 }
 
-function sendPlayerMessage(recipientId, player) {
+function formatHour(hour) {
+  if (hour === 0) {
+    return "midnight";
+  }
+  if (hour === 12) {
+    return "midday";
+  }
 
-  sendLoadingMessage(recipientId)
-  console.log('ok!')
+  return hour < 12 ? `${hour}am` : `${hour - 12}pm`;
+}
 
-  fetch(`https://gazette.swmdigital.io/curation-api/the-west/publication?page=1&page_size=100&includeFuture=true&idOrKeyword=${player}`)
-  .then(res => res.json())
+function digestHourQuickReplies() {
+  return DIGEST_HOURS.map(hour =>
+    textQuickReply(
+      formatHour(hour).replace(/^m/, "M"),
+      encodePayload(DIGEST_HOUR_PAYLOAD, hour)
+    )
+  );
+}
 
-  .then(json => {
-    const publicationId = json.documents[0]
-    const publication =
+/*
+ * The user's digest settings, or the times they can subscribe at
+ *
+ */
+async function digestReply(recipientId) {
+  const subscriber = await digest.get(recipientId);
+
+  if (!subscriber) {
+    return reply().message({
+      text:
+        "I can send you the top stories from your favourite teams and " +
+        "topics every day. What time would you like them?",
+      quick_replies: digestHourQuickReplies()
+    });
+  }
+
+  return reply().message({
+    text: `You get the daily digest at ${formatHour(
+      subscriber.hour
+    )}. Pick another time to change it.`,
+    quick_replies: digestHourQuickReplies().concat(
+      textQuickReply("Unsubscribe", DIGEST_STOP_PAYLOAD)
+    )
+  });
+}
+
+/*
+ * Subscribe to the digest at an hour in the user's own timezone
+ *
+ */
+async function digestSubscribeReply(recipientId, hour, session, log) {
+  if (!(hour >= 0 && hour < 24)) {
+    return reply().message({
+      text: "Sorry, I didn't get that time. When would you like the digest?",
+      quick_replies: digestHourQuickReplies()
+    });
+  }
+
+  const utcOffset = await getUserTimezone(recipientId, session, log);
+
+  await digest.subscribe(recipientId, { hour, utcOffset });
+
+  const favourites = await favouriteTopics(recipientId);
+  const quickReplies = [
+    textQuickReply("Change my teams", FAVOURITES_PAYLOAD),
+    textQuickReply("Unsubscribe", DIGEST_STOP_PAYLOAD)
+  ];
+
+  return reply().message({
+    text: favourites.length ?
+      `Done! I'll send you the top stories about ${joinLabels(
+        favourites
+      )} every day at ${formatHour(hour)}.` :
+      `Done! I'll send you the top stories every day at ${formatHour(
+        hour
+      )}. Tell me your favourite teams to make it yours.`,
+    quick_replies: quickReplies
+  });
+}
+
+async function digestUnsubscribeReply(recipientId) {
+  const wasSubscribed = await digest.unsubscribe(recipientId);
+
+  return reply().text(
+    wasSubscribed ?
+      "You won't get the daily digest any more." :
+      "You aren't subscribed to the daily digest."
+  );
+}
+
+/*
+ * The stories in a user's digest: their favourite topics, or the first
+ * topic in the registry if they haven't picked any
+ *
+ */
+async function digestStories(recipientId) {
+  const topics = await topicsFor(recipientId);
+  const favourites = await favouriteTopics(recipientId);
+
+  return topicStories(
+    favourites.length ? favourites : (await topics.all()).slice(0, 1),
+    logger
+  );
+}
+
+/*
+ * Send a digest's carousel and its closing message. Rejects if the carousel
+ * couldn't be sent (callSendAPI has logged why), so the digest is retried.
+ *
+ */
+function sendDigest(recipientId, articles, delivery) {
+  const message = (content, extra) =>
+    Object.assign(
       {
-        title: publicationId.homepageHead,
-        subtitle: publicationId.homepageTeaser,
-        url: `https://thewest.com.au/${publicationId.slug}`
-      }
-    return publication
-  })
-  .then(publication => {
-    const messageData = {
-      recipient: {id: recipientId},
-      message: {
-        attachment: {
-          type: 'template',
-          payload: {
-            template_type: 'open_graph',
-
-            elements: [
-              {
-                url: publication.url,
-                buttons: [{
-                  type: 'web_url',
-                  url: publication.url,
-                  title: 'read more',
-                }],
-              }
-            ]
-          }
-        }
-      }
-    }
+        recipient: { id: recipientId },
+        messaging_type: delivery.messagingType,
+        message: content
+      },
+      delivery.tag ? { tag: delivery.tag } : {},
+      extra
+    );
 
-    return messageData
-  })
-  .then(messageData => callSendAPI(messageData))
-  .catch((error, recipientId) => {
-    console.log(error)
-    const errorMessage = {
-      recipient: {id:recipientId},
-      sender_action: 'typing_off'
+  return callSendAPI(
+    message(renderCarousel(articles, { link: articleLink }))
+  ).then(sent => {
+    if (!sent) {
+      throw new Error("The Send API didn't take the digest");
     }
 
-    callSendAPI(errorMessage)
-  })
+    return callSendAPI(
+      message({
+        text: "That's your daily digest. See you tomorrow!",
+        quick_replies: [
+          textQuickReply("Change time", DIGEST_PAYLOAD),
+          textQuickReply("Unsubscribe", DIGEST_STOP_PAYLOAD)
+        ]
+      })
+    );
+  });
 }
 
-function sendExplainerMessage(recipientId, explainer) {
-  sendLoadingMessage(recipientId)
+/*
+ * Look up the user's timezone, as an offset from UTC in hours, from their
+ * Messenger profile. It is kept in the session so it is only fetched once
+ * per conversation.
+ *
+ */
+function getUserTimezone(recipientId, session, log) {
+  if (typeof session.slots.timezone === "number") {
+    return Promise.resolve(session.slots.timezone);
+  }
 
-  readFileAsync(`${__dirname}/data/explainers.json`, {encoding: 'utf8'})
-  .then(contents => {
-    const obj = JSON.parse(contents)
-    return obj
-  })
-  .then(obj => {
-    const definition = getDefinition(obj, upperCase(explainer))
-    return definition
-  })
-  .then(definition => {
-    const messageData = {
-        recipient: {id:recipientId},
-        message: {
-          text: definition[0].definition
-        }
-      }
+  // Console users don't have a Facebook profile
+  if (devConsole.isUser(recipientId)) {
+    return Promise.resolve(DEFAULT_TIMEZONE);
+  }
+
+  return pages
+    .pageFor(recipientId)
+    .then(page =>
+      fetch(
+        `${GRAPH_API}/${recipientId}?fields=timezone&access_token=${page.accessToken}`,
+        { timeout: 5000 }
+      )
+    )
+    .then(res => res.json())
+    .then(profile => {
+      log.debug("Looked up the user's timezone", { recipientId });
 
-      console.log(messageData)
+      const timezone =
+        typeof profile.timezone === "number" ? profile.timezone : DEFAULT_TIMEZONE;
 
-    return messageData
-  })
-  .then(messageData => {
-    console.log('sending message...')
-    callSendAPI(messageData)
-  })
-  .catch(error => {
-    console.log(error)
-  })
+      session.slots.timezone = timezone;
+      return timezone;
+    })
+    .catch(error => {
+      log.warn("Couldn't look up the user's timezone", { error });
+      return DEFAULT_TIMEZONE;
+    });
 }
 
-function sendJokeMessage(recipientId) {
-  sendLoadingMessage(recipientId)
-  const articleNumber = Math.floor(Math.random() * 9) + 1;
+/*
+ * The upcoming fixtures, optionally for a team or competition, with start
+ * times in the user's timezone
+ *
+ */
+async function nextMatchReply(recipientId, query, session, log) {
+  const utcOffset = await getUserTimezone(recipientId, session, log);
+  const result = await fixtures.upcoming(query, FIXTURES_LIMIT);
 
-  readFileAsync(`${__dirname}/data/jokes.json`, {encoding: 'utf8'})
-  .then(contents => {
-    const obj = JSON.parse(contents)
-    return obj
-  })
-  .then(definition => {
-    console.log('asking question number',articleNumber)
-    const messageData = {
-        recipient: {id:recipientId},
-        message: {
-          text: `${definition[articleNumber].question}
+  if (result.unknownQuery) {
+    return reply().text(
+      `Sorry, I don't know a team or competition called "${query}".`
+    );
+  }
 
-${definition[articleNumber].answer} 😂
+  if (!result.matches.length) {
+    return reply().text(
+      query ?
+        `There are no upcoming ${query} matches scheduled.` :
+        "There are no upcoming matches scheduled."
+    );
+  }
 
+  return reply().message(
+    fixtureModule.renderFixtures(result.matches, utcOffset, result.moreUrl)
+  );
+}
 
+/*
+ * Subscribe the user to live score updates for every match a team plays
+ *
+ */
+async function followTeamReply(recipientId, query) {
+  const team = await fixtures.findTeam(query);
 
+  if (!team) {
+    return reply().text(`Sorry, I don't know a team called "${query}".`);
+  }
 
---------------
-This awful joke is brought to you by TABTouch`
-        }
+  await subscriptions.followTeam(recipientId, team);
+
+  return reply().message({
+    text: `You're now following ${team}. I'll message you with wickets, milestones and results while they're playing.`,
+    quick_replies: [
+      {
+        content_type: "text",
+        title: "Unfollow",
+        payload: encodePayload("UNFOLLOW", team)
       }
+    ]
+  });
+}
 
-      console.log(messageData)
+/*
+ * Subscribe the user to live score updates for a single match, from the
+ * "Notify me" button on a fixture
+ *
+ */
+async function followMatchReply(recipientId, matchId) {
+  const match = await fixtures.findMatch(matchId);
 
-    return messageData
-  })
-  .then(messageData => {
-    console.log('sending message...')
-    callSendAPI(messageData)
-  })
-  .catch(error => {
-    console.log(error)
-  })
+  if (!match) {
+    return reply().text("Sorry, I can't find that match any more.");
+  }
+
+  await subscriptions.followMatch(recipientId, match.id);
+
+  return reply().text(
+    `I'll message you with updates from ${fixtureModule.matchTitle(match)}. Say "unfollow" to stop.`
+  );
 }
 
-function upperCase(string) {
-  return string.charAt(0).toUpperCase() + string.slice(1);
+/*
+ * Unsubscribe from a team's live score updates, or from everything when no
+ * team (or "all") is given
+ *
+ */
+async function unfollowReply(recipientId, query) {
+  if (!query || query === "all" || query === "everything") {
+    const wasFollowing = await subscriptions.unfollow(recipientId);
+
+    return reply().text(
+      wasFollowing ?
+        "Done, I won't send you any more live score updates." :
+        "You aren't following any teams or matches."
+    );
+  }
+
+  const team = (await fixtures.findTeam(query)) || query;
+  const wasFollowing = await subscriptions.unfollow(recipientId, team);
+
+  return reply().text(
+    wasFollowing ?
+      `Done, you're no longer following ${team}.` :
+      `You aren't following ${team}.`
+  );
 }
 
-function getDefinition(data, lookingFor) {
-  const definition = data.filter(
-    item => {
-      if (item.term === lookingFor) {
-        return item.definition
-      }
+/*
+ * Send a subscriber today's glossary term, with buttons for another term or
+ * to stop them. Rejects if the term couldn't be sent (callSendAPI has logged
+ * why), so it is retried.
+ *
+ */
+function sendTermOfTheDay(recipientId, entry) {
+  return callSendAPI({
+    recipient: { id: recipientId },
+    messaging_type: "MESSAGE_TAG",
+    tag: "NON_PROMOTIONAL_SUBSCRIPTION",
+    message: {
+      text: `Term of the day: ${entry.term}\n\n${entry.definition}`,
+      quick_replies: [
+        textQuickReply("Another one", RANDOM_TERM_PAYLOAD),
+        textQuickReply(
+          "Stop daily terms",
+          encodePayload(TERM_OF_THE_DAY_PAYLOAD, "unsubscribe")
+        )
+      ]
     }
-  )
+  }).then(sent => {
+    if (!sent) {
+      throw new Error("The Send API didn't take the term of the day");
+    }
+  });
+}
 
-  return definition
+/*
+ * Push a live score update. These can arrive long after the user's last
+ * message, so they are tagged as an update to an event the user signed up for.
+ *
+ */
+function sendLiveScoreUpdate(recipientId, text) {
+  return callSendAPI({
+    recipient: { id: recipientId },
+    messaging_type: "MESSAGE_TAG",
+    tag: "CONFIRMED_EVENT_UPDATE",
+    message: { text }
+  });
 }
 
-function sendRandomNewsMessage(recipientId) {
-  const articleNumber = Math.floor(Math.random() * 10) + 1;
+/*
+ * Follow up on the player or topic the user last asked about
+ *
+ */
+async function entityReply(recipientId, entity, log) {
+  if (entity.type === "player") {
+    return entity.id ?
+      playerLatestReply(entity.id, log) :
+      storiesReply("search", entity.name, 1, 5, entity.name, log);
+  }
 
-  fetch("https://content.thewest.com.au/topic/sport/cricket")
-    .then(res => res.json())
-    .then(json => {
-      const publicationId = json.publications[articleNumber];
-      const publication = {
-        title: publicationId.homepageHead,
-        subtitle: publicationId.homepageTeaser,
-        url: `https://thewest.com.au/${publicationId.slug}`
-      };
-      return publication;
-    })
-    .then(publication => {
-      const messageData = {
-        recipient: { id: recipientId },
-        message: {
-          attachment: {
-            template: "generic",
-
-            payload: {
-              template_type: "generic",
-              elements: {
-                title: publication.title,
-                subtitle: publication.subtitle,
-                buttons: [
-                  {
-                    type: "element_share",
-                    share_contents: {
-                      attachment: {
-                        type: "template",
-                        payload: {
-                          template_type: "generic",
-                          elements: [
-                            {
-                              title: "Check out this weird story",
-                              default_action: {
-                                type: "web_url",
-                                url: publication.url
-                              },
-                              buttons: [
-                                {
-                                  type: "web_url",
-                                  url: publication.url,
-                                  title: "Read more"
-                                }
-                              ]
-                            }
-                          ]
-                        }
-                      }
-                    }
-                  }
-                ]
-              }
-            }
-          }
-        }
-      };
-      return messageData;
+  const topics = await topicsFor(recipientId);
+  const topic = await topics.find(entity.payload);
+
+  return topic ? topicReply(topic, log) : null;
+}
+
+/*
+ * A page of stories, either the latest for a curation-api topic
+ * (`kind` "topic") or those matching a keyword (`kind` "search"). When there
+ * are more, the carousel ends with a "More stories" button for the next page.
+ *
+ */
+async function storiesReply(kind, query, page, pageSize, label, log) {
+  const options = { page, pageSize, log };
+  const result =
+    kind === "topic" ?
+      await curation.latest(query, options) :
+      await curation.search(query, options);
+
+  if (!result.articles.length) {
+    return reply().text(
+      page > 1 ?
+        `That's all the stories I have about ${label} for now.` :
+        `Sorry, I couldn't find any stories about ${label}.`
+    );
+  }
+
+  const more = result.hasMore ?
+    encodePayload(MORE_STORIES_PAYLOAD, kind, query, page + 1, pageSize) :
+    null;
+  const message = reply().message(
+    renderCarousel(result.articles, {
+      more,
+      moreSubtitle: `See older stories about ${label}`,
+      link: article => articleLink(article, kind === "topic" ? query : kind)
     })
-    .then(messageData => callSendAPI(messageData))
-    .catch((error, recipientId) => {
-      console.log(error);
-      const errorMessage = {
-        recipient: { id: recipientId },
-        sender_action: "typing_off"
-      };
+  );
+
+  if (!more && page > 1) {
+    message.text(`That's all the stories I have about ${label} for now.`);
+  }
+
+  return message;
+}
 
-      callSendAPI(errorMessage);
+/*
+ * The latest stories for a topic from the topic registry
+ *
+ */
+function topicReply(topic, log) {
+  return storiesReply(
+    "topic",
+    topic.topic,
+    1,
+    topic.pageSize,
+    topic.label,
+    log
+  );
+}
+
+/*
+ * The next page of stories, from a "More stories" button
+ *
+ */
+async function moreStoriesReply(
+  recipientId,
+  kind,
+  query,
+  page,
+  pageSize,
+  log
+) {
+  let label = query;
+
+  if (kind === "topic") {
+    const topics = await topicsFor(recipientId);
+    const topic = (await topics.all()).find(entry => entry.topic === query);
+
+    label = topic ? topic.label : query;
+  }
+
+  return storiesReply(
+    kind,
+    query,
+    parseInt(page, 10) || 2,
+    Math.min(parseInt(pageSize, 10) || 5, MAX_PAGE_SIZE),
+    label,
+    log
+  );
+}
+
+/*
+ * Answer "who is ..." with the player's profile card. A name shared by
+ * several players gets a choice of them instead, and anyone not in the
+ * directory gets a search for stories about them.
+ *
+ */
+function playerReply(query, session, log) {
+  return players.search(query).then(matches => {
+    if (!matches.length) {
+      session.lastEntity = { type: "player", name: query };
+      return storiesReply("search", query, 1, 5, query, log);
+    }
+
+    if (matches.length > 1) {
+      return reply().message(
+        playerModule.renderChoices(query, matches, player =>
+          encodePayload(PLAYER_PAYLOAD, player.id)
+        )
+      );
+    }
+
+    return profileReply(matches[0].id, session);
+  });
+}
+
+function profileReply(id, session) {
+  return players.find(id).then(player => {
+    if (!player) {
+      return reply().text("Sorry, that option isn't available any more.");
+    }
+
+    session.lastEntity = { type: "player", id: player.id, name: player.name };
+
+    return reply()
+      .text(playerModule.describePlayer(player))
+      .message(
+        playerModule.renderProfile(
+          player,
+          encodePayload(PLAYER_LATEST_PAYLOAD, player.id),
+          CURATION_CONFIG.fallbackImage
+        )
+      );
+  });
+}
+
+/*
+ * The latest stories about a player, searching for their `searchTerm` if
+ * they have one or their name otherwise
+ *
+ */
+function playerLatestReply(id, log) {
+  return players.find(id).then(player => {
+    if (!player) {
+      return reply().text("Sorry, that option isn't available any more.");
+    }
+
+    return storiesReply(
+      "search",
+      player.searchTerm || player.name,
+      1,
+      5,
+      player.name,
+      log
+    );
+  });
+}
+
+/*
+ * Explain a bit of cricket jargon. When nothing in the glossary is a
+ * confident match, offer the closest terms as quick replies.
+ *
+ */
+function explainerReply(explainer) {
+  return glossary.search(explainer).then(({ match, candidates }) => {
+    if (match) {
+      return reply().text(match.definition);
+    }
+
+    if (!candidates.length) {
+      return reply().text(
+        `Sorry, I don't know what "${explainer}" means. Try another bit of ` +
+          "cricket jargon, like \"what is a yorker\"."
+      );
+    }
+
+    return reply().message({
+      text: `Sorry, I don't know "${explainer}". Did you mean one of these?`,
+      quick_replies: candidates.map(candidate => ({
+        content_type: "text",
+        title: candidate.term.slice(0, 20),
+        payload: encodePayload(EXPLAIN_PAYLOAD, candidate.term)
+      }))
     });
+  });
+}
+
+function termReply(term) {
+  return glossary.find(term).then(entry =>
+    entry ?
+      reply().text(entry.definition) :
+      reply().text("Sorry, that option isn't available any more.")
+  );
+}
+
+function textQuickReply(title, payload) {
+  return { content_type: "text", title, payload };
 }
 
 /*
- * Send a read receipt to indicate the message has been read
+ * One page of the glossary's A-Z index as quick replies
  *
  */
-function sendReadReceipt(recipientId) {
-  console.log("Sending a read receipt to mark message as seen");
+function glossaryIndexMessage(page) {
+  return glossary.letters().then(letters => {
+    const start = (page - 1) * GLOSSARY_PAGE_SIZE;
+    const quickReplies = letters
+      .slice(start, start + GLOSSARY_PAGE_SIZE)
+      .map(letter =>
+        textQuickReply(
+          letter,
+          encodePayload(GLOSSARY_LETTER_PAYLOAD, letter, 1)
+        )
+      );
 
-  var messageData = {
-    recipient: {
-      id: recipientId
-    },
-    sender_action: "mark_seen"
-  };
+    if (start + GLOSSARY_PAGE_SIZE < letters.length) {
+      quickReplies.push(
+        textQuickReply(
+          "More letters",
+          encodePayload(GLOSSARY_INDEX_PAYLOAD, page + 1)
+        )
+      );
+    } else {
+      quickReplies.push(textQuickReply("Random term", RANDOM_TERM_PAYLOAD));
+    }
 
-  callSendAPI(messageData);
+    return {
+      text: "Pick a letter to browse the glossary.",
+      quick_replies: quickReplies
+    };
+  });
+}
+
+function glossaryIndexReply(page) {
+  return glossaryIndexMessage(page).then(message => reply().message(message));
 }
 
 /*
- * Turn typing indicator on
+ * One page of the terms starting with a letter, as quick replies that
+ * explain the term
  *
  */
-function sendTypingOn(recipientId) {
-  console.log("Turning typing indicator on");
+function glossaryLetterReply(letter, page) {
+  return glossary.byLetter(letter).then(terms => {
+    const upper = String(letter).toUpperCase();
+    const start = (page - 1) * GLOSSARY_PAGE_SIZE;
+    const shown = terms.slice(start, start + GLOSSARY_PAGE_SIZE);
+
+    if (!shown.length) {
+      return glossaryIndexMessage(1).then(message =>
+        reply().message(
+          Object.assign({}, message, {
+            text:
+              `There's nothing under ${upper} in the glossary. ` +
+              "Pick another letter."
+          })
+        )
+      );
+    }
 
-  var messageData = {
-    recipient: {
-      id: recipientId
-    },
-    sender_action: "typing_on"
-  };
+    const quickReplies = shown.map(entry =>
+      textQuickReply(
+        entry.term.slice(0, 20),
+        encodePayload(EXPLAIN_PAYLOAD, entry.term)
+      )
+    );
 
-  callSendAPI(messageData);
+    if (start + GLOSSARY_PAGE_SIZE < terms.length) {
+      quickReplies.push(
+        textQuickReply(
+          `More ${upper} terms`,
+          encodePayload(GLOSSARY_LETTER_PAYLOAD, upper, page + 1)
+        )
+      );
+    } else {
+      quickReplies.push(
+        textQuickReply("A-Z", encodePayload(GLOSSARY_INDEX_PAYLOAD, 1))
+      );
+    }
+
+    return reply().message({
+      text:
+        `${upper} terms ${start + 1}-${start + shown.length} of ` +
+        `${terms.length}. Which one?`,
+      quick_replies: quickReplies
+    });
+  });
 }
 
 /*
- * Turn typing indicator off
+ * A random term, avoiding the one the user was shown last
  *
  */
-function sendTypingOff(recipientId) {
-  console.log("Turning typing indicator off");
+function randomTermReply(session) {
+  return glossary.random(session.slots.lastRandomTerm).then(entry => {
+    session.slots.lastRandomTerm = entry.term;
+
+    return reply().message({
+      text: `${entry.term}\n\n${entry.definition}`,
+      quick_replies: [
+        textQuickReply("Another one", RANDOM_TERM_PAYLOAD),
+        textQuickReply("Glossary A-Z", encodePayload(GLOSSARY_INDEX_PAYLOAD, 1))
+      ]
+    });
+  });
+}
 
-  var messageData = {
-    recipient: {
-      id: recipientId
-    },
-    sender_action: "typing_off"
-  };
+/*
+ * Today's term, with a quick reply to opt in to (or out of) getting one
+ * every day
+ *
+ */
+function termOfTheDayReply(recipientId) {
+  return Promise.all([
+    termOfTheDay.today(),
+    termOfTheDay.isSubscribed(recipientId)
+  ]).then(([entry, subscribed]) =>
+    reply().message({
+      text: `Today's term is ${entry.term}\n\n${entry.definition}`,
+      quick_replies: [
+        subscribed ?
+          textQuickReply(
+            "Stop daily terms",
+            encodePayload(TERM_OF_THE_DAY_PAYLOAD, "unsubscribe")
+          ) :
+          textQuickReply(
+            "Send me one daily",
+            encodePayload(TERM_OF_THE_DAY_PAYLOAD, "subscribe")
+          )
+      ]
+    })
+  );
+}
+
+function termOfTheDaySubscriptionReply(recipientId, subscribe) {
+  if (subscribe) {
+    return termOfTheDay
+      .subscribe(recipientId)
+      .then(() =>
+        reply().text(
+          "Done! I'll send you a new bit of cricket jargon every morning. " +
+            "Say \"stop term of the day\" to stop."
+        )
+      );
+  }
 
-  callSendAPI(messageData);
+  return termOfTheDay
+    .unsubscribe(recipientId)
+    .then(wasSubscribed =>
+      reply().text(
+        wasSubscribed ?
+          "No worries, no more terms of the day." :
+          "You're not getting the term of the day."
+      )
+    );
 }
 
 /*
- * Call the Send API. The message data goes in the body. If successful, we'll
- * get the message id in a response
+ * Show whether the user's Messenger is linked to an account, with a button
+ * to link or unlink it
  *
  */
-function callSendAPI(messageData) {
-  request(
-    {
-      uri: "https://graph.facebook.com/v2.6/me/messages",
-      qs: { access_token: PAGE_ACCESS_TOKEN },
-      method: "POST",
-      json: messageData
-    },
-    function(error, response, body) {
-      if (!error && response.statusCode == 200) {
-        var recipientId = body.recipient_id;
-        var messageId = body.message_id;
-
-        if (messageId) {
-          console.log(
-            "Successfully sent message with id %s to recipient %s",
-            messageId,
-            recipientId
-          );
-        } else {
-          console.log(
-            "Successfully called Send API for recipient %s",
-            recipientId
-          );
+function accountReply(recipientId) {
+  return accountLinking.status(recipientId).then(linked => {
+    const text = linked ?
+      `You're linked to ${linked.account.name || linked.account.username} ` +
+        `(${linked.account.username}).` :
+      "Your Messenger isn't linked to an account yet.";
+    const button = linked ?
+      { type: "account_unlink" } :
+      { type: "account_link", url: `${SERVER_URL}/authorize` };
+
+    return reply().message({
+      attachment: {
+        type: "template",
+        payload: { template_type: "button", text, buttons: [button] }
+      }
+    });
+  });
+}
+
+/*
+ * The next joke the user hasn't heard, from the tag they asked for if any
+ * ("tell me an Ashes joke")
+ *
+ */
+async function jokeReply(recipientId, tag) {
+  const page = await pages.pageFor(recipientId);
+  let joke = await jokes.next(recipientId, tag);
+  const message = reply();
+
+  if (!joke && tag) {
+    message.text(`I don't know any ${tag} jokes, but here's another one.`);
+    joke = await jokes.next(recipientId);
+    tag = undefined;
+  }
+
+  if (!joke) {
+    return message.text("I'm all out of jokes for now. Try me later!");
+  }
+
+  return message.message({
+    text: renderJoke(joke, jokes.footer(page.sponsor)),
+    quick_replies: [
+      {
+        content_type: "text",
+        title: "Another one",
+        payload: tag ? encodePayload(PAYLOADS.JOKE, tag) : PAYLOADS.JOKE
+      }
+    ]
+  });
+}
+
+/*
+ * Call the Send API. The message data goes in the body, sent with the token
+ * of the page the recipient talks to. Resolves to the Send API response, with
+ * the message id, or null if the message couldn't be sent.
+ *
+ * Failures are logged here, to `log` when given so they carry the webhook
+ * event's correlation id. Users who have blocked the page or deleted their
+ * account lose their subscriptions, as nothing can be sent to them any more.
+ *
+ */
+function callSendAPI(messageData, log) {
+  log = log || logger;
+
+  const sentAt = Date.now();
+  const toConsole = devConsole.isUser(messageData.recipient.id);
+  let sending;
+
+  // Messages to the developer console are kept for it instead of being sent
+  if (toConsole) {
+    sending = Promise.resolve(devConsole.record(messageData));
+  } else {
+    sending = pages
+      .pageFor(messageData.recipient.id)
+      .then(page => sendClient.send(messageData, log, page.accessToken));
+  }
+
+  return sending.then(
+    body => {
+      var recipientId = body.recipient_id;
+      var messageId = body.message_id;
+
+      if (messageId) {
+        log.info("Sent message", { recipientId, messageId });
+
+        if (!toConsole) {
+          analytics
+            .recordSent(recipientId, messageId, sentAt)
+            .catch(error => log.error("Couldn't record the send", { error }));
         }
       } else {
-        console.error(
-          "Failed calling Send API",
-          response.statusCode,
-          response.statusMessage,
-          body.error
-        );
+        log.debug("Called the Send API", {
+          recipientId,
+          senderAction: messageData.sender_action
+        });
       }
+
+      return body;
+    },
+    error => {
+      log.error("Failed calling Send API", { error });
+
+      if (
+        error.reason === "user_unavailable" ||
+        error.reason === "no_matching_user"
+      ) {
+        const unsubscribeFailed = failure =>
+          log.error("Couldn't drop the user's subscriptions", {
+            error: failure
+          });
+
+        subscriptions
+          .unfollow(messageData.recipient.id)
+          .catch(unsubscribeFailed);
+        digest.unsubscribe(messageData.recipient.id).catch(unsubscribeFailed);
+        termOfTheDay
+          .unsubscribe(messageData.recipient.id)
+          .catch(unsubscribeFailed);
+      }
+
+      return null;
     }
   );
 }
 
-// Start server
+/*
+ * Start the workers that handle queued webhook events and send scheduled
+ * messages. The server starts them once it's listening; tests that load the
+ * app without listening start and stop them themselves.
+ *
+ */
+function startWorkers() {
+  if (liveScores) {
+    liveScores.start();
+  }
+
+  termOfTheDay.start();
+  digest.start();
+  eventQueue.start();
+}
+
+function stopWorkers() {
+  if (liveScores) {
+    liveScores.stop();
+  }
+
+  termOfTheDay.stop();
+  digest.stop();
+  eventQueue.stop();
+}
+
+// Start server when run directly (`npm start`), but not when required
 // Webhooks must be available via SSL with a certificate signed by a valid
 // certificate authority.
-app.listen(app.get("port"), function() {
-  console.log("Node app is running on port", app.get("port"));
-});
+if (require.main === module) {
+  app.listen(app.get("port"), function() {
+    logger.info("Node app is running", { port: app.get("port") });
+
+    startWorkers();
+
+    if (SETUP_PROFILE_ON_START) {
+      pages.all().forEach(page =>
+        setupProfile({
+          graphApiUrl: GRAPH_API,
+          accessToken: page.accessToken,
+          greeting: page.greetingText
+        })
+          .then(() =>
+            logger.info("Messenger Profile set up", { page: page.id })
+          )
+          .catch(error =>
+            logger.error("Couldn't set up the Messenger Profile", {
+              page: page.id,
+              error
+            })
+          )
+      );
+    }
+  });
+}
 
 module.exports = app;
+module.exports.startWorkers = startWorkers;
+module.exports.stopWorkers = stopWorkers;
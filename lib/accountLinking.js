@@ -0,0 +1,180 @@
+/* jshint node: true, devel: true */
+"use strict";
+
+const crypto = require("crypto");
+const { URL } = require("url");
+
+// Messenger sends users back to a URL on one of these domains after login
+const MESSENGER_DOMAINS = ["facebook.com", "messenger.com"];
+
+/*
+ * True if a `redirect_uri` from Messenger's account linking flow really
+ * points back to Messenger, so the login page can't be used to send
+ * authorization codes anywhere else.
+ *
+ */
+function isMessengerRedirect(uri) {
+  let url;
+
+  try {
+    url = new URL(uri);
+  } catch (error) {
+    return false;
+  }
+
+  return (
+    url.protocol === "https:" &&
+    MESSENGER_DOMAINS.some(
+      domain => url.hostname === domain || url.hostname.endsWith(`.${domain}`)
+    )
+  );
+}
+
+/*
+ * The URL to send a user back to Messenger with, with the authorization code
+ * added when they logged in
+ *
+ */
+function completionUrl(redirectUri, authCode) {
+  const url = new URL(redirectUri);
+
+  if (authCode) {
+    url.searchParams.set("authorization_code", authCode);
+  }
+
+  return url.toString();
+}
+
+/*
+ * Account linking
+ *
+ * Links Messenger users (by PSID) to accounts from `users` (see lib/users).
+ * After a user logs in, `issueCode` gives a random single-use authorization
+ * code that expires after `codeTtl` milliseconds; Messenger hands it back in
+ * the account linking webhook event, where `link` swaps it for the account.
+ *
+ * `codes` and `links` are key/value stores from lib/stores. `links` maps
+ * PSIDs to `{ accountId, linkedAt }`.
+ *
+ */
+function createAccountLinking(options) {
+  const users = options.users;
+  const codes = options.codes;
+  const links = options.links;
+  const codeTtl = options.codeTtl || 10 * 60 * 1000;
+  const now = options.now || (() => Date.now());
+
+  function issueCode(accountId) {
+    const code = crypto.randomBytes(24).toString("hex");
+
+    return codes
+      .set(code, { accountId, expiresAt: now() + codeTtl })
+      .then(() => code);
+  }
+
+  /*
+   * Resolve to the account id for an authorization code, or null if it's
+   * unknown, used or expired. A code only works once.
+   *
+   */
+  function redeemCode(code) {
+    return codes.get(code).then(issued => {
+      if (!issued) {
+        return null;
+      }
+
+      return codes
+        .delete(code)
+        .then(() => (issued.expiresAt > now() ? issued.accountId : null));
+    });
+  }
+
+  /*
+   * Link a PSID to the account an authorization code was issued for.
+   * Resolves to the account, or null if the code isn't valid.
+   *
+   */
+  function link(psid, code) {
+    return redeemCode(code).then(accountId => {
+      if (!accountId) {
+        return null;
+      }
+
+      return users.find(accountId).then(account => {
+        if (!account) {
+          return null;
+        }
+
+        return links
+          .set(psid, { accountId, linkedAt: now() })
+          .then(() => account);
+      });
+    });
+  }
+
+  /*
+   * Unlink a PSID. Resolves to true if it was linked.
+   *
+   */
+  function unlink(psid) {
+    return links.get(psid).then(linked => {
+      if (!linked) {
+        return false;
+      }
+
+      return links.delete(psid).then(() => true);
+    });
+  }
+
+  /*
+   * Resolve to `{ account, linkedAt }` for a linked PSID, or null
+   *
+   */
+  function status(psid) {
+    return links.get(psid).then(linked => {
+      if (!linked) {
+        return null;
+      }
+
+      return users
+        .find(linked.accountId)
+        .then(account =>
+          account ? { account, linkedAt: linked.linkedAt } : null
+        );
+    });
+  }
+
+  /*
+   * Forget authorization codes that have expired without being used
+   *
+   */
+  function pruneCodes() {
+    const current = now();
+
+    return codes
+      .entries()
+      .then(entries =>
+        Promise.all(
+          entries
+            .filter(([, issued]) => issued.expiresAt <= current)
+            .map(([code]) => codes.delete(code))
+        )
+      );
+  }
+
+  return {
+    login: (username, password) => users.authenticate(username, password),
+    issueCode,
+    redeemCode,
+    link,
+    unlink,
+    status,
+    pruneCodes
+  };
+}
+
+module.exports = {
+  completionUrl,
+  createAccountLinking,
+  isMessengerRedirect
+};
@@ -0,0 +1,419 @@
+/* jshint node: true, devel: true */
+"use strict";
+
+const crypto = require("crypto");
+const express = require("express");
+const bodyParser = require("body-parser");
+const { ContentError } = require("./content");
+const { defaultLogger } = require("./logger");
+const { createLruCache } = require("./lruCache");
+
+const REALM = "Bot admin";
+
+/*
+ * The username and password from an HTTP Basic Authorization header, or
+ * null if there aren't any
+ *
+ */
+function basicCredentials(header) {
+  const match = /^Basic\s+(\S+)$/i.exec(header || "");
+
+  if (!match) {
+    return null;
+  }
+
+  const decoded = Buffer.from(match[1], "base64").toString("utf8");
+  const colon = decoded.indexOf(":");
+
+  if (colon === -1) {
+    return null;
+  }
+
+  return {
+    username: decoded.slice(0, colon),
+    password: decoded.slice(colon + 1)
+  };
+}
+
+/*
+ * The report range in a query, or a 400 if it's not one
+ *
+ */
+function reportRange(query) {
+  const range = {};
+  const problems = [];
+
+  ["from", "to"].forEach(name => {
+    if (query[name] === undefined) {
+      return;
+    }
+
+    if (!/^\d{4}-\d\d-\d\d$/.test(query[name])) {
+      problems.push(`${name} must be a date, like 2018-11-21`);
+    }
+    range[name] = query[name];
+  });
+
+  if (query.limit !== undefined) {
+    range.limit = Number(query.limit);
+
+    if (!Number.isInteger(range.limit) || range.limit < 1) {
+      problems.push("limit must be a whole number above 0");
+    }
+  }
+
+  if (problems.length) {
+    return Promise.reject(
+      new ContentError("That isn't a report range", 400, problems)
+    );
+  }
+
+  return Promise.resolve(range);
+}
+
+function sameText(a, b) {
+  const left = Buffer.from(String(a || ""));
+  const right = Buffer.from(String(b || ""));
+
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+/*
+ * Admin routes
+ *
+ * An express router for changing the bot's content without a deploy. Every
+ * route needs HTTP Basic credentials for an account in `users` (anything
+ * with `authenticate(username, password)`, like lib/users.js). For each of
+ * the `collections` from lib/content.js there is
+ *
+ *   GET    api/<collection>        every entry, as [{ id, entry }]
+ *   GET    api/<collection>/<id>   one entry
+ *   POST   api/<collection>        add an entry (JSON body)
+ *   PUT    api/<collection>/<id>   replace an entry (JSON body)
+ *   DELETE api/<collection>/<id>   remove an entry
+ *
+ * and a dashboard page at <collection> rendered from views/admin.ejs, whose
+ * forms carry a token derived from `secret` so other sites can't post them
+ * with the browser's saved credentials. Invalid entries are answered with a
+ * 400 listing their problems.
+ *
+ * Password hashes are slow to check on purpose, so credentials that check out
+ * are remembered for `credentialTtl` milliseconds (five minutes by default).
+ * Only a keyed hash of them is kept, never the password itself.
+ *
+ * When there's a `report(range)` resolving to a report (like lib/analytics'),
+ * GET api/report answers with it, for the dates in its `from` and `to` query
+ * parameters and the `limit` most common unmatched phrases.
+ *
+ */
+function createAdminRouter(options) {
+  const collections = options.collections;
+  const users = options.users;
+  const secret = options.secret;
+  const log = options.log || defaultLogger;
+  const router = express.Router();
+  const byName = new Map(
+    collections.map(collection => [collection.name, collection])
+  );
+  const verified = createLruCache({
+    max: 100,
+    ttl: options.credentialTtl || 5 * 60 * 1000,
+    now: options.now
+  });
+
+  function formToken(user) {
+    return crypto
+      .createHmac("sha256", secret)
+      .update(`admin:${user.id}`)
+      .digest("hex");
+  }
+
+  function credentialKey(given) {
+    return crypto
+      .createHmac("sha256", secret)
+      .update(JSON.stringify(["credentials", given.username, given.password]))
+      .digest("hex");
+  }
+
+  /*
+   * The account for some credentials, from those recently checked if they
+   * are there, or else from `users`
+   *
+   */
+  function verify(given) {
+    const key = credentialKey(given);
+    const known = verified.get(key);
+
+    if (known) {
+      return Promise.resolve(known);
+    }
+
+    return users.authenticate(given.username, given.password).then(user => {
+      if (user) {
+        verified.set(key, user);
+      }
+      return user;
+    });
+  }
+
+  function authenticate(req, res, next) {
+    const given = basicCredentials(req.get("Authorization"));
+    const checking = given ? verify(given) : Promise.resolve(null);
+
+    checking.then(user => {
+      if (!user) {
+        res.set("WWW-Authenticate", `Basic realm="${REALM}", charset="UTF-8"`);
+        res.sendStatus(401);
+        return;
+      }
+
+      req.adminUser = user;
+      next();
+    }, next);
+  }
+
+  function changed(req, action, id) {
+    log.info("Changed content", {
+      user: req.adminUser.username,
+      collection: req.collection.name,
+      action,
+      id
+    });
+  }
+
+  function item(collection, entry) {
+    return { id: collection.idOf(entry), entry };
+  }
+
+  function failed(res, error) {
+    if (error instanceof ContentError) {
+      res
+        .status(error.status)
+        .json({ error: error.message, problems: error.problems });
+      return;
+    }
+
+    log.error("Couldn't change content", { error });
+    res.sendStatus(500);
+  }
+
+  router.use(authenticate);
+
+  router.param("collection", (req, res, next, name) => {
+    req.collection = byName.get(name);
+
+    if (!req.collection) {
+      res.sendStatus(404);
+      return;
+    }
+    next();
+  });
+
+  /*
+   * JSON API
+   *
+   */
+  if (options.report) {
+    router.get("/api/report", (req, res) =>
+      reportRange(req.query).then(
+        range =>
+          options.report(range).then(
+            report => res.json(report),
+            error => {
+              log.error("Couldn't build the report", { error });
+              res.sendStatus(500);
+            }
+          ),
+        error => failed(res, error)
+      )
+    );
+  }
+
+  router.get("/api/:collection", (req, res) =>
+    req.collection
+      .list()
+      .then(
+        entries => res.json(entries.map(entry => item(req.collection, entry))),
+        error => failed(res, error)
+      )
+  );
+
+  router.get("/api/:collection/:id", (req, res) =>
+    req.collection
+      .get(req.params.id)
+      .then(
+        entry => res.json(item(req.collection, entry)),
+        error => failed(res, error)
+      )
+  );
+
+  router.post("/api/:collection", bodyParser.json(), (req, res) =>
+    req.collection.create(req.body).then(entry => {
+      const id = req.collection.idOf(entry);
+      const name = req.collection.name;
+
+      changed(req, "create", id);
+      res
+        .status(201)
+        .location(`${req.baseUrl}/api/${name}/${encodeURIComponent(id)}`)
+        .json(item(req.collection, entry));
+    }, error => failed(res, error))
+  );
+
+  router.put("/api/:collection/:id", bodyParser.json(), (req, res) =>
+    req.collection.replace(req.params.id, req.body).then(entry => {
+      changed(req, "update", req.params.id);
+      res.json(item(req.collection, entry));
+    }, error => failed(res, error))
+  );
+
+  router.delete("/api/:collection/:id", (req, res) =>
+    req.collection.remove(req.params.id).then(() => {
+      changed(req, "delete", req.params.id);
+      res.sendStatus(204);
+    }, error => failed(res, error))
+  );
+
+  /*
+   * Dashboard
+   *
+   */
+  function dashboardUrl(req, query) {
+    return `${req.baseUrl}/${req.collection.name}${query || ""}`;
+  }
+
+  function render(req, res, view) {
+    const collection = req.collection;
+
+    return collection.list().then(entries => {
+      const rows = entries.map(entry => {
+        const id = collection.idOf(entry);
+        const path = `${dashboardUrl(req)}/${encodeURIComponent(id)}`;
+
+        return {
+          id,
+          title: collection.title(entry),
+          editUrl: dashboardUrl(req, `?edit=${encodeURIComponent(id)}`),
+          saveUrl: path,
+          deleteUrl: `${path}/delete`
+        };
+      });
+      const editing =
+        rows.find(row => row.id === (view.editing || req.query.edit)) || null;
+      let entry = collection.template;
+
+      if (editing) {
+        entry = entries[rows.indexOf(editing)];
+      }
+
+      res.status(view.status || 200).render("admin", {
+        collections,
+        collection,
+        baseUrl: req.baseUrl,
+        rows,
+        editing,
+        text: view.text || JSON.stringify(entry, null, 2),
+        notice: req.query.saved ? `Saved ${req.query.saved}` : null,
+        error: view.error || null,
+        problems: view.problems || [],
+        token: formToken(req.adminUser),
+        username: req.adminUser.username
+      });
+    });
+  }
+
+  /*
+   * Parse the JSON typed into a dashboard form, after checking the form
+   * came from the dashboard
+   *
+   */
+  function formEntry(req) {
+    const body = req.body || {};
+
+    if (!sameText(body.token, formToken(req.adminUser))) {
+      return Promise.reject(
+        new ContentError("This form has expired. Reload the page.", 403)
+      );
+    }
+
+    if (body.entry === undefined) {
+      return Promise.resolve(null);
+    }
+
+    try {
+      return Promise.resolve(JSON.parse(body.entry));
+    } catch (error) {
+      return Promise.reject(
+        new ContentError(`That isn't valid JSON: ${error.message}`, 400)
+      );
+    }
+  }
+
+  function formFailed(req, res, editing) {
+    return error => {
+      if (!(error instanceof ContentError)) {
+        log.error("Couldn't change content", { error });
+        res.sendStatus(500);
+        return;
+      }
+
+      return render(req, res, {
+        status: error.status,
+        editing,
+        text: req.body && req.body.entry,
+        error: error.message,
+        problems: error.problems
+      });
+    };
+  }
+
+  const form = bodyParser.urlencoded({ extended: false });
+
+  router.get("/", (req, res) =>
+    res.redirect(`${req.baseUrl}/${collections[0].name}`)
+  );
+
+  router.get("/:collection", (req, res, next) =>
+    render(req, res, {}).catch(next)
+  );
+
+  router.post("/:collection", form, (req, res, next) =>
+    formEntry(req)
+      .then(entry => req.collection.create(entry))
+      .then(entry => {
+        const id = req.collection.idOf(entry);
+
+        changed(req, "create", id);
+        res.redirect(dashboardUrl(req, `?saved=${encodeURIComponent(id)}`));
+      }, formFailed(req, res))
+      .catch(next)
+  );
+
+  router.post("/:collection/:id", form, (req, res, next) =>
+    formEntry(req)
+      .then(entry => req.collection.replace(req.params.id, entry))
+      .then(entry => {
+        const id = req.collection.idOf(entry);
+
+        changed(req, "update", req.params.id);
+        res.redirect(dashboardUrl(req, `?saved=${encodeURIComponent(id)}`));
+      }, formFailed(req, res, req.params.id))
+      .catch(next)
+  );
+
+  router.post("/:collection/:id/delete", form, (req, res, next) =>
+    formEntry(req)
+      .then(() => req.collection.remove(req.params.id))
+      .then(() => {
+        changed(req, "delete", req.params.id);
+        res.redirect(dashboardUrl(req));
+      }, formFailed(req, res))
+      .catch(next)
+  );
+
+  return router;
+}
+
+module.exports = {
+  createAdminRouter
+};
@@ -0,0 +1,439 @@
+/* jshint node: true, devel: true */
+"use strict";
+
+const crypto = require("crypto");
+const { maskPsid } = require("./logger");
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// What a message that no intent matched is counted as
+const UNMATCHED = "unmatched";
+
+// What a message whose handler failed is counted as
+const FAILED = "error";
+
+function emptyDay(date) {
+  return {
+    date,
+    messages: 0,
+    texts: 0,
+    matchedTexts: 0,
+    users: {},
+    intents: {},
+    unmatched: {},
+    latency: { count: 0, total: 0, max: 0 },
+    sent: 0,
+    delivered: 0,
+    read: 0,
+    articles: {}
+  };
+}
+
+function dateOf(time) {
+  return new Date(time).toISOString().slice(0, 10);
+}
+
+function add(counts, key, by) {
+  counts[key] = (counts[key] || 0) + (by === undefined ? 1 : by);
+}
+
+// A share of a whole, to three decimal places, and 0 of nothing
+function rate(part, whole) {
+  return whole ? Math.round(part / whole * 1000) / 1000 : 0;
+}
+
+/*
+ * An unmatched message as it's counted: lower case, without punctuation and
+ * with long numbers (phone numbers, order numbers) blanked out, so the same
+ * question asked twice counts twice and nobody's digits end up in a report
+ *
+ */
+function normalisePhrase(text) {
+  return String(text)
+    .toLowerCase()
+    .replace(/[^\w\s]/g, "")
+    .replace(/\d{4,}/g, "#")
+    .replace(/\s+/g, " ")
+    .trim()
+    .slice(0, 80);
+}
+
+/*
+ * The most common entries of a { key: count } object, as [{ name, count }]
+ *
+ */
+function ranked(counts, name, limit) {
+  return Object.keys(counts)
+    .map(key => ({ [name]: key, count: counts[key] }))
+    .sort((a, b) => b.count - a.count || (a[name] < b[name] ? -1 : 1))
+    .slice(0, limit);
+}
+
+/*
+ * Conversation analytics
+ *
+ * Counts what users ask for and what happens to what the bot sends them,
+ * in one record per day (UTC) in `store`, any key/value backend from
+ * lib/stores. Users are only ever held as a PSID masked with `salt` (see
+ * lib/logger.js), and the only words kept are those of messages no intent
+ * matched, normalised by `normalisePhrase`.
+ *
+ * Sent message ids are kept per user for `sentTtl` milliseconds, so that
+ * delivery and read events (which give mids and a watermark: everything
+ * sent up to that time) can be matched to them. They are counted against
+ * the day they were sent.
+ *
+ * Article links made with `link` go through `linkBase` (the bot's /read
+ * route) with a signature, so `click` can count them against their topic
+ * before redirecting. Without a `linkBase`, links are left as they are.
+ *
+ */
+function createAnalytics(options) {
+  const store = options.store;
+  const salt = options.salt;
+  const linkBase = options.linkBase || null;
+  const now = options.now || (() => Date.now());
+  const sentTtl = options.sentTtl || 7 * DAY;
+  const sentLimit = options.sentLimit || 50;
+  const phraseLimit = options.phraseLimit || 500;
+  const updates = new Map();
+
+  /*
+   * Apply `change(value)` to a key's value and save what it returns, one
+   * change per key at a time so counts aren't lost
+   *
+   */
+  function update(key, change) {
+    const previous = updates.get(key) || Promise.resolve();
+    const updating = previous
+      .catch(() => {})
+      .then(() => store.get(key))
+      .then(value => change(value))
+      .then(value =>
+        value === null ? store.delete(key) : store.set(key, value)
+      );
+
+    updates.set(key, updating);
+    updating
+      .catch(() => {})
+      .then(() => {
+        if (updates.get(key) === updating) {
+          updates.delete(key);
+        }
+      });
+
+    return updating;
+  }
+
+  function updateDay(date, change) {
+    return update(`day:${date}`, day => {
+      const current = day || emptyDay(date);
+
+      change(current);
+      return current;
+    });
+  }
+
+  /*
+   * An inbound message and what became of it. `intent` is the name of the
+   * intent or payload that handled it, null when nothing matched, and
+   * `failed` is set when its handler threw. `text` is what the user typed,
+   * for text messages. `latency` is how long the reply took in milliseconds.
+   *
+   */
+  function recordMessage(message) {
+    let intent = message.intent || UNMATCHED;
+
+    if (message.failed) {
+      intent = FAILED;
+    }
+
+    return updateDay(dateOf(now()), day => {
+      day.messages += 1;
+      day.users[maskPsid(message.psid, salt)] = true;
+      add(day.intents, intent);
+
+      if (typeof message.text === "string") {
+        day.texts += 1;
+
+        if (message.intent) {
+          day.matchedTexts += 1;
+        }
+      }
+
+      if (intent === UNMATCHED && message.text) {
+        const phrase = normalisePhrase(message.text);
+        const known = day.unmatched[phrase] !== undefined;
+
+        if (
+          phrase &&
+          (known || Object.keys(day.unmatched).length < phraseLimit)
+        ) {
+          add(day.unmatched, phrase);
+        }
+      }
+
+      if (typeof message.latency === "number") {
+        day.latency.count += 1;
+        day.latency.total += message.latency;
+        day.latency.max = Math.max(day.latency.max, message.latency);
+      }
+    });
+  }
+
+  function recentSent(list) {
+    const oldest = now() - sentTtl;
+
+    return (list || []).filter(sent => sent.at >= oldest);
+  }
+
+  /*
+   * A message sent to a user. `at` is when it was sent, which is best taken
+   * just before calling the Send API so watermarks from Facebook's clock
+   * cover it.
+   *
+   */
+  function recordSent(psid, mid, at) {
+    const time = at || now();
+
+    return update(`sent:${maskPsid(psid, salt)}`, list =>
+      recentSent(list)
+        .concat({ mid, at: time, delivered: false })
+        .slice(-sentLimit)
+    ).then(() =>
+      updateDay(dateOf(time), day => {
+        day.sent += 1;
+      })
+    );
+  }
+
+  /*
+   * Mark a user's sent messages that `matches` delivered (and read, when
+   * `read` is set), then count them against the days they were sent. Read
+   * messages are done with and dropped.
+   *
+   */
+  function markSent(psid, matches, read) {
+    const counts = {};
+
+    return update(`sent:${maskPsid(psid, salt)}`, list => {
+      const remaining = recentSent(list).filter(sent => {
+        if (!matches(sent)) {
+          return true;
+        }
+
+        const day = dateOf(sent.at);
+
+        counts[day] = counts[day] || { delivered: 0, read: 0 };
+
+        if (!sent.delivered) {
+          counts[day].delivered += 1;
+          sent.delivered = true;
+        }
+
+        if (read) {
+          counts[day].read += 1;
+        }
+        return !read;
+      });
+
+      return remaining.length ? remaining : null;
+    }).then(() =>
+      Promise.all(
+        Object.keys(counts).map(date =>
+          updateDay(date, day => {
+            day.delivered += counts[date].delivered;
+            day.read += counts[date].read;
+          })
+        )
+      )
+    );
+  }
+
+  /*
+   * A delivery event: the messages in `mids`, and everything sent up to
+   * `watermark`, have reached the user
+   *
+   */
+  function recordDelivery(psid, mids, watermark) {
+    const delivered = mids || [];
+
+    return markSent(
+      psid,
+      sent =>
+        !sent.delivered &&
+        (delivered.indexOf(sent.mid) !== -1 || sent.at <= watermark)
+    );
+  }
+
+  /*
+   * A read event: everything sent up to `watermark` has been read
+   *
+   */
+  function recordRead(psid, watermark) {
+    return markSent(psid, sent => sent.at <= watermark, true);
+  }
+
+  function signature(url, topic) {
+    return crypto
+      .createHmac("sha256", salt || "")
+      .update(`${url}\n${topic}`)
+      .digest("hex")
+      .slice(0, 32);
+  }
+
+  /*
+   * The link to give for an article shown in a topic, counting it as shown.
+   * Counting is best effort; failures go to `onError`.
+   *
+   */
+  function link(url, topic, onError) {
+    if (!linkBase || !url || !topic) {
+      return url;
+    }
+
+    updateDay(dateOf(now()), day => {
+      day.articles[topic] = day.articles[topic] || { shown: 0, clicked: 0 };
+      day.articles[topic].shown += 1;
+    }).catch(onError || (() => {}));
+
+    return `${linkBase}?${[
+      `url=${encodeURIComponent(url)}`,
+      `topic=${encodeURIComponent(topic)}`,
+      `sig=${signature(url, topic)}`
+    ].join("&")}`;
+  }
+
+  /*
+   * A tap on a link from `link`, given its query. Resolves to the article's
+   * URL once the click is counted, or null if the link wasn't one of ours.
+   * A click that can't be counted goes to `onError`, and still resolves.
+   *
+   */
+  function click(query, onError) {
+    const url = String(query.url || "");
+    const topic = String(query.topic || "");
+    const expected = Buffer.from(signature(url, topic));
+    const given = Buffer.from(String(query.sig || ""));
+
+    if (
+      !url ||
+      given.length !== expected.length ||
+      !crypto.timingSafeEqual(given, expected)
+    ) {
+      return Promise.resolve(null);
+    }
+
+    return updateDay(dateOf(now()), day => {
+      day.articles[topic] = day.articles[topic] || { shown: 0, clicked: 0 };
+      day.articles[topic].clicked += 1;
+    }).then(
+      () => url,
+      error => {
+        (onError || (() => {}))(error);
+        return url;
+      }
+    );
+  }
+
+  /*
+   * Everything counted from `from` to `to` (dates like "2018-11-21", both
+   * included, the last 30 days by default), with the `limit` most common
+   * unmatched phrases
+   *
+   */
+  function report(range) {
+    const to = (range && range.to) || dateOf(now());
+    const from =
+      (range && range.from) || dateOf(Date.parse(to) - 29 * DAY);
+    const limit = (range && range.limit) || 20;
+
+    return store.entries().then(entries => {
+      const total = emptyDay(null);
+
+      entries
+        .filter(entry => /^day:/.test(entry[0]))
+        .map(entry => entry[1])
+        .filter(day => day.date >= from && day.date <= to)
+        .forEach(day => {
+          [
+            "messages",
+            "texts",
+            "matchedTexts",
+            "sent",
+            "delivered",
+            "read"
+          ].forEach(field => {
+            total[field] += day[field];
+          });
+
+          Object.assign(total.users, day.users);
+          Object.keys(day.intents).forEach(intent =>
+            add(total.intents, intent, day.intents[intent])
+          );
+          Object.keys(day.unmatched).forEach(phrase =>
+            add(total.unmatched, phrase, day.unmatched[phrase])
+          );
+
+          total.latency.count += day.latency.count;
+          total.latency.total += day.latency.total;
+          total.latency.max = Math.max(total.latency.max, day.latency.max);
+
+          Object.keys(day.articles).forEach(topic => {
+            const counts = total.articles[topic] || { shown: 0, clicked: 0 };
+
+            counts.shown += day.articles[topic].shown;
+            counts.clicked += day.articles[topic].clicked;
+            total.articles[topic] = counts;
+          });
+        });
+
+      return {
+        from,
+        to,
+        messages: total.messages,
+        users: Object.keys(total.users).length,
+        hitRate: rate(total.matchedTexts, total.texts),
+        intents: ranked(total.intents, "intent"),
+        unmatched: ranked(total.unmatched, "phrase", limit),
+        latency: {
+          average: Math.round(rate(total.latency.total, total.latency.count)),
+          max: total.latency.max
+        },
+        funnel: {
+          sent: total.sent,
+          delivered: total.delivered,
+          read: total.read,
+          deliveryRate: rate(total.delivered, total.sent),
+          readRate: rate(total.read, total.sent)
+        },
+        articles: Object.keys(total.articles)
+          .map(topic => ({
+            topic,
+            shown: total.articles[topic].shown,
+            clicked: total.articles[topic].clicked,
+            clickThroughRate: rate(
+              total.articles[topic].clicked,
+              total.articles[topic].shown
+            )
+          }))
+          .sort((a, b) => b.clicked - a.clicked || b.shown - a.shown)
+      };
+    });
+  }
+
+  return {
+    recordMessage,
+    recordSent,
+    recordDelivery,
+    recordRead,
+    link,
+    click,
+    report
+  };
+}
+
+module.exports = {
+  createAnalytics,
+  normalisePhrase
+};
@@ -0,0 +1,61 @@
+/* jshint node: true, devel: true */
+"use strict";
+
+// Messenger shows at most 10 elements in a generic template
+const MAX_ELEMENTS = 10;
+
+// The most stories a page can have, leaving room for its "More stories" card
+const MAX_PAGE_SIZE = MAX_ELEMENTS - 1;
+
+/*
+ * Render articles from the curation client as a generic template carousel,
+ * one card per article linking to the story. When `options.more` is a
+ * payload, a last "More stories" card with a postback button is added.
+ * `options.link(article)` can give the URL to link to instead of the
+ * article's own, e.g. one that counts the click first.
+ *
+ */
+function renderCarousel(articles, options) {
+  const more = options && options.more;
+  const link = (options && options.link) || (article => article.url);
+  const limit = more ? MAX_ELEMENTS - 1 : MAX_ELEMENTS;
+  const elements = articles.slice(0, limit).map(article => {
+    const element = {
+      title: article.headline,
+      subtitle: article.teaser,
+      image_url: article.image || undefined
+    };
+
+    if (article.url) {
+      const url = link(article);
+
+      element.default_action = { type: "web_url", url };
+      element.buttons = [{ type: "web_url", url, title: "Read more" }];
+    }
+
+    return element;
+  });
+
+  if (more) {
+    elements.push({
+      title: "More stories",
+      subtitle: (options && options.moreSubtitle) || "See older stories",
+      buttons: [{ type: "postback", title: "More stories", payload: more }]
+    });
+  }
+
+  return {
+    attachment: {
+      type: "template",
+      payload: {
+        template_type: "generic",
+        elements
+      }
+    }
+  };
+}
+
+module.exports = {
+  MAX_PAGE_SIZE,
+  renderCarousel
+};
@@ -0,0 +1,318 @@
+/* jshint node: true, devel: true */
+"use strict";
+
+// The "serverURL" left in config/default.example.json for testdrive users,
+// who are told how to set it when they ask for an image or video
+const SERVER_URL_PLACEHOLDER = "to_be_set_manually";
+
+// Sections that are read as a whole and must be objects when set
+const SECTIONS = [
+  "accountLinking",
+  "admin",
+  "analytics",
+  "curation",
+  "devConsole",
+  "digest",
+  "eventQueue",
+  "fixtures",
+  "jokes",
+  "liveScores",
+  "logging",
+  "pageUsers",
+  "preferences",
+  "sendApi",
+  "sessions",
+  "subscriptions",
+  "termOfTheDay",
+  "webhook"
+];
+
+/*
+ * The values that aren't sections. `env` names the environment variable that
+ * overrides the config file, `required` ones must be set and non-empty.
+ *
+ */
+const SCHEMA = {
+  appSecret: { type: "string", required: true, env: "MESSENGER_APP_SECRET" },
+  validationToken: {
+    type: "string",
+    required: true,
+    env: "MESSENGER_VALIDATION_TOKEN"
+  },
+  pageAccessToken: { type: "string", env: "MESSENGER_PAGE_ACCESS_TOKEN" },
+  serverURL: { type: "url", required: true, env: "SERVER_URL" },
+  graphApiUrl: { type: "url", env: "GRAPH_API_URL" },
+  graphApiVersion: { type: "string", env: "GRAPH_API_VERSION" },
+  greetingText: { type: "string" },
+  topicsFile: { type: "string", env: "TOPICS_FILE" },
+  glossaryFile: { type: "string", env: "GLOSSARY_FILE" },
+  playersFile: { type: "string", env: "PLAYERS_FILE" },
+  defaultTimezone: { type: "number" },
+  setupProfileOnStart: { type: "boolean" }
+};
+
+// Each entry of "pages"
+const PAGE_SCHEMA = {
+  id: { type: "id", required: true },
+  accessToken: { type: "string", required: true },
+  name: { type: "string" },
+  topicsFile: { type: "string" },
+  greetingText: { type: "string" },
+  sponsor: { type: "sponsor" }
+};
+
+/*
+ * Thrown when the config is invalid, with every problem found in `problems`
+ * so they can all be fixed at once
+ *
+ */
+class ConfigError extends Error {
+  constructor(problems) {
+    const lines = problems.map(problem => `  - ${problem}`);
+
+    super(`Invalid config:\n${lines.join("\n")}`);
+    this.name = "ConfigError";
+    this.problems = problems;
+  }
+}
+
+function isUrl(value) {
+  return /^https?:\/\/[^\s/]+/.test(value);
+}
+
+function describe(value) {
+  return JSON.stringify(value);
+}
+
+/*
+ * The problem with a joke sponsor (see lib/jokes.js), or null if it's fine:
+ * a footer, a campaign { footer, from, until, enabled }, a list of
+ * campaigns or false
+ *
+ */
+function checkSponsor(key, value) {
+  if (value === false || typeof value === "string") {
+    return null;
+  }
+
+  if (Array.isArray(value)) {
+    return value.reduce(
+      (problem, campaign, index) =>
+        problem || checkCampaign(`${key}[${index}]`, campaign),
+      null
+    );
+  }
+
+  if (typeof value === "object") {
+    return checkCampaign(key, value);
+  }
+
+  const got = describe(value);
+
+  return `${key} must be a footer, a campaign or a list of campaigns, got ${got}`;
+}
+
+function isDate(value) {
+  return typeof value === "string" && !isNaN(Date.parse(value));
+}
+
+function checkCampaign(key, campaign) {
+  if (!campaign || typeof campaign !== "object" || Array.isArray(campaign)) {
+    return `${key} must be a campaign, got ${describe(campaign)}`;
+  }
+
+  if (campaign.footer === undefined || campaign.footer === "") {
+    return `${key}.footer is missing`;
+  }
+
+  if (typeof campaign.footer !== "string") {
+    return `${key}.footer must be a string, got ${describe(campaign.footer)}`;
+  }
+
+  const badDate = ["from", "until"].find(
+    field => campaign[field] !== undefined && !isDate(campaign[field])
+  );
+
+  if (badDate) {
+    return `${key}.${badDate} must be a date, got ${describe(
+      campaign[badDate]
+    )}`;
+  }
+
+  if (
+    campaign.enabled !== undefined &&
+    typeof campaign.enabled !== "boolean"
+  ) {
+    return `${key}.enabled must be a boolean, got ${describe(
+      campaign.enabled
+    )}`;
+  }
+
+  return null;
+}
+
+/*
+ * The problem with one value, or null if it's fine
+ *
+ */
+function checkValue(key, value, rule) {
+  if (value === undefined || value === null || value === "") {
+    return rule.required ? `${key} is missing` : null;
+  }
+
+  switch (rule.type) {
+    case "id":
+      if (typeof value === "string" || typeof value === "number") {
+        return null;
+      }
+      return `${key} must be a page id, got ${describe(value)}`;
+    case "sponsor":
+      return checkSponsor(key, value);
+    case "url":
+      if (typeof value === "string" && isUrl(value)) {
+        return null;
+      }
+      return `${key} must be an http(s) URL, got ${describe(value)}`;
+    default:
+      if (typeof value === rule.type) {
+        return null;
+      }
+      return `${key} must be a ${rule.type}, got ${describe(value)}`;
+  }
+}
+
+function checkPages(pages) {
+  const problems = [];
+  const seen = new Map();
+
+  if (!Array.isArray(pages)) {
+    return ["pages must be a list of pages"];
+  }
+
+  if (!pages.length) {
+    return ["pages must list at least one page"];
+  }
+
+  pages.forEach((page, index) => {
+    const key = `pages[${index}]`;
+
+    if (!page || typeof page !== "object") {
+      problems.push(`${key} must be an object`);
+      return;
+    }
+
+    Object.keys(PAGE_SCHEMA).forEach(field => {
+      const problem = checkValue(
+        `${key}.${field}`,
+        page[field],
+        PAGE_SCHEMA[field]
+      );
+
+      if (problem) {
+        problems.push(problem);
+      }
+    });
+
+    if (page.id !== undefined && seen.has(String(page.id))) {
+      problems.push(
+        `${key}.id repeats pages[${seen.get(String(page.id))}].id`
+      );
+    } else if (page.id !== undefined) {
+      seen.set(String(page.id), index);
+    }
+  });
+
+  return problems;
+}
+
+/*
+ * Every problem with a set of config values, as sentences naming the key.
+ * Without "pages" the app talks to one page, so "pageAccessToken" is
+ * required instead.
+ *
+ */
+function validateConfig(values) {
+  const problems = [];
+
+  Object.keys(SCHEMA).forEach(key => {
+    const rule = Object.assign({}, SCHEMA[key]);
+
+    if (key === "pageAccessToken" && values.pages === undefined) {
+      rule.required = true;
+    }
+
+    if (key === "serverURL" && values[key] === SERVER_URL_PLACEHOLDER) {
+      return;
+    }
+
+    const problem = checkValue(key, values[key], rule);
+
+    if (problem) {
+      problems.push(rule.env ? `${problem} (or set ${rule.env})` : problem);
+    }
+  });
+
+  SECTIONS.forEach(key => {
+    const value = values[key];
+
+    if (
+      value !== undefined &&
+      (value === null || typeof value !== "object" || Array.isArray(value))
+    ) {
+      problems.push(`${key} must be an object`);
+    }
+  });
+
+  if (values.pages !== undefined) {
+    problems.push(...checkPages(values.pages));
+  }
+
+  return problems;
+}
+
+/*
+ * Read and check the config, with environment variables applied over the
+ * config files. Resolves the pages the app talks to: those in "pages", or
+ * one page using "pageAccessToken". Throws a ConfigError naming every
+ * missing or invalid key.
+ *
+ * `config` is the config package (or anything with `has` and `get`).
+ *
+ */
+function loadConfig(config, env) {
+  const keys = Object.keys(SCHEMA).concat(SECTIONS, ["pages"]);
+  const values = {};
+
+  keys.forEach(key => {
+    const rule = SCHEMA[key] || {};
+
+    if (rule.env && env[rule.env]) {
+      values[key] = env[rule.env];
+    } else if (config.has(key)) {
+      values[key] = config.get(key);
+    }
+  });
+
+  const problems = validateConfig(values);
+
+  if (problems.length) {
+    throw new ConfigError(problems);
+  }
+
+  let pages = [{ id: null, accessToken: values.pageAccessToken }];
+
+  if (values.pages) {
+    pages = values.pages.map(page =>
+      Object.assign({}, page, { id: String(page.id) })
+    );
+  }
+
+  return Object.assign({}, values, { pages });
+}
+
+module.exports = {
+  ConfigError,
+  SERVER_URL_PLACEHOLDER,
+  loadConfig,
+  validateConfig
+};
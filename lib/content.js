@@ -0,0 +1,388 @@
+/* jshint node: true, devel: true */
+"use strict";
+
+const { MAX_PAGE_SIZE } = require("./articles");
+const dataFile = require("./dataFile");
+const { jokeKey } = require("./jokes");
+const { SEPARATOR } = require("./payloadRouter");
+
+/*
+ * A content change that can't be made. `status` is the HTTP status to answer
+ * with and `problems` lists what's wrong with an entry that didn't validate.
+ *
+ */
+class ContentError extends Error {
+  constructor(message, status, problems) {
+    super(message);
+    this.name = "ContentError";
+    this.status = status;
+    this.problems = problems || [];
+  }
+}
+
+function isText(value) {
+  return typeof value === "string" && value.trim() !== "";
+}
+
+// What each kind of field must hold, and what to say when it doesn't
+const FIELD_TYPES = {
+  text: { valid: isText, says: "must be text" },
+  texts: {
+    valid: value => Array.isArray(value) && value.every(isText),
+    says: "must be a list of text"
+  },
+  count: {
+    valid: value => Number.isInteger(value) && value > 0,
+    says: "must be a whole number above 0"
+  },
+  time: {
+    valid: value =>
+      isText(value) &&
+      /(Z|[+-]\d\d:\d\d)$/.test(value) &&
+      !isNaN(Date.parse(value)),
+    says: "must be a time with a timezone, like 2018-11-21T18:20:00+10:00"
+  }
+};
+
+/*
+ * The problems with an entry, checking each field against its type in
+ * `rules` (see FIELD_TYPES). Fields ending in "?" are optional.
+ *
+ */
+function check(entry, rules) {
+  if (!entry || typeof entry !== "object" || Array.isArray(entry)) {
+    return ["The entry must be an object"];
+  }
+
+  return Object.keys(rules).reduce((problems, name) => {
+    const optional = name.endsWith("?");
+    const field = optional ? name.slice(0, -1) : name;
+    const value = entry[field];
+    const type = FIELD_TYPES[rules[name]];
+
+    if (value === undefined || value === null || value === "") {
+      if (!optional) {
+        problems.push(`${field} is missing`);
+      }
+    } else if (!type.valid(value)) {
+      problems.push(`${field} ${type.says}`);
+    }
+
+    return problems;
+  }, []);
+}
+
+/*
+ * Only the fields named in the rules, so nothing unexpected is written
+ *
+ */
+function pick(entry, rules) {
+  return Object.keys(rules).reduce((picked, name) => {
+    const field = name.replace(/\?$/, "");
+
+    if (entry[field] !== undefined && entry[field] !== "") {
+      picked[field] = entry[field];
+    }
+    return picked;
+  }, {});
+}
+
+/*
+ * Content collection
+ *
+ * A list of entries in a JSON data file that the admin routes can change.
+ * Every change is validated, then written atomically through lib/dataFile,
+ * which also updates the cache the bot's handlers read from, so the change
+ * is live straight away.
+ *
+ * `rules` say which fields an entry has (see `check`), and `problems(entry)`
+ * lists anything else wrong with one. `idOf(entry)` gives its id and
+ * `title(entry)` a one-line summary. `read(data)` and
+ * `write(data, entries)` get the entries out of the file's contents and put
+ * them back, for files that are more than a list.
+ *
+ */
+function createCollection(options) {
+  const file = options.file;
+  const rules = options.rules;
+  const idOf = options.idOf;
+  const read = options.read || (data => data);
+  const write = options.write || ((data, entries) => entries);
+  const prepare = options.prepare || (entry => entry);
+  const problemsWith = options.problems || (() => []);
+
+  function sameId(entry, id) {
+    return idOf(entry).toLowerCase() === String(id).toLowerCase();
+  }
+
+  function list() {
+    return dataFile.readJSON(file).then(read);
+  }
+
+  function get(id) {
+    return list().then(entries => {
+      const entry = entries.find(other => sameId(other, id));
+
+      if (!entry) {
+        throw new ContentError(`No ${options.noun} "${id}"`, 404);
+      }
+      return entry;
+    });
+  }
+
+  /*
+   * Resolves to the entry with only the fields in `rules`, or rejects with
+   * its problems
+   *
+   */
+  function validate(input) {
+    let problems = check(input, rules);
+
+    if (!problems.length) {
+      problems = problemsWith(input);
+    }
+
+    if (problems.length) {
+      return Promise.reject(
+        new ContentError(`That ${options.noun} isn't valid`, 400, problems)
+      );
+    }
+
+    return Promise.resolve(pick(input, rules));
+  }
+
+  /*
+   * Apply `change(entries)` to the file's entries and write them back.
+   * Resolves to whatever `change` returns.
+   *
+   */
+  function update(change) {
+    let result;
+
+    return dataFile
+      .updateJSON(file, data => {
+        const entries = read(data);
+
+        result = change(entries);
+        return write(data, entries);
+      })
+      .then(() => result);
+  }
+
+  function create(input) {
+    return validate(input).then(valid =>
+      update(entries => {
+        const entry = prepare(valid);
+
+        if (entries.some(other => sameId(other, idOf(entry)))) {
+          throw new ContentError(
+            `There's already a ${options.noun} "${idOf(entry)}"`,
+            409
+          );
+        }
+
+        entries.push(entry);
+        return entry;
+      })
+    );
+  }
+
+  function replace(id, input) {
+    return validate(input).then(valid =>
+      update(entries => {
+        const index = entries.findIndex(other => sameId(other, id));
+
+        if (index === -1) {
+          throw new ContentError(`No ${options.noun} "${id}"`, 404);
+        }
+
+        const entry = prepare(valid, entries[index]);
+        const clash = entries.findIndex(other =>
+          sameId(other, idOf(entry))
+        );
+
+        if (clash !== -1 && clash !== index) {
+          throw new ContentError(
+            `There's already a ${options.noun} "${idOf(entry)}"`,
+            409
+          );
+        }
+
+        entries[index] = entry;
+        return entry;
+      })
+    );
+  }
+
+  function remove(id) {
+    return update(entries => {
+      const index = entries.findIndex(other => sameId(other, id));
+
+      if (index === -1) {
+        throw new ContentError(`No ${options.noun} "${id}"`, 404);
+      }
+
+      return entries.splice(index, 1)[0];
+    });
+  }
+
+  return {
+    name: options.name,
+    label: options.label,
+    noun: options.noun,
+    template: options.template,
+    idOf,
+    title: options.title,
+    list,
+    get,
+    create,
+    replace,
+    remove
+  };
+}
+
+/*
+ * Jokes from data/jokes.json. A joke's id is its `id`, or its question
+ * when it hasn't got one. Editing the question of a joke without an `id`
+ * gives it its old one, so who has heard it is still known.
+ *
+ */
+function createJokeCollection(file) {
+  return createCollection({
+    file,
+    name: "jokes",
+    label: "Jokes",
+    noun: "joke",
+    rules: {
+      "id?": "text",
+      question: "text",
+      answer: "text",
+      "tags?": "texts"
+    },
+    template: { question: "", answer: "", tags: [] },
+    idOf: jokeKey,
+    title: joke => joke.question,
+    prepare: (joke, previous) => {
+      if (previous && !joke.id && jokeKey(previous) !== jokeKey(joke)) {
+        return Object.assign({ id: jokeKey(previous) }, joke);
+      }
+      return joke;
+    }
+  });
+}
+
+/*
+ * Terms from data/explainers.json, by term. An entry without a term carries
+ * on the definition before it, so those are joined up when read.
+ *
+ */
+function createGlossaryCollection(file) {
+  return createCollection({
+    file,
+    name: "glossary",
+    label: "Glossary",
+    noun: "term",
+    rules: { term: "text", definition: "text", "aliases?": "texts" },
+    template: { term: "", definition: "", aliases: [] },
+    idOf: entry => entry.term,
+    title: entry => entry.term,
+    read: entries =>
+      entries.reduce((terms, entry) => {
+        if (entry.term) {
+          terms.push(entry);
+        } else if (terms.length && entry.definition) {
+          const previous = terms[terms.length - 1];
+
+          terms[terms.length - 1] = Object.assign({}, previous, {
+            definition: `${previous.definition}\n\n${entry.definition}`
+          });
+        }
+        return terms;
+      }, [])
+  });
+}
+
+/*
+ * Topics from a topics file (see lib/topics.js), by payload. A topic's
+ * payload is sent back as it is, so it can't have the separator
+ * encodePayload puts between arguments in it, nor be one of the payloads
+ * `options.isReserved(payload)` says the bot already handles. Its page of
+ * stories has to fit in one carousel.
+ *
+ */
+function createTopicCollection(file, options) {
+  const isReserved = (options && options.isReserved) || (() => false);
+
+  return createCollection({
+    file,
+    name: (options && options.name) || "topics",
+    label: (options && options.label) || "Topics",
+    noun: "topic",
+    rules: {
+      payload: "text",
+      label: "text",
+      topic: "text",
+      "aliases?": "texts",
+      "pageSize?": "count"
+    },
+    template: { payload: "", label: "", topic: "", aliases: [], pageSize: 5 },
+    idOf: topic => topic.payload,
+    title: topic => `${topic.label} (${topic.topic})`,
+    problems: topic => {
+      if (topic.payload.indexOf(SEPARATOR) !== -1) {
+        return [`payload can't contain "${SEPARATOR}"`];
+      }
+      if (isReserved(topic.payload)) {
+        return [`payload ${topic.payload} is already used by the bot`];
+      }
+      if (topic.pageSize > MAX_PAGE_SIZE) {
+        return [`pageSize can't be more than ${MAX_PAGE_SIZE}`];
+      }
+      return [];
+    }
+  });
+}
+
+/*
+ * The matches in a fixtures file (see lib/fixtures.js), by id. The teams,
+ * competitions and "more" link in the same file are left as they are.
+ *
+ */
+function createFixtureCollection(file) {
+  return createCollection({
+    file,
+    name: "fixtures",
+    label: "Fixtures",
+    noun: "match",
+    rules: {
+      id: "text",
+      "name?": "text",
+      competition: "text",
+      teams: "texts",
+      venue: "text",
+      startTime: "time",
+      "image?": "text"
+    },
+    template: {
+      id: "",
+      name: "",
+      competition: "",
+      teams: ["", ""],
+      venue: "",
+      startTime: "2018-11-21T18:20:00+10:00"
+    },
+    idOf: match => match.id,
+    title: match => `${match.teams.join(" v ")}, ${match.startTime}`,
+    read: data => data.matches || [],
+    write: (data, matches) => Object.assign(data, { matches })
+  });
+}
+
+module.exports = {
+  ContentError,
+  createCollection,
+  createFixtureCollection,
+  createGlossaryCollection,
+  createJokeCollection,
+  createTopicCollection
+};
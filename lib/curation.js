@@ -0,0 +1,197 @@
+/* jshint node: true, devel: true */
+"use strict";
+
+const fetch = require("node-fetch");
+const { URLSearchParams } = require("url");
+const { defaultLogger } = require("./logger");
+const { createLruCache } = require("./lruCache");
+
+const DEFAULTS = {
+  baseUrl: "https://gazette.swmdigital.io/curation-api/the-west",
+  siteUrl: "https://thewest.com.au",
+  timeout: 5000,
+  cacheSize: 200,
+  ttl: 60 * 1000,
+  topicTtl: {},
+  fallbackImage: null
+};
+
+/*
+ * Curation-api documents have grown a few different shapes over time, and
+ * missing fields come back as null, undefined or empty strings.
+ *
+ */
+function firstString() {
+  for (let i = 0; i < arguments.length; i++) {
+    const value = arguments[i];
+
+    if (typeof value === "string" && value.trim()) {
+      return value.trim();
+    }
+  }
+
+  return null;
+}
+
+function imageReference(image) {
+  return image ? firstString(image.reference, image.url) : null;
+}
+
+/*
+ * Normalise a curation-api document into the article model every content
+ * handler uses:
+ *
+ *   { id, headline, teaser, url, image }
+ *
+ * `url` is the canonical article URL on the site and `image` falls back from
+ * the poster image to the main image to the configured fallback image, so
+ * either can be null.
+ *
+ */
+function normaliseArticle(document, options) {
+  const settings = Object.assign({}, DEFAULTS, options);
+  const slug = firstString(document.slug);
+
+  return {
+    id: firstString(document.id, document._id, slug),
+    headline: firstString(document.homepageHead, document.heading) || "",
+    teaser: firstString(document.homepageTeaser, document.teaser) || "",
+    url:
+      firstString(document.canonicalUrl) ||
+      (slug ? `${settings.siteUrl}/${slug.replace(/^\//, "")}` : null) ||
+      firstString(document._self),
+    image:
+      imageReference(document.posterImage) ||
+      imageReference(document.mainImage) ||
+      settings.fallbackImage
+  };
+}
+
+/*
+ * Curation API client
+ *
+ * Fetches publications from the curation-api by topic or keyword. Responses
+ * are normalised into articles and kept in an LRU cache for `ttl`
+ * milliseconds, or for the time given for that topic in `topicTtl`
+ * (e.g. `{ "sport/cricket": 30000 }`). Requests give up after `timeout`
+ * milliseconds.
+ *
+ * Both `latest` and `search` resolve to
+ * `{ articles, page, pageSize, total, hasMore }`. Their `options` can carry
+ * a `log` to trace the request with, in place of the client's own `log`.
+ * Searches are made with what the user wrote, so their URLs are never logged
+ * or put in errors: requests are described by topic, or as a search.
+ *
+ */
+function createCurationClient(options) {
+  const settings = Object.assign({}, DEFAULTS, options);
+  const cache = createLruCache({ max: settings.cacheSize, ttl: settings.ttl });
+  const defaultLog = settings.log || defaultLogger;
+
+  function fetchPublications(query, ttl, log) {
+    const params = new URLSearchParams(
+      Object.assign({ includeFuture: "true" }, query)
+    );
+    const url = `${settings.baseUrl}/publication?${params.toString()}`;
+    const request = {
+      topic: query.topics || "(search)",
+      page: query.page,
+      pageSize: query.page_size
+    };
+    const cached = cache.get(url);
+
+    if (cached) {
+      log.debug("Curation API response served from the cache", request);
+      return Promise.resolve(cached);
+    }
+
+    const started = Date.now();
+
+    return fetch(url, { timeout: settings.timeout })
+      .then(res => {
+        log.debug(
+          "Called the curation API",
+          Object.assign({}, request, {
+            status: res.status,
+            ms: Date.now() - started
+          })
+        );
+        if (!res.ok) {
+          throw new Error(
+            `Curation API returned ${res.status} for ${request.topic}`
+          );
+        }
+        return res.json();
+      })
+      .then(json => {
+        const page = Number(query.page);
+        const pageSize = Number(query.page_size);
+        const documents = Array.isArray(json.documents) ? json.documents : [];
+        const total = typeof json.total === "number" ? json.total : null;
+        let hasMore = page * pageSize < total;
+
+        // Without a total, a full page suggests there is another one
+        if (total === null) {
+          hasMore = documents.length === pageSize;
+        }
+
+        const result = {
+          articles: documents.map(document =>
+            normaliseArticle(document, settings)
+          ),
+          page,
+          pageSize,
+          total,
+          hasMore
+        };
+
+        cache.set(url, result, ttl);
+        return result;
+      });
+  }
+
+  function logFor(options) {
+    return (options && options.log) || defaultLog;
+  }
+
+  function paging(options) {
+    return {
+      page: String((options && options.page) || 1),
+      page_size: String((options && options.pageSize) || 5)
+    };
+  }
+
+  /*
+   * The latest articles for a topic slug, e.g. "sport/cricket"
+   *
+   */
+  function latest(topic, options) {
+    return fetchPublications(
+      Object.assign(paging(options), { topics: topic }),
+      settings.topicTtl[topic],
+      logFor(options)
+    );
+  }
+
+  /*
+   * Articles matching a keyword or publication id
+   *
+   */
+  function search(keyword, options) {
+    return fetchPublications(
+      Object.assign(paging(options), { idOrKeyword: keyword }),
+      undefined,
+      logFor(options)
+    );
+  }
+
+  return {
+    latest,
+    search
+  };
+}
+
+module.exports = {
+  createCurationClient,
+  normaliseArticle
+};
@@ -0,0 +1,103 @@
+/* jshint node: true, devel: true */
+"use strict";
+
+const crypto = require("crypto");
+const { promisify } = require("util");
+const fs = require("fs");
+
+const statAsync = promisify(fs.stat);
+const readFileAsync = promisify(fs.readFile);
+const writeFileAsync = promisify(fs.writeFile);
+const renameAsync = promisify(fs.rename);
+const unlinkAsync = promisify(fs.unlink);
+
+const cache = new Map();
+
+// The last update queued for each file
+const updates = new Map();
+
+/*
+ * Read and parse a JSON data file. The parsed contents are cached against the
+ * file's modification time, so edits on disk are picked up on the next read
+ * without restarting the server.
+ *
+ */
+function readJSON(file) {
+  return statAsync(file).then(stats => {
+    const cached = cache.get(file);
+
+    if (
+      cached &&
+      cached.mtimeMs === stats.mtimeMs &&
+      cached.size === stats.size
+    ) {
+      return cached.data;
+    }
+
+    return readFileAsync(file, { encoding: "utf8" }).then(contents => {
+      const data = JSON.parse(contents);
+
+      cache.set(file, { mtimeMs: stats.mtimeMs, size: stats.size, data });
+      return data;
+    });
+  });
+}
+
+/*
+ * Write a JSON data file atomically. The data goes to a temporary file next
+ * to it, which is then renamed over the file, so readers see either the old
+ * contents or the new ones, never half a file. The cache is updated too, so
+ * the next read has the new data even within the same millisecond.
+ *
+ */
+function writeJSON(file, data) {
+  const temporary = `${file}.${crypto.randomBytes(6).toString("hex")}.tmp`;
+  const contents = `${JSON.stringify(data, null, 2)}\n`;
+
+  return writeFileAsync(temporary, contents, { encoding: "utf8" })
+    .then(() => renameAsync(temporary, file))
+    .catch(error =>
+      unlinkAsync(temporary)
+        .catch(() => {})
+        .then(() => {
+          throw error;
+        })
+    )
+    .then(() => statAsync(file))
+    .then(stats => {
+      cache.set(file, { mtimeMs: stats.mtimeMs, size: stats.size, data });
+      return data;
+    });
+}
+
+/*
+ * Read a JSON data file, change it and write it back. `change(data)` returns
+ * (or resolves to) the new data. Updates to the same file run one at a time,
+ * so two at once can't overwrite each other's changes.
+ *
+ */
+function updateJSON(file, change) {
+  const previous = updates.get(file) || Promise.resolve();
+  const updating = previous
+    .catch(() => {})
+    .then(() => readJSON(file))
+    .then(data => change(JSON.parse(JSON.stringify(data))))
+    .then(data => writeJSON(file, data));
+
+  updates.set(file, updating);
+  updating
+    .catch(() => {})
+    .then(() => {
+      if (updates.get(file) === updating) {
+        updates.delete(file);
+      }
+    });
+
+  return updating;
+}
+
+module.exports = {
+  readJSON,
+  updateJSON,
+  writeJSON
+};
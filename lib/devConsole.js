@@ -0,0 +1,203 @@
+/* jshint node: true, devel: true */
+"use strict";
+
+const crypto = require("crypto");
+const { createLruCache } = require("./lruCache");
+
+// Console users have made-up PSIDs, so they can never clash with real ones
+const ID_PREFIX = "console-";
+const ID_PATTERN = /^console-[a-z0-9-]{1,64}$/;
+
+// Messenger's limit on the length of a text message
+const MAX_TEXT_LENGTH = 2000;
+
+/*
+ * A new console user id
+ *
+ */
+function newUserId() {
+  return `${ID_PREFIX}${crypto.randomBytes(8).toString("hex")}`;
+}
+
+function isUserId(id) {
+  return typeof id === "string" && ID_PATTERN.test(id);
+}
+
+function hasPayload(tap) {
+  return Boolean(tap && typeof tap.payload === "string" && tap.payload);
+}
+
+/*
+ * Developer console
+ *
+ * Lets the chat page at public/console.html talk to the bot without
+ * Facebook. What a console user types or taps is turned into the same
+ * messaging event the webhook would get:
+ *
+ *   { psid, text }
+ *   { psid, quickReply: { payload, title } }
+ *   { psid, postback: { payload, title } }
+ *
+ * and passed to `handler(event)`. Send API calls to console users don't go
+ * to Facebook: the app hands them to `record(messageData)` instead, and
+ * `send` resolves to the calls made while the event was handled. Calls
+ * made later, like the daily digest, are kept too and can be fetched with
+ * `messages(psid, after)`. Only the last `limit` calls for each user are
+ * kept, for the `users` users heard from or polled most recently, and for
+ * no longer than `ttl` milliseconds after that.
+ *
+ */
+function createDevConsole(options) {
+  const handler = options.handler;
+  const pageId = options.pageId || "DEV_CONSOLE";
+  const limit = options.limit || 100;
+  const now = options.now || (() => Date.now());
+
+  const outboxes = createLruCache({
+    max: options.users || 50,
+    ttl: options.ttl || 60 * 60 * 1000,
+    now
+  });
+  let lastMid = 0;
+
+  /*
+   * A user's outbox, made if they haven't got one. Using it keeps it
+   * from being evicted.
+   *
+   */
+  function outbox(psid) {
+    const box = outboxes.get(psid) || { count: 0, calls: [] };
+
+    outboxes.set(psid, box);
+    return box;
+  }
+
+  /*
+   * Keep a Send API call to a console user, returning what the Send API
+   * would have answered
+   *
+   */
+  function record(messageData) {
+    const recipientId = messageData.recipient.id;
+    const box = outbox(recipientId);
+
+    box.count += 1;
+    box.calls.push({ index: box.count, time: now(), messageData });
+    box.calls.splice(0, box.calls.length - limit);
+
+    lastMid += 1;
+    return {
+      recipient_id: recipientId,
+      message_id: messageData.message ? `console.m_${lastMid}` : undefined
+    };
+  }
+
+  /*
+   * The Send API calls to a user after the `after`th one, and the cursor to
+   * ask for the next ones with
+   *
+   */
+  function messages(psid, after) {
+    const box = outboxes.get(psid) || { count: 0, calls: [] };
+    const from = Number(after) || 0;
+
+    // Polling counts as using the conversation
+    if (box.count) {
+      outboxes.set(psid, box);
+    }
+
+    return {
+      messages: box.calls
+        .filter(call => call.index > from)
+        .map(call => call.messageData),
+      cursor: box.count
+    };
+  }
+
+  /*
+   * The webhook messaging event for what a user typed or tapped, or null if
+   * `input` isn't one of the shapes above
+   *
+   */
+  function event(input) {
+    const psid = input && input.psid;
+    const base = {
+      sender: { id: psid },
+      recipient: { id: pageId },
+      timestamp: now()
+    };
+
+    if (!isUserId(psid)) {
+      return null;
+    }
+
+    lastMid += 1;
+    const mid = `console.m_${lastMid}`;
+
+    if (hasPayload(input.quickReply)) {
+      return Object.assign(base, {
+        message: {
+          mid,
+          text: String(input.quickReply.title || input.quickReply.payload),
+          quick_reply: { payload: input.quickReply.payload }
+        }
+      });
+    }
+
+    if (hasPayload(input.postback)) {
+      return Object.assign(base, {
+        postback: {
+          mid,
+          title: String(input.postback.title || input.postback.payload),
+          payload: input.postback.payload
+        }
+      });
+    }
+
+    if (
+      typeof input.text === "string" &&
+      input.text.trim() &&
+      input.text.length <= MAX_TEXT_LENGTH
+    ) {
+      return Object.assign(base, { message: { mid, text: input.text } });
+    }
+
+    return null;
+  }
+
+  /*
+   * Handle what a user typed or tapped and resolve to
+   * `{ messages, cursor }` with every Send API call made meanwhile
+   *
+   */
+  function send(input) {
+    const messagingEvent = event(input);
+
+    if (!messagingEvent) {
+      return Promise.reject(
+        new TypeError(
+          "Expected a console psid and a text, quickReply or postback"
+        )
+      );
+    }
+
+    const cursor = outbox(input.psid).count;
+
+    return Promise.resolve(handler(messagingEvent)).then(() =>
+      messages(input.psid, cursor)
+    );
+  }
+
+  return {
+    isUser: isUserId,
+    record,
+    messages,
+    event,
+    send
+  };
+}
+
+module.exports = {
+  createDevConsole,
+  newUserId
+};
@@ -0,0 +1,272 @@
+/* jshint node: true, devel: true */
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const { promisify } = require("util");
+const { defaultLogger } = require("./logger");
+const { createTimer, localTime } = require("./schedule");
+
+const appendFileAsync = promisify(fs.appendFile);
+const mkdirAsync = promisify(fs.mkdir);
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Messenger only allows ordinary messages within 24 hours of the user's last
+// message to the page
+// https://developers.facebook.com/docs/messenger-platform/policy/policy-overview#24hours_window
+const MESSAGING_WINDOW = DAY;
+
+/*
+ * Daily digest
+ *
+ * Users who subscribe get a carousel of top stories once a day, sent on the
+ * first `tick()` at or after the hour they picked in their own timezone.
+ * Subscribers are kept in `store` (any backend from lib/stores) as
+ * `{ hour, utcOffset, subscribedAt, lastDay, lastSeen }`, where `lastDay` is
+ * the last local day they were sent a digest, so restarts don't send it
+ * twice. It's only recorded once the digest has been sent: a digest that
+ * fails is tried again `retryDelay` milliseconds later, until the day ends.
+ *
+ * Messenger only accepts ordinary messages within 24 hours of the user's
+ * last message, so `seen(id)` should be called whenever a user messages the
+ * page. A digest due outside that window is sent with `messageTag` if one is
+ * configured, and skipped otherwise.
+ *
+ * `stories(recipientId)` resolves to the articles for a user's digest and
+ * `send(recipientId, articles, delivery)` delivers them, rejecting if they
+ * couldn't be sent, where `delivery` is `{ messagingType, tag }` for the
+ * Send API. With `dryRun` set nothing is
+ * sent: each planned digest is appended to the `dryRunLog` file as a line
+ * of JSON instead.
+ *
+ */
+function createDigest(options) {
+  const store = options.store;
+  const stories = options.stories;
+  const send = options.send;
+  const defaultHour = options.hour === undefined ? 7 : options.hour;
+  const defaultUtcOffset =
+    options.utcOffset === undefined ? 8 : options.utcOffset;
+  const messageTag = options.messageTag || null;
+  const dryRun = Boolean(options.dryRun);
+  const dryRunLog = options.dryRunLog;
+  const interval = options.interval || 60 * 1000;
+  const retryDelay = options.retryDelay || 10 * 60 * 1000;
+  const now = options.now || (() => Date.now());
+  const log = options.log || defaultLogger;
+
+  function get(id) {
+    return store.get(id).then(subscriber => subscriber || null);
+  }
+
+  /*
+   * Subscribe a user, or change the hour and timezone of their digest.
+   * A digest isn't sent twice on the same day, and the first one comes
+   * today if the chosen hour is still to come.
+   *
+   */
+  function subscribe(id, settings) {
+    return get(id).then(subscriber => {
+      const current = now();
+      const chosen = Object.assign(
+        { hour: defaultHour, utcOffset: defaultUtcOffset },
+        subscriber,
+        settings
+      );
+      const hour = chosen.hour;
+      const utcOffset = chosen.utcOffset;
+      const local = localTime(current, utcOffset);
+      let lastDay = local.hour < hour ? local.day - 1 : local.day;
+
+      if (subscriber) {
+        lastDay = Math.max(lastDay, subscriber.lastDay);
+      }
+
+      const updated = Object.assign(
+        { subscribedAt: current, lastSeen: current },
+        subscriber,
+        { hour, utcOffset, lastDay }
+      );
+
+      return store.set(id, updated).then(() => updated);
+    });
+  }
+
+  /*
+   * Unsubscribe a user. Resolves to true if they were subscribed.
+   *
+   */
+  function unsubscribe(id) {
+    return get(id).then(subscriber => {
+      if (!subscriber) {
+        return false;
+      }
+
+      return store.delete(id).then(() => true);
+    });
+  }
+
+  /*
+   * Record that a subscriber has messaged the page, opening the messaging
+   * window for their next digest
+   *
+   */
+  function seen(id) {
+    return get(id).then(subscriber => {
+      if (!subscriber) {
+        return false;
+      }
+
+      return store
+        .set(id, Object.assign({}, subscriber, { lastSeen: now() }))
+        .then(() => true);
+    });
+  }
+
+  /*
+   * How a digest can be sent to a subscriber right now, or null if it can't
+   *
+   */
+  function deliveryFor(subscriber, current) {
+    if (current - (subscriber.lastSeen || 0) < MESSAGING_WINDOW) {
+      return { messagingType: "UPDATE", tag: null };
+    }
+
+    if (messageTag) {
+      return { messagingType: "MESSAGE_TAG", tag: messageTag };
+    }
+
+    return null;
+  }
+
+  function logPlan(entry) {
+    return mkdirAsync(path.dirname(dryRunLog))
+      .catch(error => {
+        if (error.code !== "EEXIST") {
+          throw error;
+        }
+      })
+      .then(() => appendFileAsync(dryRunLog, `${JSON.stringify(entry)}\n`));
+  }
+
+  function deliver(id, subscriber, delivery, current) {
+    return stories(id).then(articles => {
+      if (!articles.length) {
+        log.info("No stories for today's digest", { recipientId: id });
+        return false;
+      }
+
+      if (!dryRun) {
+        return Promise.resolve(send(id, articles, delivery)).then(() => true);
+      }
+
+      return logPlan({
+        time: new Date(current).toISOString(),
+        recipient: id,
+        hour: subscriber.hour,
+        utcOffset: subscriber.utcOffset,
+        messagingType: delivery.messagingType,
+        tag: delivery.tag,
+        articles: articles.map(article => ({
+          id: article.id,
+          headline: article.headline,
+          url: article.url
+        }))
+      }).then(() => true);
+    });
+  }
+
+  /*
+   * Change the stored subscriber, as it is now, unless they've unsubscribed
+   *
+   */
+  function update(id, changes) {
+    return get(id).then(subscriber => {
+      if (!subscriber) {
+        return null;
+      }
+
+      return store.set(id, Object.assign({}, subscriber, changes));
+    });
+  }
+
+  /*
+   * Send today's digest to every subscriber whose hour has come and who
+   * hasn't had it yet. Resolves to the number of digests sent (or logged,
+   * in a dry run).
+   *
+   */
+  function tick() {
+    const current = now();
+
+    return store.entries().then(entries =>
+      Promise.all(
+        entries.map(([id, subscriber]) => {
+          const local = localTime(current, subscriber.utcOffset);
+
+          if (
+            local.hour < subscriber.hour ||
+            subscriber.lastDay >= local.day ||
+            (subscriber.retryAt || 0) > current
+          ) {
+            return 0;
+          }
+
+          const delivery = deliveryFor(subscriber, current);
+          let delivering = Promise.resolve(false);
+
+          if (delivery) {
+            delivering = deliver(id, subscriber, delivery, current);
+          } else {
+            log.info("Skipped a digest outside the messaging window", {
+              recipientId: id
+            });
+          }
+
+          return delivering.then(
+            sent =>
+              update(id, { lastDay: local.day, retryAt: undefined }).then(
+                () => (sent ? 1 : 0)
+              ),
+            error => {
+              log.error("Couldn't send the digest", {
+                recipientId: id,
+                error
+              });
+              return update(id, { retryAt: current + retryDelay }).then(
+                () => 0
+              );
+            }
+          ).catch(error => {
+            log.error("Couldn't update the digest subscriber", {
+              recipientId: id,
+              error
+            });
+            return 0;
+          });
+        })
+      ).then(sent => sent.reduce((total, count) => total + count, 0))
+    );
+  }
+
+  const timer = createTimer(
+    () =>
+      tick().catch(error => log.error("Couldn't send the digests", { error })),
+    interval
+  );
+
+  return {
+    get,
+    subscribe,
+    unsubscribe,
+    seen,
+    tick,
+    start: timer.start,
+    stop: timer.stop
+  };
+}
+
+module.exports = {
+  createDigest
+};
@@ -0,0 +1,400 @@
+/* jshint node: true, devel: true */
+"use strict";
+
+const crypto = require("crypto");
+const { defaultLogger } = require("./logger");
+
+const HOUR = 60 * 60 * 1000;
+
+/*
+ * A stable id for a webhook messaging event, used to process it only once:
+ * the message or postback `mid` when there is one, otherwise a hash of the
+ * whole event.
+ *
+ */
+function eventId(event) {
+  const mid =
+    (event.message && event.message.mid) ||
+    (event.postback && event.postback.mid);
+
+  if (mid) {
+    return mid;
+  }
+
+  return crypto
+    .createHash("sha1")
+    .update(JSON.stringify(event))
+    .digest("hex");
+}
+
+/*
+ * An attempt at handling an event that took longer than the queue's
+ * `timeout`. The handler may still be running.
+ *
+ */
+class TimeoutError extends Error {
+  constructor(ms) {
+    super(`Timed out after ${ms}ms`);
+    this.name = "TimeoutError";
+  }
+}
+
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new TimeoutError(ms)), ms);
+  });
+
+  return Promise.race([promise, timeout]).then(
+    result => {
+      clearTimeout(timer);
+      return result;
+    },
+    error => {
+      clearTimeout(timer);
+      throw error;
+    }
+  );
+}
+
+/*
+ * Event queue
+ *
+ * Webhook events are written to `jobs` (any key/value store from lib/stores)
+ * as soon as they arrive and processed by up to `concurrency` workers calling
+ * `handler(event, id)`. Events with the same `key` (the sender) are processed one
+ * at a time in the order they arrived.
+ *
+ * A failed event is retried up to `retries` times with exponential backoff
+ * starting at `backoff` milliseconds, then moved to the `deadLetters` store.
+ * The ids of processed events are kept in `processed` for `processedTtl`
+ * milliseconds so an event delivered or queued twice is only handled once.
+ * Events still queued when the process stops are picked up by `start()`.
+ *
+ * An attempt that takes longer than `timeout` milliseconds counts as failed,
+ * but its handler can't be stopped. The retry waits for it to finish rather
+ * than handling the event a second time alongside it, and if it does finish
+ * the event is done.
+ *
+ */
+function createEventQueue(options) {
+  const jobs = options.jobs;
+  const deadLetters = options.deadLetters;
+  const processed = options.processed;
+  const handler = options.handler;
+  const concurrency = options.concurrency || 1;
+  const retries = options.retries === undefined ? 5 : options.retries;
+  const backoff = options.backoff || 1000;
+  const timeout = options.timeout || 60 * 1000;
+  const processedTtl = options.processedTtl || 24 * HOUR;
+  const now = options.now || (() => Date.now());
+  const log = options.log || defaultLogger;
+
+  const inFlight = new Map();
+  const unfinished = new Map();
+  let lastSeq = 0;
+  let running = false;
+  let pumping = false;
+  let pumpAgain = false;
+  let timer = null;
+  let pruneTimer = null;
+
+  /*
+   * Queue an event under its id. Resolves to false, without queueing it
+   * again, if the event is already queued or has been processed.
+   *
+   */
+  function enqueue(id, key, event) {
+    return Promise.all([jobs.get(id), processed.get(id)]).then(
+      ([queued, done]) => {
+        if (queued || done) {
+          return false;
+        }
+
+        lastSeq = Math.max(lastSeq + 1, now() * 1000);
+
+        return jobs
+          .set(id, {
+            id,
+            key,
+            event,
+            seq: lastSeq,
+            attempts: 0,
+            availableAt: now()
+          })
+          .then(() => {
+            kick();
+            return true;
+          });
+      }
+    );
+  }
+
+  function succeed(job) {
+    return processed.set(job.id, now()).then(() => jobs.delete(job.id));
+  }
+
+  function fail(job, error) {
+    const attempts = job.attempts + 1;
+    const message = (error && error.message) || String(error);
+
+    if (attempts > retries) {
+      log.error("Giving up on an event", {
+        correlationId: job.id,
+        attempts,
+        error: message
+      });
+
+      return deadLetters
+        .set(
+          job.id,
+          Object.assign({}, job, { attempts, error: message, failedAt: now() })
+        )
+        .then(() => jobs.delete(job.id));
+    }
+
+    log.warn("Event failed, will retry", {
+      correlationId: job.id,
+      attempts,
+      error: message
+    });
+
+    return jobs.set(
+      job.id,
+      Object.assign({}, job, {
+        attempts,
+        error: message,
+        availableAt: now() + backoff * Math.pow(2, attempts - 1)
+      })
+    );
+  }
+
+  /*
+   * Call the handler for a job. When it times out, the job is failed as
+   * usual but the handler is kept in `unfinished` until it settles, and the
+   * event is done if it succeeds after all.
+   *
+   */
+  function handle(job) {
+    const handling = Promise.resolve().then(() => handler(job.event, job.id));
+
+    return withTimeout(handling, timeout).then(
+      () => succeed(job),
+      error => {
+        const failing = fail(job, error);
+
+        if (!(error instanceof TimeoutError)) {
+          return failing;
+        }
+
+        const finishing = failing
+          .catch(() => {})
+          .then(() => handling)
+          .then(
+            () => {
+              log.warn("Event finished after timing out", {
+                correlationId: job.id
+              });
+              return succeed(job).then(() => deadLetters.delete(job.id));
+            },
+            () => {}
+          )
+          .catch(failure =>
+            log.error("Couldn't update the event queue", { error: failure })
+          )
+          .then(() => unfinished.delete(job.id));
+
+        unfinished.set(job.id, finishing);
+        return failing;
+      }
+    );
+  }
+
+  /*
+   * Handle a job unless it's been done already. A job whose last attempt
+   * timed out and is still running waits for that attempt (for up to
+   * `timeout` again, which counts as another failed attempt) and is only
+   * handled again if it failed.
+   *
+   */
+  function attempt(job) {
+    return processed.get(job.id).then(done => {
+      // Handled before, e.g. by a worker that finished after this job was
+      // read from the store
+      if (done) {
+        return jobs.delete(job.id);
+      }
+
+      const earlier = unfinished.get(job.id);
+
+      if (!earlier) {
+        return handle(job);
+      }
+
+      return withTimeout(earlier, timeout).then(
+        () => attempt(job),
+        error => fail(job, error)
+      );
+    });
+  }
+
+  function run(job) {
+    inFlight.set(job.id, job.key);
+
+    attempt(job)
+      .catch(error => log.error("Couldn't update the event queue", { error }))
+      .then(() => {
+        inFlight.delete(job.id);
+        kick();
+      });
+  }
+
+  /*
+   * Start every job that can run now, and set a timer for the next retry
+   *
+   */
+  function pump() {
+    return jobs.entries().then(entries => {
+      const current = now();
+      const busyKeys = new Set(inFlight.values());
+      let nextRetry = null;
+
+      entries
+        .map(([, job]) => job)
+        .sort((a, b) => a.seq - b.seq)
+        .forEach(job => {
+          if (inFlight.has(job.id) || busyKeys.has(job.key)) {
+            return;
+          }
+
+          // Later events for this sender wait behind this one
+          busyKeys.add(job.key);
+
+          if (job.availableAt > current) {
+            nextRetry = Math.min(nextRetry || Infinity, job.availableAt);
+          } else if (inFlight.size < concurrency) {
+            run(job);
+          }
+        });
+
+      clearTimeout(timer);
+      timer = nextRetry ? setTimeout(kick, nextRetry - current) : null;
+    });
+  }
+
+  function kick() {
+    if (!running) {
+      return;
+    }
+
+    if (pumping) {
+      pumpAgain = true;
+      return;
+    }
+
+    pumping = true;
+    pump()
+      .catch(error => log.error("Couldn't read the event queue", { error }))
+      .then(() => {
+        pumping = false;
+        if (pumpAgain) {
+          pumpAgain = false;
+          kick();
+        }
+      });
+  }
+
+  /*
+   * Forget processed event ids older than `processedTtl`
+   *
+   */
+  function prune() {
+    const cutoff = now() - processedTtl;
+
+    return processed
+      .entries()
+      .then(entries =>
+        Promise.all(
+          entries
+            .filter(([, processedAt]) => processedAt < cutoff)
+            .map(([id]) => processed.delete(id))
+        )
+      );
+  }
+
+  /*
+   * Start the workers, picking up any events left in the queue
+   *
+   */
+  function start() {
+    if (running) {
+      return;
+    }
+
+    running = true;
+    jobs
+      .entries()
+      .then(entries => {
+        entries.forEach(([, job]) => {
+          lastSeq = Math.max(lastSeq, job.seq);
+        });
+      })
+      .catch(error => log.error("Couldn't read the event queue", { error }))
+      .then(kick);
+
+    pruneTimer = setInterval(
+      () =>
+        prune().catch(error =>
+          log.error("Couldn't prune processed events", { error })
+        ),
+      HOUR
+    );
+    pruneTimer.unref();
+  }
+
+  function stop() {
+    running = false;
+    clearTimeout(timer);
+    clearInterval(pruneTimer);
+    timer = null;
+  }
+
+  /*
+   * Move a dead-lettered event back onto the queue for another go
+   *
+   */
+  function requeue(id) {
+    return deadLetters.get(id).then(job => {
+      if (!job) {
+        return false;
+      }
+
+      return jobs
+        .set(id, Object.assign({}, job, { attempts: 0, availableAt: now() }))
+        .then(() => deadLetters.delete(id))
+        .then(() => {
+          kick();
+          return true;
+        });
+    });
+  }
+
+  function values(store) {
+    return store.entries().then(entries => entries.map(([, job]) => job));
+  }
+
+  return {
+    enqueue,
+    start,
+    stop,
+    prune,
+    requeue,
+    pending: () => values(jobs),
+    failed: () => values(deadLetters)
+  };
+}
+
+module.exports = {
+  createEventQueue,
+  eventId
+};
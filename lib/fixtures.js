@@ -0,0 +1,246 @@
+/* jshint node: true, devel: true */
+"use strict";
+
+const fetch = require("node-fetch");
+const dataFile = require("./dataFile");
+const { encodePayload } = require("./payloadRouter");
+
+// Payload of the "Notify me" button on each fixture
+const NOTIFY_PAYLOAD = "NOTIFY";
+
+const DAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+const MONTHS = [
+  "Jan", "Feb", "Mar", "Apr", "May", "Jun",
+  "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"
+];
+
+/*
+ * Fixture sources
+ *
+ * A source has a `load()` method resolving to
+ * `{ moreUrl, teams, competitions, matches }`. Each match has an `id`,
+ * `competition`, `teams`, `venue` and a `startTime` in ISO 8601 with a
+ * timezone offset, e.g. "2018-11-21T18:20:00+10:00".
+ *
+ */
+function createFileSource(file) {
+  return {
+    load: () => dataFile.readJSON(file)
+  };
+}
+
+function createHttpSource(url) {
+  return {
+    load: () =>
+      fetch(url, { timeout: 5000 }).then(res => {
+        if (!res.ok) {
+          throw new Error(`Fixture source returned ${res.status}`);
+        }
+        return res.json();
+      })
+  };
+}
+
+/*
+ * Create a fixture source from config such as
+ * `{ "source": "file", "file": "data/fixtures.json" }` or
+ * `{ "source": "http", "url": "https://example.com/fixtures.json" }`.
+ *
+ */
+function createSource(options) {
+  switch (options.source || "file") {
+    case "file":
+      return createFileSource(options.file);
+    case "http":
+      return createHttpSource(options.url);
+    default:
+      throw new Error(`Unknown fixture source "${options.source}"`);
+  }
+}
+
+function normalise(text) {
+  return String(text)
+    .toLowerCase()
+    .replace(/[^\w\s]/g, "")
+    .trim();
+}
+
+/*
+ * Does the query name this team or competition, either by name or by alias?
+ *
+ */
+function namedBy(entry, query) {
+  return [entry.name]
+    .concat(entry.aliases || [])
+    .some(name => normalise(name) === query);
+}
+
+/*
+ * Format a date in a timezone given as an offset from UTC in hours, as
+ * Messenger reports it for a user. For example "Wed 21 Nov 2018, 4:20 PM".
+ *
+ */
+function formatStartTime(date, utcOffset) {
+  const local = new Date(date.getTime() + utcOffset * 60 * 60 * 1000);
+  const hours = local.getUTCHours();
+  const minutes = String(local.getUTCMinutes()).padStart(2, "0");
+
+  return (
+    `${DAYS[local.getUTCDay()]} ${local.getUTCDate()} ` +
+    `${MONTHS[local.getUTCMonth()]} ${local.getUTCFullYear()}, ` +
+    `${hours % 12 || 12}:${minutes} ${hours < 12 ? "AM" : "PM"}`
+  );
+}
+
+function matchTitle(match) {
+  const teams = match.teams.join(" v ");
+
+  return match.name ? `${teams}, ${match.name}` : teams;
+}
+
+/*
+ * Fixtures
+ *
+ * Looks up upcoming matches from a fixture source, optionally filtered by a
+ * team or competition named in the user's message.
+ *
+ */
+function createFixtures(options) {
+  const source = options.source;
+  const now = options.now || (() => Date.now());
+
+  /*
+   * Resolve to the next `limit` matches that haven't started yet, soonest
+   * first. `query` is a team or competition name or alias; when it doesn't
+   * name anything the result has `unknownQuery` set.
+   *
+   */
+  function upcoming(query, limit) {
+    return source.load().then(data => {
+      const current = now();
+      let matches = (data.matches || [])
+        .map(match =>
+          Object.assign({}, match, { start: new Date(match.startTime) })
+        )
+        .filter(match => match.start.getTime() > current)
+        .sort((a, b) => a.start - b.start);
+
+      const filter = query ? normalise(query) : "";
+      let unknownQuery = false;
+
+      if (filter) {
+        const teams = (data.teams || []).filter(team => namedBy(team, filter));
+        const competitions = (data.competitions || []).filter(competition =>
+          namedBy(competition, filter)
+        );
+
+        if (teams.length || competitions.length) {
+          const names = teams.concat(competitions).map(entry => entry.name);
+
+          matches = matches.filter(
+            match =>
+              names.indexOf(match.competition) !== -1 ||
+              match.teams.some(team => names.indexOf(team) !== -1)
+          );
+        } else {
+          unknownQuery = true;
+        }
+      }
+
+      return {
+        moreUrl: data.moreUrl,
+        matches: matches.slice(0, limit),
+        unknownQuery
+      };
+    });
+  }
+
+  /*
+   * Resolve to the name of the team the query names, or null
+   *
+   */
+  function findTeam(query) {
+    const filter = normalise(query);
+
+    return source.load().then(data => {
+      const team = (data.teams || []).find(entry => namedBy(entry, filter));
+
+      return team ? team.name : null;
+    });
+  }
+
+  function findMatch(id) {
+    return source
+      .load()
+      .then(data => (data.matches || []).find(match => match.id === id));
+  }
+
+  return {
+    upcoming,
+    findTeam,
+    findMatch
+  };
+}
+
+/*
+ * Render matches as a Send API message: a generic template for a single
+ * match, or a compact list template (which needs 2 to 4 elements).
+ *
+ */
+function renderFixtures(matches, utcOffset, moreUrl) {
+  const elements = matches.slice(0, 4).map(match => ({
+    title: matchTitle(match),
+    subtitle: `${formatStartTime(match.start, utcOffset)}. ${match.venue}`,
+    image_url: match.image,
+    buttons: [
+      {
+        type: "postback",
+        title: "Notify me",
+        payload: encodePayload(NOTIFY_PAYLOAD, match.id)
+      }
+    ]
+  }));
+  let buttons;
+
+  if (moreUrl) {
+    buttons = [{ title: "More on The West", type: "web_url", url: moreUrl }];
+  }
+
+  if (elements.length === 1) {
+    return {
+      attachment: {
+        type: "template",
+        payload: {
+          template_type: "generic",
+          elements: [
+            Object.assign({}, elements[0], {
+              buttons: elements[0].buttons.concat(buttons || [])
+            })
+          ]
+        }
+      }
+    };
+  }
+
+  return {
+    attachment: {
+      type: "template",
+      payload: {
+        template_type: "list",
+        top_element_style: "compact",
+        elements,
+        buttons
+      }
+    }
+  };
+}
+
+module.exports = {
+  MONTHS,
+  NOTIFY_PAYLOAD,
+  createFixtures,
+  matchTitle,
+  createSource,
+  formatStartTime,
+  renderFixtures
+};
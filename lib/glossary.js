@@ -0,0 +1,309 @@
+/* jshint node: true, devel: true */
+"use strict";
+
+const path = require("path");
+const dataFile = require("./dataFile");
+
+const DEFAULT_GLOSSARY_FILE = path.join(
+  __dirname,
+  "..",
+  "data",
+  "explainers.json"
+);
+
+// A match scoring at least this is answered straight away; anything lower
+// gets "did you mean" suggestions instead.
+const CONFIDENT_SCORE = 0.8;
+const SUGGESTION_SCORE = 0.4;
+
+/*
+ * Lower-case a term or query and strip it down to words: hyphens become
+ * spaces, other punctuation goes, and a leading "the", "a" or "an" is dropped.
+ *
+ */
+function normalise(text) {
+  return String(text)
+    .toLowerCase()
+    .replace(/&/g, " and ")
+    .replace(/[-_/]/g, " ")
+    .replace(/[^a-z0-9\s]/g, "")
+    .replace(/\s+/g, " ")
+    .trim()
+    .replace(/^(the|a|an) /, "");
+}
+
+/*
+ * Split "Batsman/batter", "Leg-break/spin" or "Platinum/diamond/royal duck"
+ * into the full names they stand for.
+ *
+ */
+function expandSlashes(name) {
+  const parts = name.split("/").map(part => part.trim());
+
+  if (parts.length === 1) {
+    return parts;
+  }
+
+  const words = parts.map(part => part.split(/[\s-]+/));
+  const first = words[0];
+  const last = words[words.length - 1];
+
+  // "Leg-break/spin": later single words replace the first part's last word
+  if (first.length > 1 && words.slice(1).every(part => part.length === 1)) {
+    return [parts[0]].concat(
+      words.slice(1).map(part => first.slice(0, -1).concat(part).join(" "))
+    );
+  }
+
+  // "Platinum/diamond/royal duck": earlier single words share the last
+  // part's last word
+  if (last.length > 1 && words.slice(0, -1).every(part => part.length === 1)) {
+    return words
+      .slice(0, -1)
+      .map(part => part.concat(last.slice(-1)).join(" "))
+      .concat(parts[parts.length - 1]);
+  }
+
+  return parts;
+}
+
+/*
+ * Every name a glossary term can be looked up by: the term itself, the
+ * alternatives written into it ("Around the wicket or round the wicket",
+ * "Back spin(also under-spin)", "One Day Internationals (ODIs)",
+ * "V, in the") and any `aliases` listed in the data file.
+ *
+ */
+function namesFor(entry) {
+  const names = [];
+  const term = entry.term;
+  const bracketed = term.match(/\(([^)]*)\)/);
+  const base = term.replace(/\([^)]*\)/g, " ").split(",")[0];
+
+  names.push(base);
+  if (bracketed) {
+    names.push(bracketed[1].replace(/^also /, ""));
+  }
+
+  return names
+    .concat(entry.aliases || [])
+    .reduce((all, name) => all.concat(name.split(/ or /i)), [])
+    .reduce((all, name) => all.concat(expandSlashes(name)), [])
+    .map(normalise)
+    .filter((name, index, all) => name && all.indexOf(name) === index);
+}
+
+/*
+ * Optimal string alignment distance: the number of insertions, deletions,
+ * substitutions and swaps of neighbouring letters between two strings.
+ *
+ */
+function editDistance(a, b) {
+  const rows = [];
+
+  for (let i = 0; i <= a.length; i++) {
+    rows.push([i]);
+  }
+  for (let j = 1; j <= b.length; j++) {
+    rows[0][j] = j;
+  }
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+
+      rows[i][j] = Math.min(
+        rows[i - 1][j] + 1,
+        rows[i][j - 1] + 1,
+        rows[i - 1][j - 1] + cost
+      );
+
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+
+  return rows[a.length][b.length];
+}
+
+function singular(text) {
+  return text.replace(/(es|s)$/, "");
+}
+
+/*
+ * Score how well a normalised query matches one name for a term, from 0 to 1
+ *
+ */
+function scoreName(query, name) {
+  if (query === name) {
+    return 1;
+  }
+  if (singular(query) === singular(name)) {
+    return 0.95;
+  }
+
+  const similarity =
+    1 - editDistance(query, name) / Math.max(query.length, name.length);
+  const queryWords = query.split(" ");
+  const nameWords = name.split(" ");
+  const shared = queryWords.filter(word => nameWords.indexOf(word) !== -1);
+
+  // "duckworth" for "duckworth lewis": every word of the query is in the name
+  let overlap =
+    0.5 * (shared.length / Math.max(queryWords.length, nameWords.length));
+
+  if (shared.length === queryWords.length) {
+    overlap = 0.6 + 0.3 * (shared.length / nameWords.length);
+  }
+
+  return Math.max(similarity, overlap);
+}
+
+/*
+ * Read the glossary file into terms. An entry without a term continues the
+ * definition of the term before it.
+ *
+ */
+function loadTerms(file) {
+  return dataFile.readJSON(file).then(entries =>
+    entries.reduce((terms, entry) => {
+      if (entry.term) {
+        terms.push({
+          term: entry.term,
+          letter: normalise(entry.term).charAt(0).toUpperCase(),
+          definition: entry.definition,
+          names: namesFor(entry)
+        });
+      } else if (terms.length && entry.definition) {
+        const previous = terms[terms.length - 1];
+
+        previous.definition = `${previous.definition}\n\n${entry.definition}`;
+      }
+
+      return terms;
+    }, [])
+  );
+}
+
+/*
+ * Glossary
+ *
+ * Looks up cricket jargon in data/explainers.json. Matching ignores case and
+ * punctuation, knows each term's alternative names and aliases, and
+ * tolerates small typos.
+ *
+ */
+function createGlossary(options) {
+  const file = (options && options.file) || DEFAULT_GLOSSARY_FILE;
+
+  function terms() {
+    return loadTerms(file);
+  }
+
+  /*
+   * Resolve to `{ match, candidates }`: `match` is the term when the query
+   * matches one confidently, otherwise null, and `candidates` are the best
+   * `limit` other terms to suggest.
+   *
+   */
+  function search(query, limit) {
+    const normalised = normalise(query);
+
+    return terms().then(all => {
+      const ranked = all
+        .map(term => ({
+          term,
+          score: Math.max.apply(
+            null,
+            term.names.map(name => scoreName(normalised, name))
+          )
+        }))
+        .sort((a, b) => b.score - a.score);
+      const best = ranked[0];
+      const confident = best && best.score >= CONFIDENT_SCORE;
+
+      return {
+        match: confident ? best.term : null,
+        candidates: ranked
+          .slice(confident ? 1 : 0)
+          .filter(result => result.score >= SUGGESTION_SCORE)
+          .slice(0, limit || 3)
+          .map(result => result.term)
+      };
+    });
+  }
+
+  /*
+   * Resolve to the term with exactly this name, or undefined
+   *
+   */
+  function find(term) {
+    return terms().then(all => all.find(entry => entry.term === term));
+  }
+
+  /*
+   * Resolve to the letters that have terms, in alphabetical order
+   *
+   */
+  function letters() {
+    return terms().then(all =>
+      all
+        .map(entry => entry.letter)
+        .filter((letter, index, list) => list.indexOf(letter) === index)
+        .sort()
+    );
+  }
+
+  /*
+   * Resolve to the terms starting with a letter, in alphabetical order
+   *
+   */
+  function byLetter(letter) {
+    const wanted = String(letter).toUpperCase();
+
+    return terms().then(all =>
+      all
+        .filter(entry => entry.letter === wanted)
+        .sort((a, b) => normalise(a.term).localeCompare(normalise(b.term)))
+    );
+  }
+
+  /*
+   * Resolve to a random term, other than `except` when there's a choice
+   *
+   */
+  function random(except) {
+    return terms().then(all => {
+      const choices = all.filter(entry => entry.term !== except);
+      const pool = choices.length ? choices : all;
+
+      return pool[Math.floor(Math.random() * pool.length)];
+    });
+  }
+
+  /*
+   * Resolve to the term for a day, given as a number of days since the epoch.
+   * Consecutive days step through the glossary by a large prime so that
+   * neighbouring terms don't follow each other.
+   *
+   */
+  function forDay(day) {
+    return terms().then(all => all[(day * 7919) % all.length]);
+  }
+
+  return {
+    terms,
+    search,
+    find,
+    letters,
+    byLetter,
+    random,
+    forDay
+  };
+}
+
+module.exports = {
+  createGlossary,
+  normalise
+};
@@ -0,0 +1,129 @@
+/* jshint node: true, devel: true */
+"use strict";
+
+/*
+ * Run a single pattern against the text. Global regexes keep state between
+ * calls in `lastIndex`, so it is reset before every match.
+ *
+ */
+function matchPattern(pattern, text) {
+  pattern.lastIndex = 0;
+  return pattern.exec(text);
+}
+
+function toMatcher(intent) {
+  if (typeof intent.match === "function") {
+    return intent.match;
+  }
+
+  const patterns = [].concat(intent.pattern);
+
+  patterns.forEach(pattern => {
+    if (!(pattern instanceof RegExp)) {
+      throw new Error(`Intent "${intent.name}" has an invalid pattern`);
+    }
+  });
+
+  return text => {
+    for (const pattern of patterns) {
+      const result = matchPattern(pattern, text);
+
+      if (result) {
+        return result;
+      }
+    }
+
+    return null;
+  };
+}
+
+/*
+ * Intent router
+ *
+ * Each intent is registered with a name, a priority, a handler and either a
+ * regex `pattern` (or list of patterns) or a `match(text, context)` function
+ * that returns a truthy match result. When a message arrives, only the
+ * matching intent with the highest priority is run; ties go to the intent
+ * registered first. Messages that match nothing go to the fallback handler.
+ *
+ */
+function createIntentRouter(options) {
+  const fallback = options && options.fallback;
+  const intents = [];
+
+  function register(intent) {
+    if (!intent || !intent.name) {
+      throw new Error("Intents need a name");
+    }
+    if (typeof intent.handler !== "function") {
+      throw new Error(`Intent "${intent.name}" needs a handler`);
+    }
+    if (!intent.pattern && typeof intent.match !== "function") {
+      throw new Error(`Intent "${intent.name}" needs a pattern or matcher`);
+    }
+
+    intents.push({
+      name: intent.name,
+      priority: intent.priority || 0,
+      match: toMatcher(intent),
+      handler: intent.handler,
+      order: intents.length
+    });
+
+    intents.sort((a, b) => b.priority - a.priority || a.order - b.order);
+  }
+
+  /*
+   * Find the winning intent for a message. Returns `{ intent, match }`,
+   * or null when nothing matches.
+   *
+   */
+  function resolve(text, context) {
+    for (const intent of intents) {
+      const result = intent.match(text, context);
+
+      if (result) {
+        return { intent, match: result };
+      }
+    }
+
+    return null;
+  }
+
+  /*
+   * Run the winning intent's handler, or the fallback. Resolves to
+   * `{ name, result }`: the name of the intent that handled the message (null
+   * for the fallback) and whatever its handler resolved to.
+   *
+   */
+  function dispatch(text, context) {
+    return Promise.resolve().then(() => {
+      const resolved = resolve(text, context);
+
+      if (resolved) {
+        return Promise.resolve(
+          resolved.intent.handler(context, resolved.match)
+        ).then(result => ({ name: resolved.intent.name, result }));
+      }
+
+      if (fallback) {
+        return Promise.resolve(fallback(context)).then(result => ({
+          name: null,
+          result
+        }));
+      }
+
+      return { name: null, result: null };
+    });
+  }
+
+  return {
+    register,
+    resolve,
+    dispatch
+  };
+}
+
+module.exports = {
+  createIntentRouter
+};
@@ -0,0 +1,182 @@
+/* jshint node: true, devel: true */
+"use strict";
+
+const path = require("path");
+const dataFile = require("./dataFile");
+const { normalise } = require("./text");
+
+const DEFAULT_JOKES_FILE = path.join(__dirname, "..", "data", "jokes.json");
+
+// "ashes" and "ashes joke", "aussie" and "aussies" are the same tag
+function sameTag(a, b) {
+  const singular = tag => normalise(tag).replace(/s$/, "");
+
+  return singular(a) === singular(b);
+}
+
+/*
+ * Jokes are keyed by their `id`, or by their question when they don't have
+ * one, so a user's history survives jokes being added or reordered.
+ *
+ */
+function jokeKey(joke) {
+  return joke.id ? String(joke.id) : normalise(joke.question);
+}
+
+/*
+ * The sponsor footer to show now, if any. `sponsor` is a footer string, a
+ * campaign `{ footer, from, until, enabled }` (dates are ISO strings and
+ * either end can be left open), a list of campaigns of which the first one
+ * running wins, or false/null for no footer.
+ *
+ */
+function sponsorFooter(sponsor, timestamp) {
+  if (!sponsor) {
+    return null;
+  }
+
+  if (typeof sponsor === "string") {
+    return sponsor;
+  }
+
+  if (Array.isArray(sponsor)) {
+    return sponsor.reduce(
+      (footer, campaign) => footer || sponsorFooter(campaign, timestamp),
+      null
+    );
+  }
+
+  const started = !sponsor.from || Date.parse(sponsor.from) <= timestamp;
+  const ended = sponsor.until && Date.parse(sponsor.until) <= timestamp;
+
+  if (sponsor.enabled === false || !started || ended) {
+    return null;
+  }
+
+  return sponsor.footer || null;
+}
+
+/*
+ * Joke rotation
+ *
+ * Hands out jokes from a JSON file of `{ question, answer, tags }`, re-read
+ * when it changes on disk. Each user is given jokes in a random order without
+ * repeats until they've heard every joke (with the tag they asked for), then
+ * the rotation starts again. The jokes each user has heard are kept in
+ * `store`, any key/value backend from lib/stores.
+ *
+ */
+function createJokes(options) {
+  const file = options.file || DEFAULT_JOKES_FILE;
+  const store = options.store;
+  const sponsor = options.sponsor;
+  const now = options.now || (() => Date.now());
+  const random = options.random || Math.random;
+  const queues = new Map();
+
+  function all() {
+    return dataFile.readJSON(file).then(jokes => {
+      if (!Array.isArray(jokes)) {
+        throw new Error(`Jokes file ${file} must contain an array`);
+      }
+
+      return jokes
+        .filter(joke => joke && joke.question && joke.answer)
+        .map(joke => Object.assign({ tags: [] }, joke));
+    });
+  }
+
+  function pick(userId, tag) {
+    return Promise.all([all(), store.get(userId)]).then(([jokes, history]) => {
+      const allKeys = jokes.map(jokeKey);
+      let candidates = jokes;
+
+      if (tag) {
+        candidates = jokes.filter(joke =>
+          joke.tags.some(other => sameTag(other, tag))
+        );
+      }
+
+      if (!candidates.length) {
+        return null;
+      }
+
+      const keys = candidates.map(jokeKey);
+      // Forget jokes that have since been removed from the file
+      let seen = ((history && history.seen) || []).filter(
+        key => allKeys.indexOf(key) !== -1
+      );
+      let unseen = candidates.filter(joke => seen.indexOf(jokeKey(joke)) === -1);
+
+      // Heard them all: start this set again
+      if (!unseen.length) {
+        seen = seen.filter(key => keys.indexOf(key) === -1);
+        unseen = candidates;
+      }
+
+      const joke = unseen[Math.floor(random() * unseen.length)];
+
+      return store
+        .set(userId, { seen: seen.concat(jokeKey(joke)) })
+        .then(() => joke);
+    });
+  }
+
+  /*
+   * Resolve to the next joke for a user, optionally only from jokes with
+   * `tag`, or null if there are no such jokes. Requests from the same user
+   * are handled one at a time so quick taps on "Another one" don't get the
+   * same joke twice.
+   *
+   */
+  function next(userId, tag) {
+    const previous = queues.get(userId) || Promise.resolve();
+    const picking = previous.catch(() => {}).then(() => pick(userId, tag));
+
+    queues.set(userId, picking);
+    picking
+      .catch(() => {})
+      .then(() => {
+        if (queues.get(userId) === picking) {
+          queues.delete(userId);
+        }
+      });
+
+    return picking;
+  }
+
+  /*
+   * The sponsor footer for a joke told now, or null. A page with its own
+   * sponsor passes it as `pageSponsor`.
+   *
+   */
+  function footer(pageSponsor) {
+    return sponsorFooter(
+      pageSponsor === undefined ? sponsor : pageSponsor,
+      now()
+    );
+  }
+
+  return {
+    all,
+    next,
+    footer
+  };
+}
+
+/*
+ * The text of a joke, with the sponsor footer well below the punchline
+ *
+ */
+function renderJoke(joke, footer) {
+  const text = `${joke.question}\n\n${joke.answer} 😂`;
+
+  return footer ? `${text}\n\n\n\n\n--------------\n${footer}` : text;
+}
+
+module.exports = {
+  createJokes,
+  jokeKey,
+  renderJoke,
+  sponsorFooter
+};
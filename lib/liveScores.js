@@ -0,0 +1,209 @@
+/* jshint node: true, devel: true */
+"use strict";
+
+const fetch = require("node-fetch");
+const dataFile = require("./dataFile");
+const { defaultLogger } = require("./logger");
+const { createTimer } = require("./schedule");
+
+const MILESTONES = [50, 100, 150, 200];
+
+/*
+ * Score feeds
+ *
+ * A feed has a `load()` method resolving to `{ matches }`, where each match
+ * has the fixture `id`, its `teams`, a `status` ("live", "innings_break" or
+ * "complete"), a `result` once complete, and `innings`:
+ *
+ *   { team, runs, wickets, overs, batsmen: [{ name, runs, balls }] }
+ *
+ */
+function createFileFeed(file) {
+  return {
+    load: () => dataFile.readJSON(file)
+  };
+}
+
+function createHttpFeed(url) {
+  return {
+    load: () =>
+      fetch(url, { timeout: 5000 }).then(res => {
+        if (!res.ok) {
+          throw new Error(`Score feed returned ${res.status}`);
+        }
+        return res.json();
+      })
+  };
+}
+
+/*
+ * Create a score feed from config such as
+ * `{ "source": "file", "file": "data/scores.json" }` or
+ * `{ "source": "http", "url": "http://localhost:5050/scores" }`.
+ *
+ */
+function createFeed(options) {
+  switch (options.source || "file") {
+    case "file":
+      return createFileFeed(options.file);
+    case "http":
+      return createHttpFeed(options.url);
+    default:
+      throw new Error(`Unknown score feed source "${options.source}"`);
+  }
+}
+
+function score(innings) {
+  return `${innings.team} ${innings.wickets}/${innings.runs} (${innings.overs} ov)`;
+}
+
+/*
+ * Compare two snapshots of a match and list the updates worth pushing:
+ * wickets, batting milestones, innings breaks and the result.
+ *
+ */
+function matchEvents(previous, current) {
+  const events = [];
+
+  (current.innings || []).forEach((innings, index) => {
+    const before = (previous.innings || [])[index];
+
+    if (!before) {
+      return;
+    }
+
+    if (innings.wickets > before.wickets) {
+      events.push(`WICKET! ${score(innings)}`);
+    }
+
+    (innings.batsmen || []).forEach(batsman => {
+      const was = (before.batsmen || []).find(
+        other => other.name === batsman.name
+      );
+      const runsBefore = was ? was.runs : 0;
+
+      MILESTONES.forEach(milestone => {
+        if (runsBefore < milestone && batsman.runs >= milestone) {
+          const balls = batsman.balls ? ` off ${batsman.balls} balls` : "";
+
+          events.push(`${batsman.name} brings up ${milestone}${balls}!`);
+        }
+      });
+    });
+  });
+
+  if (current.status !== previous.status) {
+    const innings = current.innings || [];
+
+    if (current.status === "innings_break" && innings.length) {
+      events.push(`Innings break: ${score(innings[innings.length - 1])}`);
+    } else if (current.status === "complete") {
+      events.push(`Result: ${current.result || "Match over"}`);
+    }
+  }
+
+  return events;
+}
+
+/*
+ * Live score poller
+ *
+ * Polls the score feed every `interval` milliseconds, works out what changed
+ * in each match since the last poll and pushes the updates to everyone
+ * subscribed to the match or its teams. Pushes to each user are throttled to
+ * one every `throttle` milliseconds; updates that arrive in between are held
+ * and sent together.
+ *
+ */
+function createLiveScores(options) {
+  const feed = options.feed;
+  const subscriptions = options.subscriptions;
+  const send = options.send;
+  const interval = options.interval || 30 * 1000;
+  const throttle = options.throttle || 60 * 1000;
+  const now = options.now || (() => Date.now());
+  const log = options.log || defaultLogger;
+
+  const snapshots = new Map();
+  const pending = new Map();
+  const lastSent = new Map();
+
+  function queue(recipientId, match, events) {
+    const header = (match.teams || []).join(" v ");
+    const updates = pending.get(recipientId) || [];
+
+    updates.push(`${header}: ${events.join("\n")}`);
+    pending.set(recipientId, updates);
+  }
+
+  function flush() {
+    const current = now();
+    const sends = [];
+
+    pending.forEach((updates, recipientId) => {
+      if (current - (lastSent.get(recipientId) || 0) < throttle) {
+        return;
+      }
+
+      pending.delete(recipientId);
+      lastSent.set(recipientId, current);
+      sends.push(
+        Promise.resolve(send(recipientId, updates.join("\n\n"))).catch(
+          error => log.error("Couldn't send a live score update", { error })
+        )
+      );
+    });
+
+    return Promise.all(sends);
+  }
+
+  /*
+   * Poll the feed once. Matches seen for the first time are only recorded,
+   * so starting the poller mid-match doesn't replay old updates.
+   *
+   */
+  function poll() {
+    return feed
+      .load()
+      .then(data =>
+        Promise.all(
+          (data.matches || []).map(match => {
+            const previous = snapshots.get(match.id);
+
+            snapshots.set(match.id, match);
+            if (!previous) {
+              return;
+            }
+
+            const events = matchEvents(previous, match);
+
+            if (!events.length) {
+              return;
+            }
+
+            return subscriptions.subscribersFor(match).then(recipients => {
+              recipients.forEach(recipientId =>
+                queue(recipientId, match, events)
+              );
+            });
+          })
+        )
+      )
+      .catch(error => log.error("Couldn't poll the score feed", { error }))
+      .then(flush);
+  }
+
+  const timer = createTimer(poll, interval);
+
+  return {
+    poll,
+    start: timer.start,
+    stop: timer.stop
+  };
+}
+
+module.exports = {
+  createFeed,
+  createLiveScores,
+  matchEvents
+};
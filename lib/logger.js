@@ -0,0 +1,169 @@
+/* jshint node: true, devel: true */
+"use strict";
+
+const crypto = require("crypto");
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+// Fields holding a page-scoped user id (PSID)
+const PSID_KEYS = [
+  "psid",
+  "senderID",
+  "senderId",
+  "recipientID",
+  "recipientId",
+  "userId"
+];
+
+// Objects whose `id` is a PSID, as in `{ recipient: { id } }`
+const PSID_PARENTS = ["sender", "recipient"];
+
+// Fields that are never logged
+const SECRET_KEY = /token|secret|password|signature|authorization|cookie/i;
+
+// PSIDs are long numbers; anything this long in a message is treated as one
+const PSID_PATTERN = /\b\d{15,}\b/g;
+
+const TOKEN_PATTERN = /(access_token|account_linking_token|authorization_code)=[^&\s"]+/g;
+
+/*
+ * A stable stand-in for a PSID, so the events for one user can still be
+ * followed through the logs without the logs holding their id
+ *
+ */
+function maskPsid(psid, salt) {
+  return `psid:${crypto
+    .createHmac("sha256", salt || "")
+    .update(String(psid))
+    .digest("hex")
+    .slice(0, 12)}`;
+}
+
+function serialiseError(error) {
+  const serialised = { name: error.name, message: error.message };
+
+  ["code", "subcode", "reason", "status"].forEach(key => {
+    if (error[key] !== undefined) {
+      serialised[key] = error[key];
+    }
+  });
+  serialised.stack = error.stack;
+
+  return serialised;
+}
+
+/*
+ * A copy of `value` that is safe to log: PSIDs are masked, tokens, secrets
+ * and passwords are removed and errors are turned into plain objects
+ *
+ */
+function redact(value, salt, key, parent) {
+  if (value instanceof Error) {
+    return redact(serialiseError(value), salt);
+  }
+
+  if (key && SECRET_KEY.test(key)) {
+    return "[redacted]";
+  }
+
+  if (
+    (PSID_KEYS.indexOf(key) !== -1 ||
+      (key === "id" && PSID_PARENTS.indexOf(parent) !== -1)) &&
+    (typeof value === "string" || typeof value === "number")
+  ) {
+    return maskPsid(value, salt);
+  }
+
+  if (typeof value === "string") {
+    return value
+      .replace(TOKEN_PATTERN, "$1=[redacted]")
+      .replace(PSID_PATTERN, psid => maskPsid(psid, salt));
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, salt, null, key));
+  }
+
+  if (value && typeof value === "object") {
+    return Object.keys(value).reduce((copy, name) => {
+      copy[name] = redact(value[name], salt, name, key);
+      return copy;
+    }, {});
+  }
+
+  return value;
+}
+
+/*
+ * Logger
+ *
+ * Writes one JSON object per line with the `time`, `level` and message, the
+ * logger's own `fields` and any fields passed with the message:
+ *
+ *   log.info("Sent message", { recipientId, messageId })
+ *
+ * Messages below `level` ("debug", "info", "warn", "error" or "silent") are
+ * dropped. Everything is redacted before it is written, with PSIDs replaced
+ * by a hash keyed with `salt`. `child(fields)` gives a logger that adds
+ * `fields` to every line, e.g. the correlation id of a webhook event.
+ *
+ * Warnings and errors go to stderr and the rest to stdout, unless `write` is
+ * given to send the lines somewhere else.
+ *
+ */
+function createLogger(options) {
+  const settings = Object.assign({ level: "info", fields: {} }, options);
+  const threshold = LEVELS[settings.level];
+  const now = settings.now || (() => new Date());
+  const write =
+    settings.write ||
+    ((line, level) =>
+      (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(
+        `${line}\n`
+      ));
+
+  if (threshold === undefined) {
+    throw new Error(`Unknown log level "${settings.level}"`);
+  }
+
+  function log(level, message, fields) {
+    if (LEVELS[level] < threshold) {
+      return;
+    }
+
+    // Errors can be logged on their own: log.error("Failed", error)
+    const extra = fields instanceof Error ? { error: fields } : fields;
+    const entry = Object.assign(
+      { time: now().toISOString(), level, msg: message },
+      settings.fields,
+      extra
+    );
+
+    write(JSON.stringify(redact(entry, settings.salt)), level);
+  }
+
+  return {
+    level: settings.level,
+    isEnabled: level => LEVELS[level] >= threshold,
+    debug: (message, fields) => log("debug", message, fields),
+    info: (message, fields) => log("info", message, fields),
+    warn: (message, fields) => log("warn", message, fields),
+    error: (message, fields) => log("error", message, fields),
+    child: fields =>
+      createLogger(
+        Object.assign({}, settings, {
+          fields: Object.assign({}, settings.fields, fields)
+        })
+      )
+  };
+}
+
+// Used by modules that aren't given a logger
+const defaultLogger = createLogger({ level: process.env.LOG_LEVEL || "info" });
+
+module.exports = {
+  createLogger,
+  defaultLogger,
+  maskPsid,
+  redact
+};
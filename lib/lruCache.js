@@ -0,0 +1,56 @@
+/* jshint node: true, devel: true */
+"use strict";
+
+/*
+ * Least-recently-used cache with a time-to-live on each entry. Once `max`
+ * entries are held, adding another evicts the one used longest ago.
+ *
+ */
+function createLruCache(options) {
+  const max = options.max || 100;
+  const defaultTtl = options.ttl || 60 * 1000;
+  const now = options.now || (() => Date.now());
+
+  // Maps iterate in insertion order, so re-inserting an entry on every read
+  // keeps the least recently used entry first.
+  const entries = new Map();
+
+  function get(key) {
+    const entry = entries.get(key);
+
+    if (!entry) {
+      return undefined;
+    }
+
+    entries.delete(key);
+    if (entry.expires <= now()) {
+      return undefined;
+    }
+
+    entries.set(key, entry);
+    return entry.value;
+  }
+
+  function set(key, value, ttl) {
+    entries.delete(key);
+    entries.set(key, { value, expires: now() + (ttl || defaultTtl) });
+
+    while (entries.size > max) {
+      entries.delete(entries.keys().next().value);
+    }
+  }
+
+  function clear() {
+    entries.clear();
+  }
+
+  return {
+    get,
+    set,
+    clear
+  };
+}
+
+module.exports = {
+  createLruCache
+};
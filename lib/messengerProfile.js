@@ -0,0 +1,81 @@
+/* jshint node: true, devel: true */
+"use strict";
+
+const fetch = require("node-fetch");
+
+const DEFAULT_GREETING =
+  "Hi {{user_first_name}}! Ask me for the latest cricket news, the next " +
+  "match, what a bit of cricket jargon means or a joke.";
+
+/*
+ * Payloads sent by the Get Started button and the persistent menu. app.js
+ * registers a handler for each of these.
+ *
+ */
+const PAYLOADS = {
+  GET_STARTED: "GET_STARTED",
+  LATEST: "LATEST",
+  NEXT_MATCH: "NEXT_MATCH",
+  JARGON: "JARGON",
+  JOKE: "JOKE"
+};
+
+/*
+ * Build the Messenger Profile: the Get Started button, the greeting shown
+ * before a conversation starts and the persistent menu.
+ * https://developers.facebook.com/docs/messenger-platform/reference/messenger-profile-api
+ *
+ */
+function buildProfile(options) {
+  const greeting = (options && options.greeting) || DEFAULT_GREETING;
+
+  return {
+    get_started: { payload: PAYLOADS.GET_STARTED },
+    greeting: [{ locale: "default", text: greeting }],
+    persistent_menu: [
+      {
+        locale: "default",
+        composer_input_disabled: false,
+        call_to_actions: [
+          { type: "postback", title: "Latest", payload: PAYLOADS.LATEST },
+          { type: "postback", title: "Next Match", payload: PAYLOADS.NEXT_MATCH },
+          { type: "postback", title: "Jargon", payload: PAYLOADS.JARGON },
+          { type: "postback", title: "Joke", payload: PAYLOADS.JOKE }
+        ]
+      }
+    ]
+  };
+}
+
+/*
+ * Register the Messenger Profile for the page. `graphApiUrl` includes the
+ * API version, e.g. "https://graph.facebook.com/v2.6", and can point at a
+ * local stub for testing.
+ *
+ */
+function setupProfile(options) {
+  const url =
+    `${options.graphApiUrl}/me/messenger_profile` +
+    `?access_token=${encodeURIComponent(options.accessToken)}`;
+
+  return fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(buildProfile(options))
+  })
+    .then(res => res.json().then(body => ({ res, body })))
+    .then(({ res, body }) => {
+      if (!res.ok || body.error) {
+        const message = body.error ? body.error.message : res.statusText;
+        throw new Error(`Couldn't set up the Messenger Profile: ${message}`);
+      }
+
+      return body;
+    });
+}
+
+module.exports = {
+  PAYLOADS,
+  buildProfile,
+  setupProfile
+};
@@ -0,0 +1,124 @@
+/* jshint node: true, devel: true */
+"use strict";
+
+const { createTopicRegistry } = require("./topics");
+
+/*
+ * The page a webhook event arrived on: the id of its page entry, which the
+ * webhook copies to `pageId`, or else whichever end of the conversation
+ * isn't the user
+ *
+ */
+function pageIdOf(event) {
+  if (event.pageId) {
+    return String(event.pageId);
+  }
+
+  const page =
+    event.message && event.message.is_echo ? event.sender : event.recipient;
+
+  return page && page.id ? String(page.id) : null;
+}
+
+/*
+ * The PSID of the user in a webhook event
+ *
+ */
+function userIdOf(event) {
+  const user =
+    event.message && event.message.is_echo ? event.recipient : event.sender;
+
+  return user && user.id ? String(user.id) : null;
+}
+
+/*
+ * Page registry
+ *
+ * The Facebook pages the bot answers for, from `pages`, each with its own
+ * access token, topics file and branding (`name`, `greetingText` and joke
+ * `sponsor`). What a page leaves out comes from `defaults`. The first page
+ * is the default, used for events from pages that aren't listed and users
+ * the bot hasn't heard from.
+ *
+ * PSIDs are page-scoped, so the page each user talks to is remembered in
+ * `store` (any key/value backend from lib/stores) when their events arrive.
+ * Messages sent later, like the digest, then go out with the right token.
+ *
+ */
+function createPageRegistry(options) {
+  const store = options.store;
+  const defaults = options.defaults || {};
+  const registries = new Map();
+
+  // Pages sharing a topics file share a registry and its cache
+  function topicsFor(file) {
+    if (!registries.has(file)) {
+      registries.set(file, createTopicRegistry({ file }));
+    }
+    return registries.get(file);
+  }
+
+  const pages = options.pages.map(page => {
+    const settings = Object.assign({}, defaults, page);
+
+    return Object.assign(settings, {
+      id: page.id === null || page.id === undefined ? null : String(page.id),
+      topics: topicsFor(settings.topicsFile)
+    });
+  });
+
+  function all() {
+    return pages.slice();
+  }
+
+  /*
+   * The page with the given id, or the default page
+   *
+   */
+  function get(id) {
+    return pages.find(page => page.id === String(id)) || pages[0];
+  }
+
+  /*
+   * The page a user talks to
+   *
+   */
+  function pageFor(psid) {
+    if (pages.length === 1) {
+      return Promise.resolve(pages[0]);
+    }
+
+    return store.get(String(psid)).then(id => get(id));
+  }
+
+  /*
+   * Note which page the user in a webhook event talks to. Only pages in the
+   * registry are remembered.
+   *
+   */
+  function remember(event) {
+    const pageId = pageIdOf(event);
+    const psid = userIdOf(event);
+    const known = pages.some(page => page.id === pageId);
+
+    if (pages.length === 1 || !psid || !known) {
+      return Promise.resolve();
+    }
+
+    return store
+      .get(psid)
+      .then(saved => (saved === pageId ? null : store.set(psid, pageId)));
+  }
+
+  return {
+    all,
+    get,
+    pageFor,
+    remember
+  };
+}
+
+module.exports = {
+  createPageRegistry,
+  pageIdOf
+};
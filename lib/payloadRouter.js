@@ -0,0 +1,105 @@
+/* jshint node: true, devel: true */
+"use strict";
+
+const SEPARATOR = ":";
+
+/*
+ * Build a payload string from a handler name and optional arguments, e.g.
+ * encodePayload("MORE", "sport/cricket", 2) gives "MORE:sport%2Fcricket:2".
+ *
+ */
+function encodePayload(name) {
+  const args = Array.prototype.slice.call(arguments, 1);
+
+  return [name]
+    .concat(args.map(arg => encodeURIComponent(String(arg))))
+    .join(SEPARATOR);
+}
+
+/*
+ * Split a payload string into its handler name and decoded arguments
+ *
+ */
+function decodePayload(payload) {
+  const parts = String(payload).split(SEPARATOR);
+
+  return {
+    name: parts[0],
+    args: parts.slice(1).map(decodeURIComponent)
+  };
+}
+
+/*
+ * Payload router
+ *
+ * Quick replies and postbacks both carry a developer-defined payload. Handlers
+ * are registered by payload name and called with the event context and any
+ * arguments encoded in the payload. Payloads without a registered handler go
+ * to the fallback, which gets the raw payload as `context.payload` and
+ * resolves to a falsy value when it can't handle the payload either.
+ *
+ */
+function createPayloadRouter(options) {
+  const fallback = options && options.fallback;
+  const handlers = new Map();
+
+  function register(name, handler) {
+    if (name.indexOf(SEPARATOR) !== -1) {
+      throw new Error(`Payload names can't contain "${SEPARATOR}": ${name}`);
+    }
+    if (handlers.has(name)) {
+      throw new Error(`A handler is already registered for ${name}`);
+    }
+
+    handlers.set(name, handler);
+  }
+
+  /*
+   * Whether a handler is registered for a payload name
+   *
+   */
+  function handles(name) {
+    return handlers.has(name);
+  }
+
+  /*
+   * Run the handler for a payload. Resolves to `{ name, result }`: the
+   * payload name that was handled (null when nothing handled it) and whatever
+   * the handler resolved to.
+   *
+   */
+  function dispatch(payload, context) {
+    return Promise.resolve().then(() => {
+      const decoded = decodePayload(payload);
+      const handler = handlers.get(decoded.name);
+
+      if (handler) {
+        return Promise.resolve(handler(context, decoded.args)).then(
+          result => ({ name: decoded.name, result })
+        );
+      }
+
+      if (fallback) {
+        return Promise.resolve(fallback(context)).then(result => ({
+          name: result ? decoded.name : null,
+          result
+        }));
+      }
+
+      return { name: null, result: null };
+    });
+  }
+
+  return {
+    register,
+    handles,
+    dispatch
+  };
+}
+
+module.exports = {
+  SEPARATOR,
+  createPayloadRouter,
+  decodePayload,
+  encodePayload
+};
@@ -0,0 +1,201 @@
+/* jshint node: true, devel: true */
+"use strict";
+
+const path = require("path");
+const dataFile = require("./dataFile");
+const { MONTHS } = require("./fixtures");
+const { joinNames, normalise } = require("./text");
+
+const DEFAULT_PLAYERS_FILE = path.join(__dirname, "..", "data", "players.json");
+
+// Messenger shows at most 13 quick replies at a time, and cuts generic
+// template subtitles off at 80 characters.
+const MAX_QUICK_REPLIES = 13;
+const MAX_SUBTITLE = 80;
+
+/*
+ * Check a player entry and fill in defaults. Each player needs a unique `id`
+ * and a `name`; everything else is optional.
+ *
+ */
+function normalisePlayer(player, index) {
+  ["id", "name"].forEach(key => {
+    if (typeof player[key] !== "string" || !player[key]) {
+      throw new Error(`Player ${index} is missing "${key}"`);
+    }
+  });
+
+  return Object.assign({}, player, {
+    aliases: player.aliases || [],
+    teams: player.teams || [],
+    role: player.role || null,
+    headshot: player.headshot || null
+  });
+}
+
+/*
+ * Player directory
+ *
+ * Players are read from a JSON file (re-read when it changes on disk). A
+ * query matches a player's full name or one of their aliases exactly, or
+ * failing that their first name or surname, so "marsh" can match more than
+ * one player.
+ *
+ */
+function createPlayerDirectory(options) {
+  const file = (options && options.file) || DEFAULT_PLAYERS_FILE;
+
+  function all() {
+    return dataFile.readJSON(file).then(players => {
+      if (!Array.isArray(players)) {
+        throw new Error(`Players file ${file} must contain an array`);
+      }
+
+      return players.map(normalisePlayer);
+    });
+  }
+
+  function find(id) {
+    return all().then(players => players.find(player => player.id === id));
+  }
+
+  /*
+   * Resolve to every player matching the query: a single player for a full
+   * name or alias, all players sharing a first name or surname otherwise,
+   * and an empty array when nobody matches.
+   *
+   */
+  function search(query) {
+    const wanted = normalise(query);
+
+    return all().then(players => {
+      const exact = players.filter(player =>
+        [player.name]
+          .concat(player.aliases)
+          .some(name => normalise(name) === wanted)
+      );
+
+      if (exact.length) {
+        return exact;
+      }
+
+      return players.filter(player =>
+        normalise(player.name)
+          .split(" ")
+          .some(part => part === wanted)
+      );
+    });
+  }
+
+  return {
+    all,
+    find,
+    search
+  };
+}
+
+function truncate(text) {
+  if (text.length <= MAX_SUBTITLE) {
+    return text;
+  }
+
+  return `${text.slice(0, MAX_SUBTITLE - 1)}\u2026`;
+}
+
+function formatBorn(born) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(born || "");
+
+  if (!match) {
+    return null;
+  }
+
+  return `Born ${Number(match[3])} ${MONTHS[Number(match[2]) - 1]} ${match[1]}`;
+}
+
+/*
+ * A sentence or two of key facts about a player, e.g. "Mitchell Marsh is an
+ * all-rounder for Australia and Perth Scorchers. Right-hand bat, right-arm
+ * medium. Born 20 Oct 1991."
+ *
+ */
+function describePlayer(player) {
+  const role = player.role ? player.role.toLowerCase() : "cricketer";
+  const article = /^[aeiou]/.test(role) ? "an" : "a";
+  const teams = player.teams.length ? ` for ${joinNames(player.teams)}` : "";
+  const styles = [player.batting, player.bowling && player.bowling.toLowerCase()]
+    .filter(Boolean)
+    .join(", ");
+
+  return [
+    `${player.name} is ${article} ${role}${teams}.`,
+    styles ? `${styles}.` : null,
+    formatBorn(player.born) ? `${formatBorn(player.born)}.` : null
+  ]
+    .filter(Boolean)
+    .join(" ");
+}
+
+/*
+ * Render a player as a generic template card with their headshot and a
+ * button for their latest articles, which posts back `latestPayload`.
+ *
+ */
+function renderProfile(player, latestPayload, fallbackImage) {
+  const element = {
+    title: player.name,
+    subtitle: truncate(
+      [player.role, player.teams.join(", ")].filter(Boolean).join(", ")
+    ),
+    buttons: [
+      { type: "postback", title: "Latest articles", payload: latestPayload }
+    ]
+  };
+  const image = player.headshot || fallbackImage;
+
+  if (image) {
+    element.image_url = image;
+  }
+
+  if (player.url) {
+    element.buttons.push({
+      type: "web_url",
+      url: player.url,
+      title: "Full profile"
+    });
+  }
+
+  return {
+    attachment: {
+      type: "template",
+      payload: {
+        template_type: "generic",
+        elements: [element]
+      }
+    }
+  };
+}
+
+/*
+ * Ask which of several players the user meant, with a quick reply for each
+ * posting back `payloadFor(player)`.
+ *
+ */
+function renderChoices(query, players, payloadFor) {
+  const name = query.replace(/\b[a-z]/g, letter => letter.toUpperCase());
+
+  return {
+    text: `There's more than one ${name}. Which one did you mean?`,
+    quick_replies: players.slice(0, MAX_QUICK_REPLIES).map(player => ({
+      content_type: "text",
+      title: player.name.slice(0, 20),
+      payload: payloadFor(player)
+    }))
+  };
+}
+
+module.exports = {
+  createPlayerDirectory,
+  describePlayer,
+  renderProfile,
+  renderChoices
+};
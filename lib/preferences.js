@@ -0,0 +1,113 @@
+/* jshint node: true, devel: true */
+"use strict";
+
+function emptyPreferences() {
+  return { topics: [] };
+}
+
+/*
+ * User preferences
+ *
+ * Each user (keyed by PSID) can pick favourite topics from the topic
+ * registry, stored by their quick reply payload. The `store` is any
+ * key/value backend from lib/stores.
+ *
+ */
+function createPreferences(options) {
+  const store = options.store;
+
+  function get(id) {
+    return store
+      .get(id)
+      .then(preferences => Object.assign(emptyPreferences(), preferences));
+  }
+
+  function save(id, preferences) {
+    if (!preferences.topics.length) {
+      return store.delete(id).then(() => preferences);
+    }
+
+    return store.set(id, preferences).then(() => preferences);
+  }
+
+  function addTopics(id, payloads) {
+    return get(id).then(preferences => {
+      payloads.forEach(payload => {
+        if (preferences.topics.indexOf(payload) === -1) {
+          preferences.topics.push(payload);
+        }
+      });
+      return save(id, preferences);
+    });
+  }
+
+  function removeTopic(id, payload) {
+    return get(id).then(preferences => {
+      preferences.topics = preferences.topics.filter(
+        other => other !== payload
+      );
+      return save(id, preferences);
+    });
+  }
+
+  /*
+   * Add a topic if it isn't a favourite yet, remove it if it is
+   *
+   */
+  function toggleTopic(id, payload) {
+    return get(id).then(preferences => {
+      if (preferences.topics.indexOf(payload) === -1) {
+        return addTopics(id, [payload]);
+      }
+      return removeTopic(id, payload);
+    });
+  }
+
+  function clear(id) {
+    return save(id, emptyPreferences());
+  }
+
+  return {
+    get,
+    addTopics,
+    removeTopic,
+    toggleTopic,
+    clear
+  };
+}
+
+/*
+ * Merge several lists of articles into one, taking the newest from each list
+ * in turn so every favourite gets a look in, and dropping articles that
+ * appear in more than one list.
+ *
+ */
+function mergeArticles(lists, limit) {
+  const seen = new Set();
+  const merged = [];
+  const longest = Math.max.apply(
+    null,
+    lists.map(list => list.length).concat(0)
+  );
+  const rounds = Array.from({ length: longest }, (value, index) =>
+    lists.map(list => list[index]).filter(Boolean)
+  );
+
+  rounds.forEach(round =>
+    round.forEach(article => {
+      const key = article.id || article.url;
+
+      if (!seen.has(key)) {
+        seen.add(key);
+        merged.push(article);
+      }
+    })
+  );
+
+  return limit ? merged.slice(0, limit) : merged;
+}
+
+module.exports = {
+  createPreferences,
+  mergeArticles
+};
@@ -0,0 +1,168 @@
+/* jshint node: true, devel: true */
+"use strict";
+
+const { defaultLogger } = require("./logger");
+
+/*
+ * Reply builder
+ *
+ * A reply is an ordered list of actions for one user: sender actions
+ * (mark_seen, typing_on, typing_off), pauses and messages. Handlers build one
+ * and hand it to the reply dispatcher rather than calling the Send API.
+ *
+ *   reply().text("Here you go").delay(500).message({ attachment })
+ *
+ */
+class Reply {
+  constructor() {
+    this.actions = [];
+  }
+
+  markSeen() {
+    this.actions.push({ type: "sender_action", action: "mark_seen" });
+    return this;
+  }
+
+  typingOn() {
+    this.actions.push({ type: "sender_action", action: "typing_on" });
+    return this;
+  }
+
+  typingOff() {
+    this.actions.push({ type: "sender_action", action: "typing_off" });
+    return this;
+  }
+
+  delay(ms) {
+    this.actions.push({ type: "delay", ms });
+    return this;
+  }
+
+  message(message, extra) {
+    this.actions.push({ type: "message", message, extra });
+    return this;
+  }
+
+  text(text) {
+    return this.message({ text });
+  }
+}
+
+function reply() {
+  return new Reply();
+}
+
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/*
+ * Reply dispatcher
+ *
+ * Runs replies strictly in order for each user, so a reply's typing
+ * indicator and messages never interleave with the next one. Every reply gets
+ * the same framing: the user's message is marked as seen and typing is turned
+ * on straight away, while the handler is still working, and typing is turned
+ * off once the reply has been sent, whether or not the handler succeeded.
+ *
+ * `send(messageData, log)` is the Send API call. `onError(error)` can return
+ * a reply to send when a handler fails. `log` is the logger a reply's
+ * failures are written to; each dispatch can pass its own, e.g. one carrying
+ * the webhook event's correlation id.
+ *
+ */
+function createReplyDispatcher(options) {
+  const send = options.send;
+  const onError = options.onError;
+  const defaultLog = options.log || defaultLogger;
+  const queues = new Map();
+
+  function runAction(recipientId, action, log) {
+    switch (action.type) {
+      case "delay":
+        return wait(action.ms);
+      case "sender_action":
+        return send(
+          { recipient: { id: recipientId }, sender_action: action.action },
+          log
+        );
+      case "message":
+        return send(
+          Object.assign(
+            { recipient: { id: recipientId }, message: action.message },
+            action.extra
+          ),
+          log
+        );
+    }
+  }
+
+  function runActions(recipientId, actions, log) {
+    return actions.reduce(
+      (previous, action) =>
+        previous.then(() => runAction(recipientId, action, log)),
+      Promise.resolve()
+    );
+  }
+
+  function perform(recipientId, pending, log) {
+    const framing = reply().markSeen().typingOn();
+
+    return runActions(recipientId, framing.actions, log)
+      .then(() => pending)
+      .catch(error => {
+        log.error("Couldn't build a reply", { recipientId, error });
+        return onError ? onError(error) : null;
+      })
+      .then(result => {
+        const actions = result ? result.actions.slice() : [];
+        const last = actions[actions.length - 1];
+
+        if (!last || last.action !== "typing_off") {
+          actions.push({ type: "sender_action", action: "typing_off" });
+        }
+
+        return runActions(recipientId, actions, log);
+      });
+  }
+
+  /*
+   * Send a reply, or a promise of one, to a user once any earlier replies to
+   * them have finished
+   *
+   */
+  function dispatch(recipientId, pending, log) {
+    log = log || defaultLog;
+
+    const previous = queues.get(recipientId) || Promise.resolve();
+    const result = Promise.resolve(pending);
+
+    // The handler may fail before this reply's turn comes; that is dealt
+    // with in perform(), so don't report it as unhandled in the meantime.
+    result.catch(() => {});
+
+    const running = previous.then(() => perform(recipientId, result, log));
+    const done = running.catch(error =>
+      log.error("Couldn't send a reply", { recipientId, error })
+    );
+
+    queues.set(recipientId, done);
+    done.then(() => {
+      if (queues.get(recipientId) === done) {
+        queues.delete(recipientId);
+      }
+    });
+
+    return running;
+  }
+
+  return {
+    dispatch
+  };
+}
+
+module.exports = {
+  Reply,
+  createReplyDispatcher,
+  reply
+};
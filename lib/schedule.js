@@ -0,0 +1,64 @@
+/* jshint node: true, devel: true */
+"use strict";
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+/*
+ * The local day number (days since the epoch) and hour for a timestamp in
+ * the timezone `utcOffset` hours from UTC
+ *
+ */
+function localTime(timestamp, utcOffset) {
+  const local = timestamp + utcOffset * HOUR;
+
+  return {
+    day: Math.floor(local / DAY),
+    hour: new Date(local).getUTCHours()
+  };
+}
+
+/*
+ * A timer that calls `run()` as soon as it is started, then `interval`
+ * milliseconds after each run has finished, so runs never overlap. `run`
+ * returns a promise and handles its own errors: the timer carries on
+ * whatever it settles to.
+ *
+ */
+function createTimer(run, interval) {
+  let timer = null;
+
+  function start() {
+    if (timer) {
+      return;
+    }
+
+    const next = () => {
+      if (timer) {
+        timer = setTimeout(tick, interval);
+      }
+    };
+    const tick = () => {
+      Promise.resolve()
+        .then(run)
+        .then(next, next);
+    };
+
+    timer = setTimeout(tick, 0);
+  }
+
+  function stop() {
+    clearTimeout(timer);
+    timer = null;
+  }
+
+  return {
+    start,
+    stop
+  };
+}
+
+module.exports = {
+  createTimer,
+  localTime
+};
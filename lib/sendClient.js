@@ -0,0 +1,212 @@
+/* jshint node: true, devel: true */
+"use strict";
+
+const fetch = require("node-fetch");
+const { defaultLogger } = require("./logger");
+
+// Graph API error codes worth retrying: temporary send failures, service
+// hiccups and the various rate limits.
+// https://developers.facebook.com/docs/messenger-platform/reference/send-api/error-codes
+const RETRYABLE_CODES = [1, 2, 4, 17, 32, 613, 1200];
+
+/*
+ * Errors that will fail again however often the message is retried. The
+ * reason lets callers react, e.g. by dropping the subscriptions of a user who
+ * has blocked the page ("user_unavailable").
+ *
+ */
+const PERMANENT_ERRORS = [
+  { code: 551, reason: "user_unavailable" },
+  { code: 200, subcode: 1545041, reason: "user_unavailable" },
+  { code: 100, subcode: 2018001, reason: "no_matching_user" },
+  { code: 10, subcode: 2018278, reason: "outside_messaging_window" },
+  { code: 190, reason: "invalid_access_token" }
+];
+
+class SendError extends Error {
+  constructor(message, details) {
+    super(message);
+    this.name = "SendError";
+    this.status = details.status;
+    this.code = details.code;
+    this.subcode = details.subcode;
+    this.reason = details.reason;
+    this.permanent = details.permanent;
+  }
+}
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/*
+ * Turn a failed Send API response (or network error) into a SendError that
+ * says whether it is worth retrying.
+ *
+ */
+function classifyError(status, body, networkError) {
+  if (networkError) {
+    return new SendError(networkError.message, {
+      reason: "network_error",
+      permanent: false
+    });
+  }
+
+  const error = (body && body.error) || {};
+  const code = error.code;
+  const subcode = error.error_subcode;
+  const known = PERMANENT_ERRORS.find(
+    entry =>
+      entry.code === code &&
+      (entry.subcode === undefined || entry.subcode === subcode)
+  );
+  let reason = "rejected";
+  let permanent = true;
+
+  if (known) {
+    reason = known.reason;
+  } else if (RETRYABLE_CODES.indexOf(code) !== -1) {
+    reason = "rate_limited_or_temporary";
+    permanent = false;
+  } else if (status >= 500) {
+    reason = "server_error";
+    permanent = false;
+  }
+
+  return new SendError(error.message || `Send API returned ${status}`, {
+    status,
+    code,
+    subcode,
+    reason,
+    permanent
+  });
+}
+
+/*
+ * Send API client
+ *
+ * `send(messageData, log, accessToken)` resolves to the Send API response
+ * body, or rejects with a SendError. The message is sent with `accessToken`,
+ * for the page the recipient talks to, or else the client's `accessToken`.
+ * Each attempt is logged to `log`, which defaults to the client's own `log`.
+ * Messages to the same recipient are sent one at a time in the order they
+ * were queued, all sends share a global rate limit of `messagesPerSecond`,
+ * and temporary failures are retried up to `retries` times with exponential
+ * backoff starting at `backoff` milliseconds.
+ *
+ */
+function createSendClient(options) {
+  const graphApiUrl = options.graphApiUrl;
+  const accessToken = options.accessToken;
+  const retries = options.retries === undefined ? 3 : options.retries;
+  const backoff = options.backoff || 500;
+  const minInterval = 1000 / (options.messagesPerSecond || 20);
+  const timeout = options.timeout || 10000;
+  const defaultLog = options.log || defaultLogger;
+
+  const queues = new Map();
+  let nextSlot = 0;
+
+  /*
+   * Wait for the next slot under the global rate limit
+   *
+   */
+  function acquireSlot() {
+    const now = Date.now();
+    const wait = Math.max(0, nextSlot - now);
+
+    nextSlot = Math.max(now, nextSlot) + minInterval;
+    return delay(wait);
+  }
+
+  function post(messageData, log, token) {
+    let started;
+
+    return acquireSlot()
+      .then(() => {
+        started = Date.now();
+        return fetch(
+          `${graphApiUrl}/me/messages?access_token=${encodeURIComponent(token)}`,
+          {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify(messageData),
+            timeout
+          }
+        );
+      })
+      .then(
+        res =>
+          res
+            .json()
+            .catch(() => ({}))
+            .then(body => {
+              log.debug("Called the Send API", {
+                recipient: messageData.recipient,
+                status: res.status,
+                ms: Date.now() - started
+              });
+              if (!res.ok || body.error) {
+                throw classifyError(res.status, body);
+              }
+              return body;
+            }),
+        error => {
+          throw classifyError(null, null, error);
+        }
+      );
+  }
+
+  function attempt(messageData, attempted, log, token) {
+    return post(messageData, log, token).catch(error => {
+      if (error.permanent || attempted >= retries) {
+        throw error;
+      }
+
+      const wait = backoff * Math.pow(2, attempted) * (1 + Math.random() / 2);
+
+      log.warn("Send API call failed, will retry", {
+        recipient: messageData.recipient,
+        attempt: attempted + 1,
+        wait: Math.round(wait),
+        error
+      });
+
+      return delay(wait).then(() =>
+        attempt(messageData, attempted + 1, log, token)
+      );
+    });
+  }
+
+  function send(messageData, log, token) {
+    const recipient = messageData.recipient || {};
+    const key = recipient.id || JSON.stringify(recipient);
+    const previous = queues.get(key) || Promise.resolve();
+    const sending = previous
+      .catch(() => {})
+      .then(() =>
+        attempt(messageData, 0, log || defaultLog, token || accessToken)
+      );
+
+    queues.set(key, sending);
+    sending
+      .catch(() => {})
+      .then(() => {
+        if (queues.get(key) === sending) {
+          queues.delete(key);
+        }
+      });
+
+    return sending;
+  }
+
+  return {
+    send
+  };
+}
+
+module.exports = {
+  SendError,
+  classifyError,
+  createSendClient
+};
@@ -0,0 +1,93 @@
+/* jshint node: true, devel: true */
+"use strict";
+
+// Sessions expire after 30 minutes without a message
+const DEFAULT_TTL = 30 * 60 * 1000;
+
+function newSession(id, now) {
+  return {
+    id,
+    lastIntent: null,
+    lastEntity: null,
+    slots: {},
+    updatedAt: now
+  };
+}
+
+/*
+ * Conversation state store
+ *
+ * Holds a session per user, keyed by the page-scoped user ID (PSID) of the
+ * sender. A session remembers the last intent handled, the last entity talked
+ * about (a player or topic, for example) and any other slots a handler wants
+ * to keep. Sessions that haven't been updated within `ttl` milliseconds are
+ * treated as new.
+ *
+ * The `store` is any key/value backend from lib/stores.
+ *
+ */
+function createSessionStore(options) {
+  const store = options.store;
+  const ttl = options.ttl || DEFAULT_TTL;
+  const now = options.now || (() => Date.now());
+
+  function isExpired(session) {
+    return now() - session.updatedAt > ttl;
+  }
+
+  function get(id) {
+    return store.get(id).then(session => {
+      if (!session || isExpired(session)) {
+        return newSession(id, now());
+      }
+
+      return session;
+    });
+  }
+
+  /*
+   * Merge changes into a user's session and save it. `slots` are merged
+   * rather than replaced.
+   *
+   */
+  function update(id, changes) {
+    return get(id).then(session => {
+      const updated = Object.assign({}, session, changes, {
+        id,
+        slots: Object.assign({}, session.slots, changes.slots),
+        updatedAt: now()
+      });
+
+      return store.set(id, updated).then(() => updated);
+    });
+  }
+
+  function clear(id) {
+    return store.delete(id);
+  }
+
+  /*
+   * Remove expired sessions from the backend
+   *
+   */
+  function prune() {
+    return store.entries().then(entries =>
+      Promise.all(
+        entries
+          .filter(entry => isExpired(entry[1]))
+          .map(entry => store.delete(entry[0]))
+      )
+    );
+  }
+
+  return {
+    get,
+    update,
+    clear,
+    prune
+  };
+}
+
+module.exports = {
+  createSessionStore
+};
@@ -0,0 +1,104 @@
+/* jshint node: true, devel: true */
+"use strict";
+
+const { promisify } = require("util");
+const fs = require("fs");
+const path = require("path");
+
+const readFileAsync = promisify(fs.readFile);
+const writeFileAsync = promisify(fs.writeFile);
+const renameAsync = promisify(fs.rename);
+const mkdirAsync = promisify(fs.mkdir);
+
+/*
+ * File-backed key/value store. The whole store is kept in memory and written
+ * to a single JSON file after every change. Writes go to a temporary file
+ * that is then renamed over the original, so a crash mid-write never leaves
+ * a half-written store behind. Changes made while a write is running are
+ * saved together by the next one, rather than rewriting the file for each.
+ *
+ */
+function createFileStore(options) {
+  const file = options.file;
+  let items = null;
+  let loading = null;
+  let writing = Promise.resolve();
+  let queued = null;
+
+  function load() {
+    if (items) {
+      return Promise.resolve(items);
+    }
+
+    if (!loading) {
+      loading = readFileAsync(file, { encoding: "utf8" })
+        .then(contents => JSON.parse(contents))
+        .catch(error => {
+          if (error.code === "ENOENT") {
+            return {};
+          }
+          throw error;
+        })
+        .then(data => {
+          items = new Map(Object.entries(data));
+          return items;
+        });
+    }
+
+    return loading;
+  }
+
+  function persist() {
+    const tempFile = `${file}.${process.pid}.tmp`;
+
+    // A write that hasn't started yet will pick this change up too
+    if (queued) {
+      return queued;
+    }
+
+    const write = writing
+      .catch(() => {})
+      .then(() => {
+        queued = null;
+      })
+      .then(() => mkdirAsync(path.dirname(file)).catch(error => {
+        if (error.code !== "EEXIST") {
+          throw error;
+        }
+      }))
+      .then(() => {
+        const data = {};
+
+        items.forEach((value, key) => {
+          data[key] = value;
+        });
+
+        return writeFileAsync(tempFile, JSON.stringify(data, null, 2));
+      })
+      .then(() => renameAsync(tempFile, file));
+
+    queued = write;
+    writing = write;
+    return write;
+  }
+
+  return {
+    get: key => load().then(() => items.get(key)),
+    set: (key, value) =>
+      load().then(() => {
+        items.set(key, value);
+        return persist();
+      }),
+    delete: key =>
+      load().then(() => {
+        if (items.delete(key)) {
+          return persist();
+        }
+      }),
+    entries: () => load().then(() => Array.from(items.entries()))
+  };
+}
+
+module.exports = {
+  createFileStore
+};
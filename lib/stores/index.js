@@ -0,0 +1,31 @@
+/* jshint node: true, devel: true */
+"use strict";
+
+const { createMemoryStore } = require("./memoryStore");
+const { createFileStore } = require("./fileStore");
+
+/*
+ * Create a key/value store from a config object such as
+ * `{ "backend": "file", "file": "data/sessions.json" }`. Every backend
+ * resolves promises from `get`, `set`, `delete` and `entries`.
+ *
+ */
+function createStore(options) {
+  const backend = (options && options.backend) || "memory";
+
+  switch (backend) {
+    case "memory":
+      return createMemoryStore();
+    case "file":
+      if (!options.file) {
+        throw new Error("The file store needs a \"file\" path");
+      }
+      return createFileStore({ file: options.file });
+    default:
+      throw new Error(`Unknown store backend "${backend}"`);
+  }
+}
+
+module.exports = {
+  createStore
+};
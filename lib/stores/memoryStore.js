@@ -0,0 +1,28 @@
+/* jshint node: true, devel: true */
+"use strict";
+
+/*
+ * In-memory key/value store. Everything is lost when the process restarts,
+ * which makes it the right choice for development and tests.
+ *
+ */
+function createMemoryStore() {
+  const items = new Map();
+
+  return {
+    get: key => Promise.resolve(items.get(key)),
+    set: (key, value) => {
+      items.set(key, value);
+      return Promise.resolve();
+    },
+    delete: key => {
+      items.delete(key);
+      return Promise.resolve();
+    },
+    entries: () => Promise.resolve(Array.from(items.entries()))
+  };
+}
+
+module.exports = {
+  createMemoryStore
+};
@@ -0,0 +1,107 @@
+/* jshint node: true, devel: true */
+"use strict";
+
+function emptySubscription() {
+  return { teams: [], matches: [] };
+}
+
+/*
+ * Live score subscriptions
+ *
+ * Each user (keyed by PSID) can follow whole teams, e.g. "follow the
+ * Scorchers", or single matches via the "Notify me" button on a fixture.
+ * The `store` is any key/value backend from lib/stores.
+ *
+ */
+function createSubscriptions(options) {
+  const store = options.store;
+
+  function get(id) {
+    return store.get(id).then(subscription =>
+      Object.assign(emptySubscription(), subscription)
+    );
+  }
+
+  function save(id, subscription) {
+    if (!subscription.teams.length && !subscription.matches.length) {
+      return store.delete(id).then(() => subscription);
+    }
+
+    return store.set(id, subscription).then(() => subscription);
+  }
+
+  function followTeam(id, team) {
+    return get(id).then(subscription => {
+      if (subscription.teams.indexOf(team) === -1) {
+        subscription.teams.push(team);
+      }
+      return save(id, subscription);
+    });
+  }
+
+  function followMatch(id, matchId) {
+    return get(id).then(subscription => {
+      if (subscription.matches.indexOf(matchId) === -1) {
+        subscription.matches.push(matchId);
+      }
+      return save(id, subscription);
+    });
+  }
+
+  /*
+   * Stop following a team, or everything when no team is given. Resolves to
+   * true if the user was following it.
+   *
+   */
+  function unfollow(id, team) {
+    return get(id).then(subscription => {
+      let wasFollowing;
+
+      if (team) {
+        wasFollowing = subscription.teams.indexOf(team) !== -1;
+        subscription.teams = subscription.teams.filter(name => name !== team);
+      } else {
+        wasFollowing =
+          subscription.teams.length + subscription.matches.length > 0;
+        subscription.teams = [];
+        subscription.matches = [];
+      }
+
+      return save(id, subscription).then(() => wasFollowing);
+    });
+  }
+
+  /*
+   * Resolve to the PSIDs of everyone following the match or either team
+   * playing in it
+   *
+   */
+  function subscribersFor(match) {
+    return store.entries().then(entries =>
+      entries
+        .filter(entry => {
+          const subscription = entry[1];
+
+          return (
+            subscription.matches.indexOf(match.id) !== -1 ||
+            (match.teams || []).some(
+              team => subscription.teams.indexOf(team) !== -1
+            )
+          );
+        })
+        .map(entry => entry[0])
+    );
+  }
+
+  return {
+    get,
+    followTeam,
+    followMatch,
+    unfollow,
+    subscribersFor
+  };
+}
+
+module.exports = {
+  createSubscriptions
+};
@@ -0,0 +1,164 @@
+/* jshint node: true, devel: true */
+"use strict";
+
+const { defaultLogger } = require("./logger");
+const { createTimer, localTime } = require("./schedule");
+
+/*
+ * Term of the day
+ *
+ * Users who opt in get one glossary term a day, sent on the first `tick()`
+ * at or after `hour` o'clock in the timezone `utcOffset` hours from UTC.
+ * Subscribers are kept in `store` (any backend from lib/stores) along with
+ * the last day they were sent a term, so restarts don't send it twice.
+ * That day is only recorded once the term has been sent: a term that fails
+ * is tried again `retryDelay` milliseconds later, until the day ends.
+ *
+ * `send(recipientId, term)` delivers a term, rejecting if it couldn't be
+ * sent. `now` can be replaced with a fake clock, and `tick()` called
+ * directly, to run the schedule in tests.
+ *
+ */
+function createTermOfTheDay(options) {
+  const glossary = options.glossary;
+  const store = options.store;
+  const send = options.send;
+  const hour = options.hour === undefined ? 9 : options.hour;
+  const utcOffset = options.utcOffset === undefined ? 8 : options.utcOffset;
+  const interval = options.interval || 60 * 1000;
+  const retryDelay = options.retryDelay || 10 * 60 * 1000;
+  const now = options.now || (() => Date.now());
+  const log = options.log || defaultLogger;
+
+  function today() {
+    return glossary.forDay(localTime(now(), utcOffset).day);
+  }
+
+  function isSubscribed(id) {
+    return store.get(id).then(Boolean);
+  }
+
+  /*
+   * Opt a user in. They get their first term at the next scheduled time
+   * after today's, so a term they've just been shown isn't sent again.
+   *
+   */
+  function subscribe(id) {
+    return store.get(id).then(subscriber => {
+      if (subscriber) {
+        return false;
+      }
+
+      const current = now();
+
+      return store
+        .set(id, {
+          subscribedAt: current,
+          lastDay: localTime(current, utcOffset).day
+        })
+        .then(() => true);
+    });
+  }
+
+  /*
+   * Opt a user out. Resolves to true if they were subscribed.
+   *
+   */
+  function unsubscribe(id) {
+    return store.get(id).then(subscriber => {
+      if (!subscriber) {
+        return false;
+      }
+
+      return store.delete(id).then(() => true);
+    });
+  }
+
+  /*
+   * Change the stored subscriber, as it is now, unless they've opted out
+   *
+   */
+  function update(id, changes) {
+    return store.get(id).then(subscriber => {
+      if (!subscriber) {
+        return null;
+      }
+
+      return store.set(id, Object.assign({}, subscriber, changes));
+    });
+  }
+
+  /*
+   * Send today's term to every subscriber who hasn't had it yet, once the
+   * delivery hour has passed. Resolves to the number of terms sent.
+   *
+   */
+  function tick() {
+    const current = now();
+    const local = localTime(current, utcOffset);
+
+    if (local.hour < hour) {
+      return Promise.resolve(0);
+    }
+
+    return Promise.all([glossary.forDay(local.day), store.entries()]).then(
+      ([term, entries]) =>
+        Promise.all(
+          entries
+            .filter(
+              ([, subscriber]) =>
+                subscriber.lastDay < local.day &&
+                (subscriber.retryAt || 0) <= current
+            )
+            .map(([id]) =>
+              Promise.resolve()
+                .then(() => send(id, term))
+                .then(
+                  () =>
+                    update(id, { lastDay: local.day, retryAt: undefined }).then(
+                      () => 1
+                    ),
+                  error => {
+                    log.error("Couldn't send the term of the day", {
+                      recipientId: id,
+                      error
+                    });
+                    return update(id, { retryAt: current + retryDelay }).then(
+                      () => 0
+                    );
+                  }
+                )
+                .catch(error => {
+                  log.error("Couldn't update the term of the day subscriber", {
+                    recipientId: id,
+                    error
+                  });
+                  return 0;
+                })
+            )
+        ).then(sent => sent.reduce((total, count) => total + count, 0))
+    );
+  }
+
+  const timer = createTimer(
+    () =>
+      tick().catch(error =>
+        log.error("Couldn't send the terms of the day", { error })
+      ),
+    interval
+  );
+
+  return {
+    today,
+    isSubscribed,
+    subscribe,
+    unsubscribe,
+    tick,
+    start: timer.start,
+    stop: timer.stop
+  };
+}
+
+module.exports = {
+  createTermOfTheDay
+};
@@ -0,0 +1,29 @@
+/* jshint node: true, devel: true */
+"use strict";
+
+/*
+ * Lower-case a name or query and strip it down to words and spaces, so
+ * "Marsh, Mitchell!" and "marsh mitchell" compare equal
+ *
+ */
+function normalise(text) {
+  return String(text)
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+// "Australia", "Australia and India", "A, B and C"
+function joinNames(names) {
+  if (names.length < 2) {
+    return names.join("");
+  }
+
+  return `${names.slice(0, -1).join(", ")} and ${names[names.length - 1]}`;
+}
+
+module.exports = {
+  joinNames,
+  normalise
+};
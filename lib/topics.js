@@ -0,0 +1,188 @@
+/* jshint node: true, devel: true */
+"use strict";
+
+const path = require("path");
+const dataFile = require("./dataFile");
+const { MAX_PAGE_SIZE } = require("./articles");
+
+const DEFAULT_TOPICS_FILE = path.join(__dirname, "..", "data", "topics.json");
+const DEFAULT_PAGE_SIZE = 5;
+
+// Messenger shows at most 13 quick replies at a time.
+const MAX_QUICK_REPLIES = 13;
+
+// Words that join the topics in a list like "the Scorchers, the Ashes and
+// the BBL too"
+const LIST_WORDS = ["and", "the", "also", "too", "plus", "or"];
+
+// The longest topic name, in words, looked for in a list
+const MAX_NAME_WORDS = 4;
+
+// "The Ashes", "the ashes" and "Ashes" are the same name
+function normaliseName(name) {
+  return String(name)
+    .toLowerCase()
+    .replace(/[\u2018\u2019']/g, "")
+    .replace(/[^a-z0-9\s]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim()
+    .replace(/^the /, "");
+}
+
+/*
+ * Check a topic definition and fill in defaults. Each topic needs a unique
+ * quick reply payload, a label to show the user and the curation-api topic
+ * slug to fetch, and can have other names users know it by. A page of
+ * stories fits in one carousel, so `pageSize` is at most MAX_PAGE_SIZE.
+ *
+ */
+function normaliseTopic(topic, index) {
+  ["payload", "label", "topic"].forEach(key => {
+    if (typeof topic[key] !== "string" || !topic[key]) {
+      throw new Error(`Topic ${index} is missing "${key}"`);
+    }
+  });
+
+  return {
+    payload: topic.payload,
+    label: topic.label,
+    topic: topic.topic,
+    aliases: Array.isArray(topic.aliases) ? topic.aliases : [],
+    pageSize: Math.min(
+      parseInt(topic.pageSize, 10) || DEFAULT_PAGE_SIZE,
+      MAX_PAGE_SIZE
+    )
+  };
+}
+
+/*
+ * Topic registry
+ *
+ * Topics are read from a JSON file on every lookup (the parsed file is cached
+ * until it changes on disk), so editors can add or remove a topic without a
+ * code change or a redeploy.
+ *
+ */
+function createTopicRegistry(options) {
+  const file = (options && options.file) || DEFAULT_TOPICS_FILE;
+
+  function all() {
+    return dataFile.readJSON(file).then(topics => {
+      if (!Array.isArray(topics)) {
+        throw new Error(`Topics file ${file} must contain an array`);
+      }
+
+      return topics.map(normaliseTopic);
+    });
+  }
+
+  function find(payload) {
+    return all().then(topics =>
+      topics.find(topic => topic.payload === payload)
+    );
+  }
+
+  /*
+   * Find a topic by its label or one of its aliases, e.g. "the scorchers"
+   *
+   */
+  function match(name) {
+    const wanted = normaliseName(name);
+
+    return all().then(topics =>
+      topics.find(topic =>
+        [topic.label]
+          .concat(topic.aliases)
+          .some(other => normaliseName(other) === wanted)
+      )
+    );
+  }
+
+  /*
+   * Pick out every topic named in a list such as "the scorchers the ashes
+   * and bbl" (punctuation optional). Resolves to `{ topics, unknown }`,
+   * where `unknown` holds the phrases that didn't name a topic.
+   *
+   */
+  function matchList(text) {
+    return all().then(topics => {
+      const words = normaliseName(text)
+        .split(" ")
+        .filter(Boolean);
+      const found = [];
+      const unknown = [];
+      let stray = [];
+
+      const named = phrase =>
+        topics.find(topic =>
+          [topic.label]
+            .concat(topic.aliases)
+            .some(other => normaliseName(other) === normaliseName(phrase))
+        );
+
+      const longestMatch = start => {
+        for (let length = MAX_NAME_WORDS; length > 0; length--) {
+          const topic =
+            start + length <= words.length &&
+            named(words.slice(start, start + length).join(" "));
+
+          if (topic) {
+            return { topic, length };
+          }
+        }
+        return null;
+      };
+
+      const flush = () => {
+        if (stray.length) {
+          unknown.push(stray.join(" "));
+          stray = [];
+        }
+      };
+
+      for (let i = 0; i < words.length; ) {
+        const match = longestMatch(i);
+
+        if (match) {
+          flush();
+          if (found.indexOf(match.topic) === -1) {
+            found.push(match.topic);
+          }
+          i += match.length;
+        } else {
+          if (LIST_WORDS.indexOf(words[i]) !== -1) {
+            flush();
+          } else {
+            stray.push(words[i]);
+          }
+          i += 1;
+        }
+      }
+      flush();
+
+      return { topics: found, unknown };
+    });
+  }
+
+  function quickReplies() {
+    return all().then(topics =>
+      topics.slice(0, MAX_QUICK_REPLIES).map(topic => ({
+        content_type: "text",
+        title: topic.label,
+        payload: topic.payload
+      }))
+    );
+  }
+
+  return {
+    all,
+    find,
+    match,
+    matchList,
+    quickReplies
+  };
+}
+
+module.exports = {
+  createTopicRegistry
+};
@@ -0,0 +1,114 @@
+/* jshint node: true, devel: true */
+"use strict";
+
+const crypto = require("crypto");
+const { promisify } = require("util");
+const dataFile = require("./dataFile");
+const { defaultLogger } = require("./logger");
+
+const pbkdf2Async = promisify(crypto.pbkdf2);
+
+const ITERATIONS = 100000;
+const KEY_LENGTH = 32;
+const DIGEST = "sha256";
+
+// Checked against when the username is unknown
+const DUMMY_HASH = `pbkdf2$${ITERATIONS}$00$${"00".repeat(KEY_LENGTH)}`;
+
+/*
+ * Hash a password for the users file, as
+ * "pbkdf2$<iterations>$<salt>$<hash>" with the salt and hash in hex.
+ *
+ */
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString("hex");
+
+  return pbkdf2Async(password, salt, ITERATIONS, KEY_LENGTH, DIGEST).then(
+    key => `pbkdf2$${ITERATIONS}$${salt}$${key.toString("hex")}`
+  );
+}
+
+function verifyPassword(password, stored) {
+  const [scheme, iterations, salt, hash] = String(stored || "").split("$");
+
+  if (scheme !== "pbkdf2" || !salt || !hash) {
+    return Promise.resolve(false);
+  }
+
+  const expected = Buffer.from(hash, "hex");
+
+  return pbkdf2Async(
+    String(password),
+    salt,
+    Number(iterations),
+    expected.length,
+    DIGEST
+  ).then(key => crypto.timingSafeEqual(key, expected));
+}
+
+// What's safe to hand to the rest of the app about an account
+function publicAccount(user) {
+  return { id: user.id, username: user.username, name: user.name || null };
+}
+
+/*
+ * File-backed user store
+ *
+ * Reads accounts from a JSON file of `{ id, username, name, password }`,
+ * where `password` is a hash from `hashPassword` (see
+ * scripts/hash_password.js). The file is re-read when it changes.
+ *
+ * Any object with the same `authenticate(username, password)` and
+ * `find(id)` methods, both resolving to `{ id, username, name }` or null,
+ * can be used instead, e.g. one backed by an existing accounts service.
+ *
+ */
+function createFileUserStore(options) {
+  const file = options.file;
+  const log = options.log || defaultLogger;
+
+  function all() {
+    return dataFile.readJSON(file).catch(error => {
+      if (error.code === "ENOENT") {
+        log.error("No users file, so nobody can log in", { file });
+        return [];
+      }
+      throw error;
+    });
+  }
+
+  function authenticate(username, password) {
+    const wanted = String(username || "").toLowerCase();
+
+    return all().then(users => {
+      const user = users.find(
+        candidate => String(candidate.username).toLowerCase() === wanted
+      );
+
+      // Check a password even for unknown users so the response time doesn't
+      // say which usernames exist
+      return verifyPassword(password, user ? user.password : DUMMY_HASH).then(
+        valid => (user && valid ? publicAccount(user) : null)
+      );
+    });
+  }
+
+  function find(id) {
+    return all().then(users => {
+      const user = users.find(candidate => candidate.id === id);
+
+      return user ? publicAccount(user) : null;
+    });
+  }
+
+  return {
+    authenticate,
+    find
+  };
+}
+
+module.exports = {
+  createFileUserStore,
+  hashPassword,
+  verifyPassword
+};
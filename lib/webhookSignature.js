@@ -0,0 +1,122 @@
+/* jshint node: true, devel: true */
+"use strict";
+
+const bodyParser = require("body-parser");
+const crypto = require("crypto");
+const { defaultLogger } = require("./logger");
+
+// Headers Facebook signs webhook deliveries with, strongest first
+const SIGNATURE_HEADERS = [
+  { header: "x-hub-signature-256", algorithm: "sha256" },
+  { header: "x-hub-signature", algorithm: "sha1" }
+];
+
+/*
+ * Check the raw body of a webhook delivery against its signature headers.
+ * The sha256 signature is used when present, falling back to sha1. Returns
+ * `{ valid, reason }`, where `reason` is "missing", "malformed" or
+ * "mismatch" for an invalid signature.
+ *
+ */
+function checkSignature(headers, body, appSecret) {
+  const signed = SIGNATURE_HEADERS.find(({ header }) => headers[header]);
+
+  if (!signed) {
+    return { valid: false, reason: "missing" };
+  }
+
+  const [method, hash] = String(headers[signed.header]).split("=");
+
+  if (method !== signed.algorithm || !/^[0-9a-f]+$/i.test(hash || "")) {
+    return { valid: false, reason: "malformed" };
+  }
+
+  const expected = crypto
+    .createHmac(signed.algorithm, appSecret)
+    .update(body || "")
+    .digest();
+  const actual = Buffer.from(hash, "hex");
+
+  if (
+    actual.length !== expected.length ||
+    !crypto.timingSafeEqual(actual, expected)
+  ) {
+    return { valid: false, reason: "mismatch" };
+  }
+
+  return { valid: true, algorithm: signed.algorithm };
+}
+
+/*
+ * Webhook guard
+ *
+ * Express middleware for the Messenger webhook, to be used in this order:
+ *
+ *   app.post("/webhook", guard.middleware, handler)
+ *
+ * It parses the JSON body, keeping the raw bytes to check the signature
+ * against. A request with a bad signature is always rejected with a 403. A
+ * request with no signature is rejected when `requireSignature` is true (the
+ * default in production) and let through with a warning otherwise.
+ *
+ * Messages Facebook delivers more than once are left to the event queue,
+ * which only handles each message `mid` once. Dropping them here would lose
+ * a redelivery whose first delivery couldn't be queued.
+ *
+ */
+function createWebhookGuard(options) {
+  const appSecret = options.appSecret;
+  let requireSignature = options.requireSignature;
+  const log = options.log || defaultLogger;
+
+  if (requireSignature === undefined) {
+    requireSignature = process.env.NODE_ENV === "production";
+  }
+
+  const parseBody = bodyParser.json({
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    }
+  });
+
+  function reject(res, reason) {
+    log.warn("Rejected webhook delivery", { reason });
+    res.sendStatus(403);
+  }
+
+  function verify(req, res, next) {
+    const result = checkSignature(req.headers, req.rawBody, appSecret);
+
+    if (result.valid) {
+      return next();
+    }
+
+    if (result.reason === "missing" && !requireSignature) {
+      log.warn("Couldn't validate the signature: none was sent");
+      return next();
+    }
+
+    reject(res, `${result.reason} signature`);
+  }
+
+  // Body parser errors (bad JSON and so on) get a plain status code rather
+  // than an HTML error page with a stack trace
+  function handleErrors(error, req, res, next) {
+    if (!error.status || error.status >= 500) {
+      return next(error);
+    }
+
+    log.warn("Rejected webhook delivery", { reason: error.message });
+    res.sendStatus(error.status);
+  }
+
+  return {
+    middleware: [parseBody, handleErrors, verify],
+    checkSignature: (headers, body) => checkSignature(headers, body, appSecret)
+  };
+}
+
+module.exports = {
+  checkSignature,
+  createWebhookGuard
+};
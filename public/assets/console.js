@@ -0,0 +1,546 @@
+/* jshint browser: true, devel: true */
+
+/*
+ * Developer console
+ *
+ * Talks to the bot through the /console routes in app.js and renders what
+ * it would have sent to Messenger: text, quick replies, templates,
+ * attachments and sender actions. The console user's PSID is kept in
+ * localStorage so a reload carries on the same conversation.
+ *
+ */
+(function() {
+  "use strict";
+
+  const STORAGE_KEY = "devConsole.psid";
+
+  // How often to check for messages the bot sends by itself, like the digest
+  const POLL_INTERVAL = 3000;
+
+  // Pause between the sender actions and messages of one reply
+  const STEP_DELAY = 150;
+
+  const thread = document.getElementById("thread");
+  const quickReplies = document.getElementById("quick-replies");
+  const menu = document.getElementById("menu");
+  const form = document.getElementById("compose");
+  const input = document.getElementById("text");
+  const sendButton = document.getElementById("send");
+
+  let psid = null;
+  let cursor = 0;
+  let busy = false;
+  let playing = Promise.resolve();
+  let typing = null;
+
+  function element(tag, className, text) {
+    const node = document.createElement(tag);
+
+    if (className) {
+      node.className = className;
+    }
+    if (text !== undefined && text !== null) {
+      node.textContent = text;
+    }
+
+    return node;
+  }
+
+  function scrollToEnd() {
+    thread.scrollTop = thread.scrollHeight;
+  }
+
+  function addRow(from, content, payload) {
+    const row = element("div", `row ${from}`);
+
+    row.appendChild(content);
+
+    if (payload) {
+      const details = element("details", "payload");
+
+      details.appendChild(element("summary", null, "Payload"));
+      details.appendChild(
+        element("pre", null, JSON.stringify(payload, null, 2))
+      );
+      row.appendChild(details);
+    }
+
+    thread.appendChild(row);
+    scrollToEnd();
+    return row;
+  }
+
+  function notice(text) {
+    addRow("bot", element("div", "status notice", text));
+  }
+
+  function request(method, url, body) {
+    return fetch(url, {
+      method,
+      headers: body ? { "Content-Type": "application/json" } : {},
+      body: body ? JSON.stringify(body) : undefined
+    }).then(res => {
+      if (res.status === 404) {
+        throw new Error(
+          "The console is turned off. Set DEV_CONSOLE=true to turn it on."
+        );
+      }
+      return res.json().then(json => {
+        if (!res.ok) {
+          throw new Error(json.error || `The server answered ${res.status}`);
+        }
+        return json;
+      });
+    });
+  }
+
+  /*
+   * Buttons
+   *
+   */
+  function renderButton(button) {
+    if (button.type === "web_url" || button.type === "account_link") {
+      const link = element("a", null, button.title || "Log in");
+
+      link.href = button.url;
+      link.target = "_blank";
+      link.rel = "noopener";
+      return link;
+    }
+
+    if (button.type === "phone_number") {
+      const link = element("a", null, button.title);
+
+      link.href = `tel:${button.payload}`;
+      return link;
+    }
+
+    if (button.type === "postback") {
+      const tap = element("button", null, button.title);
+
+      tap.type = "button";
+      tap.addEventListener("click", () =>
+        send(
+          { postback: { payload: button.payload, title: button.title } },
+          button.title
+        )
+      );
+      return tap;
+    }
+
+    // account_unlink, element_share and the like only work in Messenger
+    const unsupported = element(
+      "button",
+      null,
+      button.title || button.type.replace(/_/g, " ")
+    );
+
+    unsupported.type = "button";
+    unsupported.disabled = true;
+    unsupported.title = `${button.type} buttons only work in Messenger`;
+    return unsupported;
+  }
+
+  function renderButtons(buttons) {
+    const container = element("div", "buttons");
+
+    (buttons || []).forEach(button =>
+      container.appendChild(renderButton(button))
+    );
+    return container;
+  }
+
+  function image(url, className) {
+    const img = element("img", className);
+
+    img.src = url;
+    img.alt = "";
+    return img;
+  }
+
+  /*
+   * Templates
+   *
+   */
+  function defaultLink(node, action) {
+    if (!action || !action.url) {
+      return node;
+    }
+
+    const link = element("a");
+
+    link.href = action.url;
+    link.target = "_blank";
+    link.rel = "noopener";
+    link.style.color = "inherit";
+    link.style.textDecoration = "none";
+    link.appendChild(node);
+    return link;
+  }
+
+  function renderGeneric(payload) {
+    const cards = element("div", "cards");
+
+    payload.elements.forEach(item => {
+      const card = element("div", "card");
+      const summary = element("div");
+
+      if (item.image_url) {
+        summary.appendChild(image(item.image_url));
+      }
+      summary.appendChild(element("div", "title", item.title));
+      summary.appendChild(element("div", "subtitle", item.subtitle));
+
+      card.appendChild(defaultLink(summary, item.default_action));
+      card.appendChild(renderButtons(item.buttons));
+      cards.appendChild(card);
+    });
+
+    return cards;
+  }
+
+  function renderList(payload) {
+    const list = element("div", "list");
+
+    payload.elements.forEach(item => {
+      const row = element("div", "item");
+      const text = element("div", "card");
+
+      text.style.border = "0";
+      text.appendChild(element("div", "title", item.title));
+      text.appendChild(element("div", "subtitle", item.subtitle));
+      text.appendChild(renderButtons(item.buttons));
+      row.appendChild(defaultLink(text, item.default_action));
+
+      if (item.image_url) {
+        row.appendChild(image(item.image_url));
+      }
+      list.appendChild(row);
+    });
+
+    list.appendChild(renderButtons(payload.buttons));
+    return list;
+  }
+
+  function renderButtonTemplate(payload) {
+    const box = element("div", "list");
+
+    box.appendChild(element("div", "bubble", payload.text));
+    box.firstChild.style.maxWidth = "none";
+    box.appendChild(renderButtons(payload.buttons));
+    return box;
+  }
+
+  function renderOpenGraph(payload) {
+    const cards = element("div", "cards");
+
+    payload.elements.forEach(item => {
+      const card = element("div", "card");
+      const link = element("a", "title", item.url);
+
+      link.href = item.url;
+      link.target = "_blank";
+      link.rel = "noopener";
+      card.appendChild(link);
+      card.appendChild(renderButtons(item.buttons));
+      cards.appendChild(card);
+    });
+
+    return cards;
+  }
+
+  const TEMPLATES = {
+    generic: renderGeneric,
+    list: renderList,
+    button: renderButtonTemplate,
+    open_graph: renderOpenGraph
+  };
+
+  function renderAttachment(attachment) {
+    const payload = attachment.payload || {};
+
+    if (attachment.type === "template") {
+      const render = TEMPLATES[payload.template_type];
+
+      if (!render) {
+        return element(
+          "div",
+          "bubble",
+          `Can't show a ${payload.template_type} template here`
+        );
+      }
+
+      return render(payload);
+    }
+
+    if (attachment.type === "image" && payload.url) {
+      return image(payload.url, "media");
+    }
+
+    if (attachment.type === "video" || attachment.type === "audio") {
+      const media = element(attachment.type, "media");
+
+      media.src = payload.url;
+      media.controls = true;
+      return media;
+    }
+
+    const link = element("a", "bubble", payload.url || attachment.type);
+
+    link.href = payload.url || "#";
+    link.target = "_blank";
+    return link;
+  }
+
+  /*
+   * Quick replies and the persistent menu
+   *
+   */
+  function renderQuickReplies(replies) {
+    quickReplies.textContent = "";
+
+    (replies || []).forEach(quickReply => {
+      const tap = element("button");
+
+      tap.type = "button";
+
+      if (quickReply.content_type !== "text") {
+        // Location, phone number and email quick replies need Messenger
+        tap.textContent = quickReply.content_type.replace(/_/g, " ");
+        tap.disabled = true;
+        quickReplies.appendChild(tap);
+        return;
+      }
+
+      if (quickReply.image_url) {
+        tap.appendChild(image(quickReply.image_url));
+      }
+      tap.appendChild(document.createTextNode(quickReply.title));
+      tap.addEventListener("click", () =>
+        send(
+          {
+            quickReply: {
+              payload: quickReply.payload,
+              title: quickReply.title
+            }
+          },
+          quickReply.title
+        )
+      );
+      quickReplies.appendChild(tap);
+    });
+  }
+
+  function renderMenu(profile) {
+    const items = (profile.persistent_menu || [])
+      .filter(entry => entry.locale === "default")
+      .reduce((all, entry) => all.concat(entry.call_to_actions || []), []);
+
+    menu.textContent = "";
+    items.forEach(item => {
+      const entry = renderButton(item);
+
+      entry.addEventListener("click", () => {
+        menu.hidden = true;
+      });
+      menu.appendChild(entry);
+    });
+  }
+
+  /*
+   * Playing back what the bot sent, one Send API call at a time
+   *
+   */
+  function showTyping(on) {
+    if (on && !typing) {
+      typing = addRow("bot typing", element("div", "bubble", "typing..."));
+    } else if (!on && typing) {
+      typing.remove();
+      typing = null;
+    }
+  }
+
+  function markSeen() {
+    const rows = thread.querySelectorAll(".row.user");
+    const last = rows[rows.length - 1];
+
+    if (last && !last.querySelector(".status")) {
+      last.appendChild(element("div", "status", "Seen"));
+    }
+  }
+
+  function renderCall(messageData) {
+    const action = messageData.sender_action;
+    const message = messageData.message;
+
+    if (action === "typing_on" || action === "typing_off") {
+      showTyping(action === "typing_on");
+      return;
+    }
+
+    if (action === "mark_seen") {
+      markSeen();
+      return;
+    }
+
+    if (!message) {
+      return;
+    }
+
+    // Keep the typing indicator below the newest message
+    const wasTyping = Boolean(typing);
+
+    showTyping(false);
+
+    if (message.attachment) {
+      addRow("bot", renderAttachment(message.attachment), messageData);
+    } else {
+      addRow("bot", element("div", "bubble", message.text), messageData);
+    }
+
+    showTyping(wasTyping);
+
+    renderQuickReplies(message.quick_replies);
+  }
+
+  function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  function play(calls) {
+    playing = calls.reduce(
+      (previous, messageData) =>
+        previous.then(() => {
+          renderCall(messageData);
+          return wait(STEP_DELAY);
+        }),
+      playing
+    );
+
+    return playing;
+  }
+
+  /*
+   * Talking to the bot
+   *
+   */
+  function setBusy(value) {
+    busy = value;
+    input.disabled = value || !psid;
+    sendButton.disabled = value || !psid;
+
+    if (!value) {
+      input.focus();
+    }
+  }
+
+  function send(body, label) {
+    if (busy || !psid) {
+      return;
+    }
+
+    setBusy(true);
+    renderQuickReplies([]);
+    addRow("user", element("div", "bubble", label), body);
+
+    request("POST", "/console/events", Object.assign({ psid }, body))
+      .then(result => {
+        cursor = result.cursor;
+        return play(result.messages);
+      })
+      .catch(error => notice(error.message))
+      .then(() => setBusy(false));
+  }
+
+  function messagesUrl(after) {
+    return `/console/messages?psid=${encodeURIComponent(psid)}&after=${after}`;
+  }
+
+  function poll() {
+    if (busy || !psid) {
+      return;
+    }
+
+    request("GET", messagesUrl(cursor))
+      .then(result => {
+        if (!busy && result.cursor > cursor) {
+          cursor = result.cursor;
+          return play(result.messages);
+        }
+      })
+      .catch(() => {});
+  }
+
+  function start(fresh) {
+    thread.textContent = "";
+    renderQuickReplies([]);
+    cursor = 0;
+
+    if (fresh) {
+      localStorage.removeItem(STORAGE_KEY);
+    }
+
+    return request("GET", "/console/start")
+      .then(session => {
+        const saved = localStorage.getItem(STORAGE_KEY);
+
+        psid = saved || session.psid;
+        localStorage.setItem(STORAGE_KEY, psid);
+        renderMenu(session.profile);
+
+        if (saved) {
+          // Carry on where the conversation left off
+          return request("GET", messagesUrl(0)).then(result => {
+            cursor = result.cursor;
+            return play(result.messages);
+          });
+        }
+
+        const greeting = (session.profile.greeting || [])[0];
+        const getStarted = session.profile.get_started;
+
+        notice(
+          greeting ? greeting.text.replace("{{user_first_name}}", "there") : ""
+        );
+
+        if (getStarted) {
+          renderQuickReplies([]);
+          quickReplies.appendChild(
+            renderButton({
+              type: "postback",
+              title: "Get Started",
+              payload: getStarted.payload
+            })
+          );
+        }
+      })
+      .catch(error => notice(error.message))
+      .then(() => setBusy(false));
+  }
+
+  form.addEventListener("submit", event => {
+    const text = input.value.trim();
+
+    event.preventDefault();
+
+    if (text) {
+      input.value = "";
+      send({ text }, text);
+    }
+  });
+
+  document.getElementById("menu-toggle").addEventListener("click", () => {
+    menu.hidden = !menu.hidden;
+  });
+
+  document.getElementById("new-conversation").addEventListener("click", () =>
+    start(true)
+  );
+
+  document.getElementById("show-payloads").addEventListener("change", event =>
+    document.body.classList.toggle("show-payloads", event.target.checked)
+  );
+
+  setInterval(poll, POLL_INTERVAL);
+  start(false);
+})();
@@ -0,0 +1,29 @@
+#!/usr/bin/env node
+/* jshint node: true, devel: true */
+"use strict";
+
+/*
+ * Print a password hash for the account linking users file. The password is
+ * read from standard input so it doesn't end up in the shell history.
+ *
+ *   npm run hash-password
+ *
+ */
+const readline = require("readline");
+const { hashPassword } = require("../lib/users");
+
+const input = readline.createInterface({
+  input: process.stdin,
+  output: process.stderr
+});
+
+input.question("Password: ", password => {
+  input.close();
+
+  hashPassword(password)
+    .then(hash => console.log(hash))
+    .catch(error => {
+      console.error(error.message);
+      process.exit(1);
+    });
+});
@@ -0,0 +1,56 @@
+#!/usr/bin/env node
+/* jshint node: true, devel: true */
+"use strict";
+
+/*
+ * Register the Get Started button, greeting text and persistent menu with the
+ * Messenger Profile API for every page, using the same config as app.js.
+ *
+ *   npm run setup-profile
+ *
+ */
+const path = require("path");
+
+process.env.NODE_CONFIG_DIR =
+  process.env.NODE_CONFIG_DIR || path.join(__dirname, "..", "config");
+
+const config = require("config");
+const { loadConfig } = require("../lib/configSchema");
+const { setupProfile } = require("../lib/messengerProfile");
+
+let settings;
+
+try {
+  settings = loadConfig(config, process.env);
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
+
+const graphApiUrl =
+  (settings.graphApiUrl || "https://graph.facebook.com") +
+  "/" +
+  (settings.graphApiVersion || "v2.6");
+
+function name(page) {
+  return page.id ? `page ${page.id}` : "the page";
+}
+
+settings.pages
+  .reduce(
+    (previous, page) =>
+      previous
+        .then(() =>
+          setupProfile({
+            graphApiUrl,
+            accessToken: page.accessToken,
+            greeting: page.greetingText || settings.greetingText
+          })
+        )
+        .then(() => console.log(`Messenger Profile set up for ${name(page)}`)),
+    Promise.resolve()
+  )
+  .catch(error => {
+    console.error(error.message);
+    process.exit(1);
+  });
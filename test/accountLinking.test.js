@@ -0,0 +1,149 @@
+/* jshint node: true, mocha: true */
+"use strict";
+
+const assert = require("assert");
+const { URL } = require("url");
+const request = require("supertest");
+const messenger = require("./support/messenger");
+
+const REDIRECT_URI =
+  "https://www.facebook.com/messenger_platform/account_linking/" +
+  "?account_linking_token=ALT";
+
+/*
+ * Log in on the authorize page and resolve to the authorization code
+ * Messenger would be sent back with
+ *
+ */
+function logIn(username, password) {
+  return request(messenger.app())
+    .post("/authorize")
+    .type("form")
+    .send({
+      username,
+      password,
+      redirect_uri: REDIRECT_URI,
+      account_linking_token: "ALT"
+    })
+    .expect(302)
+    .then(res =>
+      new URL(res.headers.location).searchParams.get("authorization_code")
+    );
+}
+
+function accountLinking(user, fields) {
+  return messenger.converse(
+    user,
+    messenger.event(user, { account_linking: fields })
+  );
+}
+
+describe("account linking", () => {
+  describe("authorize page", () => {
+    it("shows the login form for a Messenger redirect", () =>
+      request(messenger.app())
+        .get("/authorize")
+        .query({ redirect_uri: REDIRECT_URI, account_linking_token: "ALT" })
+        .expect(200)
+        .then(res => assert.ok(/name="password"/.test(res.text))));
+
+    it("refuses to redirect anywhere but Messenger", () =>
+      request(messenger.app())
+        .get("/authorize")
+        .query({ redirect_uri: "https://example.com/steal" })
+        .expect(400));
+
+    it("refuses a login redirecting anywhere but Messenger", () =>
+      request(messenger.app())
+        .post("/authorize")
+        .type("form")
+        .send({
+          username: "demo",
+          password: "demo",
+          redirect_uri: "https://example.com/steal"
+        })
+        .expect(400));
+
+    it("rejects a wrong password", () =>
+      request(messenger.app())
+        .post("/authorize")
+        .type("form")
+        .send({
+          username: "demo",
+          password: "wrong",
+          redirect_uri: REDIRECT_URI
+        })
+        .expect(401)
+        .then(res => assert.ok(/don&#39;t match/.test(res.text))));
+
+    it("sends the user back to Messenger with a code", () =>
+      logIn("demo", "demo").then(code => assert.ok(code)));
+  });
+
+  describe("webhook events", () => {
+    let user;
+
+    beforeEach(() => {
+      user = messenger.user();
+    });
+
+    it("links the account from the code", () =>
+      logIn("demo", "demo")
+        .then(code =>
+          accountLinking(user, { status: "linked", authorization_code: code })
+        )
+        .then(messages =>
+          assert.strictEqual(
+            messenger.textOf(messages),
+            "You're linked to your account, Demo User."
+          )
+        )
+        .then(() => messenger.say(user, "my account"))
+        .then(messages => {
+          const payload = messages[0].attachment.payload;
+
+          assert.strictEqual(
+            payload.text,
+            "You're linked to Demo User (demo)."
+          );
+          assert.deepStrictEqual(payload.buttons, [{ type: "account_unlink" }]);
+        }));
+
+    it("won't link with a code that has been used", () =>
+      logIn("demo", "demo")
+        .then(code =>
+          accountLinking(messenger.user(), {
+            status: "linked",
+            authorization_code: code
+          }).then(() =>
+            accountLinking(user, { status: "linked", authorization_code: code })
+          )
+        )
+        .then(messages =>
+          assert.strictEqual(
+            messenger.textOf(messages),
+            "Sorry, that login has expired. Say \"my account\" to try again."
+          )
+        ));
+
+    it("unlinks the account", () =>
+      logIn("demo", "demo")
+        .then(code =>
+          accountLinking(user, { status: "linked", authorization_code: code })
+        )
+        .then(() => accountLinking(user, { status: "unlinked" }))
+        .then(messages =>
+          assert.strictEqual(
+            messenger.textOf(messages),
+            "Your account has been unlinked."
+          )
+        )
+        .then(() => messenger.say(user, "account"))
+        .then(messages =>
+          assert.strictEqual(
+            messages[0].attachment.payload.text,
+            "Your Messenger isn't linked to an account yet."
+          )
+        ));
+  });
+});
@@ -0,0 +1,291 @@
+/* jshint node: true, mocha: true */
+"use strict";
+
+const assert = require("assert");
+const express = require("express");
+const fs = require("fs");
+const path = require("path");
+const request = require("supertest");
+const messenger = require("./support/messenger");
+const { createAdminRouter } = require("../lib/admin");
+const { createLogger } = require("../lib/logger");
+
+const { say, textOf, quickReplyTitles } = messenger;
+
+const TOPIC = {
+  payload: "LATEST_AFL_PAYLOAD",
+  label: "AFL",
+  topic: "sport/afl",
+  aliases: ["footy"]
+};
+
+// A request to the admin routes as the demo user
+function admin(method, url) {
+  return request(messenger.app())[method](url).auth("demo", "demo");
+}
+
+function api(method, url) {
+  return admin(method, `/admin/api${url}`);
+}
+
+function dashboard(method, url) {
+  return admin(method, `/admin${url}`);
+}
+
+// The token the dashboard's forms carry
+function formToken(html) {
+  return /name="token" value="([0-9a-f]+)"/.exec(html)[1];
+}
+
+describe("admin", () => {
+  let user;
+
+  beforeEach(() => {
+    user = messenger.user();
+  });
+
+  describe("logging in", () => {
+    it("asks for credentials", () =>
+      request(messenger.app())
+        .get("/admin/api/jokes")
+        .expect(401)
+        .expect("WWW-Authenticate", /^Basic realm="Bot admin"/));
+
+    it("refuses the wrong password", () =>
+      request(messenger.app())
+        .get("/admin/jokes")
+        .auth("demo", "not the password")
+        .expect(401));
+
+    it("only checks a password again once the credentials expire", () => {
+      const checked = [];
+      let clock = 0;
+      const app = express().use(
+        "/admin",
+        createAdminRouter({
+          collections: [],
+          users: {
+            authenticate: (username, password) => {
+              checked.push(password);
+              return Promise.resolve(
+                password === "demo" ? { id: "1", username } : null
+              );
+            }
+          },
+          report: () => Promise.resolve({}),
+          secret: "test-secret",
+          credentialTtl: 1000,
+          now: () => clock,
+          log: createLogger({ level: "silent" })
+        })
+      );
+      const report = password =>
+        request(app).get("/admin/api/report").auth("demo", password);
+
+      return report("demo")
+        .expect(200)
+        .then(() => report("demo").expect(200))
+        .then(() => report("wrong").expect(401))
+        .then(() => report("wrong").expect(401))
+        .then(() => {
+          assert.deepStrictEqual(checked, ["demo", "wrong", "wrong"]);
+          clock += 1000;
+          return report("demo").expect(200);
+        })
+        .then(() =>
+          assert.deepStrictEqual(checked, ["demo", "wrong", "wrong", "demo"])
+        );
+    });
+  });
+
+  describe("API", () => {
+    it("lists a collection's entries with their ids", () =>
+      api("get", "/topics")
+        .expect(200)
+        .then(res => {
+          assert.deepStrictEqual(res.body[0].id, "LATEST_CRICKET_PAYLOAD");
+          assert.strictEqual(res.body[0].entry.label, "Cricket");
+        }));
+
+    it("puts a new topic in the menu straight away", () =>
+      api("post", "/topics")
+        .send(TOPIC)
+        .expect(201)
+        .expect("Location", "/admin/api/topics/LATEST_AFL_PAYLOAD")
+        .then(() => say(user, "latest"))
+        .then(messages => {
+          assert.ok(quickReplyTitles(messages[0]).indexOf("AFL") !== -1);
+          return api("delete", "/topics/LATEST_AFL_PAYLOAD").expect(204);
+        })
+        .then(() => say(user, "latest"))
+        .then(messages =>
+          assert.strictEqual(quickReplyTitles(messages[0]).indexOf("AFL"), -1)
+        ));
+
+    it("changes a glossary term the bot explains", () => {
+      let original;
+
+      return api("get", "/glossary/yorker")
+        .expect(200)
+        .then(res => {
+          original = res.body.entry;
+          return api("put", "/glossary/Yorker")
+            .send(
+              Object.assign({}, original, { definition: "A ball at the toes." })
+            )
+            .expect(200);
+        })
+        .then(() => say(user, "what is a yorker"))
+        .then(messages => {
+          assert.ok(/A ball at the toes\./.test(textOf(messages)));
+          return api("put", "/glossary/Yorker").send(original).expect(200);
+        });
+    });
+
+    it("adds and removes a fixture", () => {
+      const match = {
+        id: "aus-eng-test-1",
+        name: "First Ashes Test",
+        competition: "Domain Test Series",
+        teams: ["Australia", "England"],
+        venue: "The Gabba, Brisbane",
+        startTime: "2098-11-21T10:00:00+10:00"
+      };
+
+      return api("post", "/fixtures")
+        .send(match)
+        .expect(201)
+        .then(() => say(user, "when is the next match"))
+        .then(messages => {
+          assert.strictEqual(
+            messages[0].attachment.payload.elements[0].title,
+            "Australia v England, First Ashes Test"
+          );
+          return api("delete", "/fixtures/aus-eng-test-1").expect(204);
+        })
+        .then(() => {
+          const saved = JSON.parse(
+            fs.readFileSync(messenger.content.fixtures, "utf8")
+          );
+
+          assert.strictEqual(saved.teams.length, 4);
+          assert.strictEqual(saved.matches.length, 2);
+        });
+    });
+
+    it("lists what's wrong with an invalid entry", () =>
+      api("post", "/fixtures")
+        .send({ id: "x", teams: "Australia", startTime: "tomorrow" })
+        .expect(400)
+        .then(res =>
+          assert.deepStrictEqual(res.body.problems, [
+            "competition is missing",
+            "teams must be a list of text",
+            "venue is missing",
+            "startTime must be a time with a timezone, like 2018-11-21T18:20:00+10:00"
+          ])
+        ));
+
+    it("won't give a topic a payload the bot can't tell apart", () =>
+      Promise.all([
+        api("post", "/topics")
+          .send(Object.assign({}, TOPIC, { payload: "LATEST:AFL" }))
+          .expect(400),
+        api("post", "/topics")
+          .send(Object.assign({}, TOPIC, { payload: "ALL_TOPICS" }))
+          .expect(400)
+      ]).then(([separator, reserved]) => {
+        assert.deepStrictEqual(separator.body.problems, [
+          "payload can't contain \":\""
+        ]);
+        assert.deepStrictEqual(reserved.body.problems, [
+          "payload ALL_TOPICS is already used by the bot"
+        ]);
+      }));
+
+    it("won't give a topic more stories than a carousel holds", () =>
+      api("post", "/topics")
+        .send(Object.assign({}, TOPIC, { pageSize: 12 }))
+        .expect(400)
+        .then(res =>
+          assert.deepStrictEqual(res.body.problems, [
+            "pageSize can't be more than 9"
+          ])
+        ));
+
+    it("won't add an entry twice", () =>
+      api("get", "/jokes")
+        .then(res => api("post", "/jokes").send(res.body[0].entry))
+        .then(res => assert.strictEqual(res.status, 409)));
+
+    it("says when there's no such entry or collection", () =>
+      Promise.all([
+        api("get", "/jokes/no-such-joke").expect(404),
+        api("put", "/topics/NOPE").send(TOPIC).expect(404),
+        api("get", "/players").expect(404)
+      ]));
+
+    it("replaces files whole, leaving nothing behind", () =>
+      api("post", "/jokes")
+        .send({ question: "Why?", answer: "Because.", tags: ["test"] })
+        .expect(201)
+        .then(res => api("delete", `/jokes/${res.body.id}`).expect(204))
+        .then(() => {
+          const dir = path.dirname(messenger.content.jokes);
+
+          assert.deepStrictEqual(
+            fs.readdirSync(dir).filter(file => /\.tmp$/.test(file)),
+            []
+          );
+          assert.ok(
+            JSON.parse(fs.readFileSync(messenger.content.jokes, "utf8")).length
+          );
+        }));
+  });
+
+  describe("dashboard", () => {
+    it("shows each collection with a form for a new entry", () =>
+      dashboard("get", "/")
+        .expect(302)
+        .expect("Location", "/admin/jokes")
+        .then(() => dashboard("get", "/glossary").expect(200))
+        .then(res => {
+          assert.ok(/<h2>Glossary \(\d+\)<\/h2>/.test(res.text));
+          assert.ok(/Add a term/.test(res.text));
+        }));
+
+    it("saves an entry typed into the form", () =>
+      dashboard("get", "/topics")
+        .then(res =>
+          dashboard("post", "/topics")
+            .type("form")
+            .send({ token: formToken(res.text), entry: JSON.stringify(TOPIC) })
+            .expect(302)
+            .expect("Location", "/admin/topics?saved=LATEST_AFL_PAYLOAD")
+        )
+        .then(() => dashboard("get", "/topics?edit=LATEST_AFL_PAYLOAD"))
+        .then(res => {
+          assert.ok(/Edit topic/.test(res.text));
+          return dashboard("post", "/topics/LATEST_AFL_PAYLOAD/delete")
+            .type("form")
+            .send({ token: formToken(res.text) })
+            .expect(302);
+        }));
+
+    it("shows the problems with an entry it can't save", () =>
+      dashboard("get", "/jokes")
+        .then(res =>
+          dashboard("post", "/jokes")
+            .type("form")
+            .send({ token: formToken(res.text), entry: "{ not json" })
+            .expect(400)
+        )
+        .then(res => assert.ok(/That isn&#39;t valid JSON/.test(res.text))));
+
+    it("refuses forms from anywhere else", () =>
+      dashboard("post", "/jokes")
+        .type("form")
+        .send({ entry: JSON.stringify({ question: "Q", answer: "A" }) })
+        .expect(403));
+  });
+});
@@ -0,0 +1,162 @@
+/* jshint node: true, mocha: true */
+"use strict";
+
+const assert = require("assert");
+const url = require("url");
+const request = require("supertest");
+const messenger = require("./support/messenger");
+
+const { say, tap, carousel } = messenger;
+
+function report(query) {
+  return request(messenger.app())
+    .get("/admin/api/report")
+    .query(query || {})
+    .auth("demo", "demo");
+}
+
+// The current report
+function counts() {
+  return report()
+    .expect(200)
+    .then(res => res.body);
+}
+
+function countOf(list, field, value) {
+  const found = list.find(item => item[field] === value);
+
+  return found ? found.count : 0;
+}
+
+function articlesAbout(body, topic) {
+  return (
+    body.articles.find(article => article.topic === topic) || {
+      shown: 0,
+      clicked: 0
+    }
+  );
+}
+
+describe("analytics", () => {
+  let user;
+
+  beforeEach(() => {
+    user = messenger.user();
+  });
+
+  it("counts intents and what nothing matched, without the user's id", () => {
+    let before;
+
+    return counts()
+      .then(body => {
+        before = body;
+        return say(user, "Flibbertigibbet quantum 12345678?");
+      })
+      .then(() => say(user, "tell me a joke"))
+      .then(() => counts())
+      .then(after => {
+        assert.strictEqual(after.messages - before.messages, 2);
+        assert.strictEqual(
+          countOf(after.unmatched, "phrase", "flibbertigibbet quantum #"),
+          countOf(before.unmatched, "phrase", "flibbertigibbet quantum #") + 1
+        );
+        assert.strictEqual(
+          countOf(after.intents, "intent", "unmatched") -
+            countOf(before.intents, "intent", "unmatched"),
+          1
+        );
+        assert.strictEqual(
+          countOf(after.intents, "intent", "joke") -
+            countOf(before.intents, "intent", "joke"),
+          1
+        );
+        assert.ok(after.hitRate > 0 && after.hitRate < 1);
+        assert.ok(after.latency.max >= after.latency.average);
+        assert.strictEqual(JSON.stringify(after).indexOf(user), -1);
+      });
+  });
+
+  it("works out read rates from delivery and read watermarks", () => {
+    let before;
+    let sent;
+
+    return counts()
+      .then(body => {
+        before = body;
+        return say(user, "tell me a joke");
+      })
+      .then(messages => {
+        sent = messages.length;
+        return messenger.post(
+          messenger.event(user, {
+            delivery: { mids: [], watermark: Date.now(), seq: 1 }
+          })
+        );
+      })
+      .then(() => messenger.settle())
+      .then(() => counts())
+      .then(after => {
+        assert.strictEqual(
+          after.funnel.delivered - before.funnel.delivered,
+          sent
+        );
+        assert.strictEqual(after.funnel.read, before.funnel.read);
+
+        return messenger.post(
+          messenger.event(user, { read: { watermark: Date.now(), seq: 2 } })
+        );
+      })
+      .then(() => messenger.settle())
+      .then(() => counts())
+      .then(after => {
+        assert.strictEqual(after.funnel.read - before.funnel.read, sent);
+        assert.ok(after.funnel.readRate > 0);
+      });
+  });
+
+  it("counts clicks on stories by topic before going to them", () => {
+    let before;
+    let link;
+
+    return counts()
+      .then(body => {
+        before = articlesAbout(body, "sport/perth-scorchers");
+        return tap(user, "LATEST_SCORCHERS_PAYLOAD");
+      })
+      .then(messages => {
+        const elements = carousel(messages);
+
+        link = url.parse(elements[0].default_action.url);
+        assert.strictEqual(link.host, "bot.example.com");
+        assert.strictEqual(elements[0].buttons[0].url, link.href);
+
+        return request(messenger.app())
+          .get(link.path)
+          .expect(302)
+          .expect("Location", /\/sport\/cricket\/top-story$/);
+      })
+      .then(() => counts())
+      .then(body => {
+        const after = articlesAbout(body, "sport/perth-scorchers");
+
+        assert.strictEqual(after.shown - before.shown, 5);
+        assert.strictEqual(after.clicked - before.clicked, 1);
+      });
+  });
+
+  it("won't redirect links it didn't make", () =>
+    request(messenger.app())
+      .get("/read")
+      .query({ url: "https://example.com", topic: "sport/afl", sig: "0" })
+      .expect(404));
+
+  it("says what's wrong with a report range", () =>
+    report({ from: "last week", limit: 0 })
+      .expect(400)
+      .then(res =>
+        assert.deepStrictEqual(res.body.problems, [
+          "from must be a date, like 2018-11-21",
+          "limit must be a whole number above 0"
+        ])
+      ));
+});
@@ -0,0 +1,148 @@
+/* jshint node: true, mocha: true */
+"use strict";
+
+const assert = require("assert");
+const {
+  ConfigError,
+  loadConfig,
+  validateConfig
+} = require("../lib/configSchema");
+
+const VALID = {
+  appSecret: "secret",
+  validationToken: "token",
+  pageAccessToken: "page-token",
+  serverURL: "https://bot.example.com"
+};
+
+// Just enough of the config package
+function fakeConfig(values) {
+  return {
+    has: key => values[key] !== undefined,
+    get: key => values[key]
+  };
+}
+
+function problemsWith(changes) {
+  return validateConfig(Object.assign({}, VALID, changes));
+}
+
+describe("config schema", () => {
+  it("accepts the four values a single page needs", () =>
+    assert.deepStrictEqual(validateConfig(VALID), []));
+
+  it("names every missing value and its environment variable", () =>
+    assert.deepStrictEqual(validateConfig({ validationToken: "token" }), [
+      "appSecret is missing (or set MESSENGER_APP_SECRET)",
+      "pageAccessToken is missing (or set MESSENGER_PAGE_ACCESS_TOKEN)",
+      "serverURL is missing (or set SERVER_URL)"
+    ]));
+
+  it("names values of the wrong type", () => {
+    assert.deepStrictEqual(
+      problemsWith({
+        serverURL: "bot.example.com",
+        defaultTimezone: "+8",
+        webhook: true,
+        appSecret: ""
+      }),
+      [
+        "appSecret is missing (or set MESSENGER_APP_SECRET)",
+        'serverURL must be an http(s) URL, got "bot.example.com" (or set SERVER_URL)',
+        'defaultTimezone must be a number, got "+8"',
+        "webhook must be an object"
+      ]
+    );
+  });
+
+  it("lets testdrive users start before they know their server URL", () =>
+    assert.deepStrictEqual(
+      problemsWith({ serverURL: "to_be_set_manually" }),
+      []
+    ));
+
+  it("checks each page and doesn't need pageAccessToken with pages", () =>
+    assert.deepStrictEqual(
+      problemsWith({
+        pageAccessToken: undefined,
+        pages: [
+          { id: "1", accessToken: "one" },
+          { id: 1, name: 7 },
+          "page"
+        ]
+      }),
+      [
+        "pages[1].accessToken is missing",
+        "pages[1].name must be a string, got 7",
+        "pages[1].id repeats pages[0].id",
+        "pages[2] must be an object"
+      ]
+    ));
+
+  it("checks each page's joke sponsor", () =>
+    assert.deepStrictEqual(
+      problemsWith({
+        pageAccessToken: undefined,
+        pages: [
+          { id: "1", accessToken: "one", sponsor: "Brought to you by ..." },
+          { id: "2", accessToken: "two", sponsor: false },
+          {
+            id: "3",
+            accessToken: "three",
+            sponsor: [{ footer: "...", from: "2018-11-01" }]
+          },
+          { id: "4", accessToken: "four", sponsor: 7 },
+          { id: "5", accessToken: "five", sponsor: { fotter: "..." } },
+          {
+            id: "6",
+            accessToken: "six",
+            sponsor: [{ footer: "...", until: "next week" }]
+          }
+        ]
+      }),
+      [
+        "pages[3].sponsor must be a footer, a campaign or a list of campaigns, got 7",
+        "pages[4].sponsor.footer is missing",
+        'pages[5].sponsor[0].until must be a date, got "next week"'
+      ]
+    ));
+
+  it("checks the live scores section", () =>
+    assert.deepStrictEqual(problemsWith({ liveScores: "data/scores.json" }), [
+      "liveScores must be an object"
+    ]));
+
+  it("throws a ConfigError listing every problem", () =>
+    assert.throws(
+      () => loadConfig(fakeConfig({ serverURL: "nope" }), {}),
+      error =>
+        error instanceof ConfigError &&
+        error.problems.length === 4 &&
+        /^Invalid config:\n {2}- appSecret is missing/.test(error.message)
+    ));
+
+  it("applies environment variables over the config files", () => {
+    const settings = loadConfig(fakeConfig(VALID), {
+      MESSENGER_PAGE_ACCESS_TOKEN: "from-env"
+    });
+
+    assert.deepStrictEqual(settings.pages, [
+      { id: null, accessToken: "from-env" }
+    ]);
+  });
+
+  it("resolves the pages to talk to", () => {
+    const settings = loadConfig(
+      fakeConfig(
+        Object.assign({}, VALID, {
+          pages: [{ id: 42, accessToken: "one", name: "Page" }]
+        })
+      ),
+      {}
+    );
+
+    assert.deepStrictEqual(settings.pages, [
+      { id: "42", accessToken: "one", name: "Page" }
+    ]);
+  });
+});
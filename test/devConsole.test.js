@@ -0,0 +1,141 @@
+/* jshint node: true, mocha: true */
+"use strict";
+
+const assert = require("assert");
+const request = require("supertest");
+const messenger = require("./support/messenger");
+const { createDevConsole } = require("../lib/devConsole");
+
+function start() {
+  return request(messenger.app())
+    .get("/console/start")
+    .expect(200)
+    .then(res => res.body);
+}
+
+function post(body) {
+  return request(messenger.app())
+    .post("/console/events")
+    .send(body);
+}
+
+function sent(result) {
+  return result.messages.map(
+    messageData => messageData.sender_action || "message"
+  );
+}
+
+describe("developer console", () => {
+  let psid;
+
+  beforeEach(() =>
+    start().then(session => {
+      psid = session.psid;
+    })
+  );
+
+  it("starts a conversation as a new console user", () =>
+    start().then(session => {
+      assert.ok(/^console-[0-9a-f]{16}$/.test(session.psid));
+      assert.notStrictEqual(session.psid, psid);
+      assert.strictEqual(session.profile.get_started.payload, "GET_STARTED");
+      assert.strictEqual(
+        session.profile.persistent_menu[0].call_to_actions.length,
+        4
+      );
+    }));
+
+  it("answers typed text with every Send API call of the reply", () =>
+    post({ psid, text: "what is a yorker" })
+      .expect(200)
+      .then(res => {
+        assert.deepStrictEqual(sent(res.body), [
+          "mark_seen",
+          "typing_on",
+          "message",
+          "typing_off"
+        ]);
+        assert.ok(/batsman's toes/.test(res.body.messages[2].message.text));
+        assert.strictEqual(res.body.messages[2].recipient.id, psid);
+        assert.strictEqual(res.body.cursor, 4);
+      }));
+
+  it("answers quick reply and postback taps", () =>
+    post({ psid, postback: { payload: "GET_STARTED", title: "Get Started" } })
+      .expect(200)
+      .then(res => {
+        const greeting = res.body.messages.find(call => call.message).message;
+
+        assert.ok(/^G'day!/.test(greeting.text));
+        return post({
+          psid,
+          quickReply: { payload: greeting.quick_replies[3].payload }
+        }).expect(200);
+      })
+      .then(res =>
+        assert.ok(
+          /Brought to you by the test suite$/.test(
+            res.body.messages.find(call => call.message).message.text
+          )
+        )
+      ));
+
+  it("doesn't send anything to Facebook", () => {
+    const calls = messenger.graph.calls.length;
+
+    return post({ psid, text: "next match" })
+      .expect(200)
+      .then(() => assert.strictEqual(messenger.graph.calls.length, calls));
+  });
+
+  it("keeps the conversation for later", () =>
+    post({ psid, text: "tell me a joke" })
+      .expect(200)
+      .then(() =>
+        request(messenger.app())
+          .get("/console/messages")
+          .query({ psid, after: 2 })
+          .expect(200)
+      )
+      .then(res => {
+        assert.deepStrictEqual(sent(res.body), ["message", "typing_off"]);
+        assert.strictEqual(res.body.cursor, 4);
+      }));
+
+  it("rejects anything but a console user's text or tap", () =>
+    Promise.all([
+      post({ psid: "1234567890123456", text: "latest" }).expect(400),
+      post({ psid, text: "  " }).expect(400),
+      post({ psid, quickReply: {} }).expect(400),
+      request(messenger.app())
+        .get("/console/messages")
+        .query({ psid: "1234567890123456" })
+        .expect(400)
+    ]));
+
+  it("only keeps the conversations used most recently", () => {
+    let clock = 0;
+    const devConsole = createDevConsole({
+      handler: () => {},
+      users: 2,
+      ttl: 1000,
+      now: () => clock
+    });
+    const say = (user, text) =>
+      devConsole.record({ recipient: { id: user }, message: { text } });
+    const kept = user => devConsole.messages(user).messages.length;
+
+    say("console-a", "one");
+    say("console-b", "two");
+    devConsole.messages("console-a");
+    say("console-c", "three");
+
+    assert.deepStrictEqual(
+      ["console-a", "console-b", "console-c"].map(kept),
+      [1, 0, 1]
+    );
+
+    clock = 2000;
+    assert.strictEqual(kept("console-c"), 0);
+  });
+});
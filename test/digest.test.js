@@ -0,0 +1,226 @@
+/* jshint node: true, mocha: true */
+"use strict";
+
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createDigest } = require("../lib/digest");
+const { createLogger } = require("../lib/logger");
+const { createStore } = require("../lib/stores");
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// Midnight UTC on 21 November 2018
+const MIDNIGHT = Date.parse("2018-11-21T00:00:00Z");
+
+const ARTICLES = [
+  { id: "1", headline: "Top story", url: "https://example.com/1" }
+];
+
+describe("digest", () => {
+  let clock;
+  let sends;
+  let failing;
+
+  function createTestDigest(options) {
+    return createDigest(
+      Object.assign(
+        {
+          store: createStore(),
+          stories: () => Promise.resolve(ARTICLES),
+          send: (id, articles, delivery) => {
+            if (failing) {
+              return Promise.reject(new Error("Outside the messaging window"));
+            }
+
+            sends.push({ id, delivery });
+            return Promise.resolve();
+          },
+          hour: 7,
+          utcOffset: 0,
+          retryDelay: 10 * MINUTE,
+          now: () => clock,
+          log: createLogger({ level: "silent" })
+        },
+        options
+      )
+    );
+  }
+
+  beforeEach(() => {
+    clock = MIDNIGHT;
+    sends = [];
+    failing = false;
+  });
+
+  it("sends at the hour each subscriber picked in their timezone", () => {
+    const digest = createTestDigest();
+
+    // 5am in London, 1pm in Perth
+    clock = Date.parse("2018-11-21T05:00:00Z");
+
+    return Promise.all([
+      digest.subscribe("london", { hour: 7, utcOffset: 0 }),
+      digest.subscribe("perth", { hour: 7, utcOffset: 8 })
+    ])
+      .then(() => {
+        clock = Date.parse("2018-11-21T07:00:00Z");
+        return digest.tick();
+      })
+      .then(count => {
+        assert.strictEqual(count, 1);
+        assert.deepStrictEqual(sends.map(send => send.id), ["london"]);
+
+        // 7am the next day in Perth, 11pm in London
+        clock = Date.parse("2018-11-21T23:00:00Z");
+        return digest.tick();
+      })
+      .then(count => {
+        assert.strictEqual(count, 1);
+        assert.deepStrictEqual(sends.map(send => send.id), [
+          "london",
+          "perth"
+        ]);
+      });
+  });
+
+  it("sends once a day", () => {
+    const digest = createTestDigest();
+
+    return digest
+      .subscribe("alice", { hour: 7 })
+      .then(() => {
+        clock = MIDNIGHT + 7 * HOUR;
+        return digest.tick();
+      })
+      .then(() => {
+        clock += 8 * HOUR;
+        return digest.tick();
+      })
+      .then(count => {
+        assert.strictEqual(count, 0);
+        clock += 16 * HOUR;
+        return digest.seen("alice");
+      })
+      .then(() => digest.tick())
+      .then(count => {
+        assert.strictEqual(count, 1);
+        assert.strictEqual(sends.length, 2);
+      });
+  });
+
+  it("tries a digest that failed again later that day", () => {
+    const digest = createTestDigest();
+
+    return digest
+      .subscribe("alice", { hour: 7 })
+      .then(() => {
+        failing = true;
+        clock = MIDNIGHT + 7 * HOUR;
+        return digest.tick();
+      })
+      .then(count => {
+        assert.strictEqual(count, 0);
+        failing = false;
+        clock += MINUTE;
+        return digest.tick();
+      })
+      .then(count => {
+        assert.strictEqual(count, 0, "retried before the retry delay");
+        clock += 10 * MINUTE;
+        return digest.tick();
+      })
+      .then(count => {
+        assert.strictEqual(count, 1);
+        return digest.get("alice");
+      })
+      .then(subscriber => {
+        assert.strictEqual(subscriber.retryAt, undefined);
+        clock += HOUR;
+        return digest.tick();
+      })
+      .then(count => assert.strictEqual(count, 0));
+  });
+
+  it("only sends outside the messaging window with a message tag", () => {
+    const untagged = createTestDigest();
+    const tagged = createTestDigest({
+      messageTag: "NON_PROMOTIONAL_SUBSCRIPTION"
+    });
+
+    return Promise.all([
+      untagged.subscribe("alice", { hour: 7 }),
+      tagged.subscribe("bob", { hour: 7 })
+    ])
+      .then(() => {
+        clock = MIDNIGHT + 2 * 24 * HOUR + 7 * HOUR;
+        return Promise.all([untagged.tick(), tagged.tick()]);
+      })
+      .then(counts => {
+        assert.deepStrictEqual(counts, [0, 1]);
+        assert.deepStrictEqual(sends, [
+          {
+            id: "bob",
+            delivery: {
+              messagingType: "MESSAGE_TAG",
+              tag: "NON_PROMOTIONAL_SUBSCRIPTION"
+            }
+          }
+        ]);
+      });
+  });
+
+  describe("dry run", () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), "digest-"));
+    });
+
+    afterEach(() => {
+      fs.readdirSync(dir).forEach(file => fs.unlinkSync(path.join(dir, file)));
+      fs.rmdirSync(dir);
+    });
+
+    it("logs each planned digest instead of sending it", () => {
+      const dryRunLog = path.join(dir, "digest-dry-run.log");
+      const digest = createTestDigest({ dryRun: true, dryRunLog });
+
+      return digest
+        .subscribe("alice", { hour: 7, utcOffset: 8 })
+        .then(() => {
+          clock = Date.parse("2018-11-22T07:30:00+08:00");
+          return digest.tick();
+        })
+        .then(count => {
+          const lines = fs
+            .readFileSync(dryRunLog, "utf8")
+            .trim()
+            .split("\n")
+            .map(line => JSON.parse(line));
+
+          assert.strictEqual(count, 1);
+          assert.deepStrictEqual(sends, []);
+          assert.deepStrictEqual(lines, [
+            {
+              time: "2018-11-21T23:30:00.000Z",
+              recipient: "alice",
+              hour: 7,
+              utcOffset: 8,
+              messagingType: "UPDATE",
+              tag: null,
+              articles: [
+                {
+                  id: "1",
+                  headline: "Top story",
+                  url: "https://example.com/1"
+                }
+              ]
+            }
+          ]);
+        });
+    });
+  });
+});
@@ -0,0 +1,155 @@
+/* jshint node: true, mocha: true */
+"use strict";
+
+const assert = require("assert");
+const messenger = require("./support/messenger");
+const { createCurationClient } = require("../lib/curation");
+const { createLogger } = require("../lib/logger");
+
+const { say, textOf } = messenger;
+
+const SORRY = "Sorry, something went wrong there. Please try again.";
+
+describe("errors", () => {
+  let user;
+
+  beforeEach(() => {
+    user = messenger.user();
+  });
+
+  afterEach(() => {
+    messenger.curation.failing = false;
+    messenger.graph.failures.clear();
+  });
+
+  describe("when the curation API is down", () => {
+    beforeEach(() => {
+      messenger.curation.failing = true;
+    });
+
+    it("apologises for a search", () =>
+      say(user, "search for power outages").then(messages =>
+        assert.strictEqual(textOf(messages), SORRY)
+      ));
+
+    it("doesn't log what the user searched for", () => {
+      const lines = [];
+      const log = createLogger({
+        level: "debug",
+        write: line => lines.push(line)
+      });
+      const curation = createCurationClient({
+        baseUrl: messenger.curation.url,
+        log
+      });
+
+      return curation.search("my neighbour's address").then(
+        () => assert.fail("The search worked"),
+        error => {
+          log.error("Couldn't search", { error });
+          assert.ok(lines.length);
+          lines.forEach(line => assert.ok(!/neighbour/.test(line), line));
+        }
+      );
+    });
+
+    it("apologises for a topic's stories", () =>
+      messenger
+        .tap(user, "MORE_STORIES:topic:sport%2Fcricket%2Foutage:2:5")
+        .then(messages => assert.strictEqual(textOf(messages), SORRY)));
+
+    it("says the favourites have no stories", () =>
+      messenger
+        .tap(user, "FAVOURITE_TOGGLE:LATEST_WORLD_PAYLOAD")
+        .then(() => say(user, "latest"))
+        .then(messages =>
+          assert.strictEqual(
+            textOf(messages),
+            "Sorry, I couldn't find any stories about Cricket World Cup."
+          )
+        ));
+
+    it("still answers everything that doesn't need stories", () =>
+      say(user, "what is a yorker").then(messages =>
+        assert.ok(/batsman's toes/.test(textOf(messages)))
+      ));
+  });
+
+  describe("when the Send API fails", () => {
+    function followAndSubscribe() {
+      return say(user, "follow the scorchers").then(() =>
+        say(user, "digest at 7am")
+      );
+    }
+
+    it("drops the subscriptions of a user who blocked the page", () =>
+      followAndSubscribe()
+        .then(() => {
+          messenger.graph.failures.set(user, {
+            message: "This person isn't available right now.",
+            type: "OAuthException",
+            code: 551
+          });
+
+          return say(user, "tell me a joke");
+        })
+        .then(() => messenger.settle())
+        .then(() => {
+          messenger.graph.failures.clear();
+
+          return say(user, "unfollow");
+        })
+        .then(messages =>
+          assert.strictEqual(
+            textOf(messages),
+            "You aren't following any teams or matches."
+          )
+        )
+        .then(() => say(user, "unsubscribe"))
+        .then(messages =>
+          assert.strictEqual(
+            textOf(messages),
+            "You aren't subscribed to the daily digest."
+          )
+        ));
+
+    it("keeps the subscriptions after any other error", () =>
+      followAndSubscribe()
+        .then(() => {
+          messenger.graph.failures.set(user, {
+            message: "Invalid OAuth access token.",
+            type: "OAuthException",
+            code: 190
+          });
+
+          return say(user, "tell me a joke");
+        })
+        .then(() => {
+          messenger.graph.failures.clear();
+
+          return say(user, "unsubscribe");
+        })
+        .then(messages =>
+          assert.strictEqual(
+            textOf(messages),
+            "You won't get the daily digest any more."
+          )
+        ));
+
+    it("carries on with the next message", () => {
+      messenger.graph.failures.set(user, {
+        message: "(#100) Invalid parameter",
+        type: "OAuthException",
+        code: 100
+      });
+
+      return say(user, "tell me a joke")
+        .then(() => {
+          messenger.graph.failures.clear();
+
+          return say(user, "what is a yorker");
+        })
+        .then(messages => assert.ok(/batsman's toes/.test(textOf(messages))));
+    });
+  });
+});
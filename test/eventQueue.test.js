@@ -0,0 +1,309 @@
+/* jshint node: true, mocha: true */
+"use strict";
+
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createEventQueue } = require("../lib/eventQueue");
+const { createLogger } = require("../lib/logger");
+const { createStore } = require("../lib/stores");
+
+const log = createLogger({ level: "silent" });
+
+function memoryStores() {
+  return {
+    jobs: createStore(),
+    deadLetters: createStore(),
+    processed: createStore()
+  };
+}
+
+function fileStores(dir) {
+  return {
+    jobs: createStore({ backend: "file", file: path.join(dir, "queue.json") }),
+    deadLetters: createStore({
+      backend: "file",
+      file: path.join(dir, "dead-letters.json")
+    }),
+    processed: createStore({
+      backend: "file",
+      file: path.join(dir, "processed.json")
+    })
+  };
+}
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/*
+ * Resolve once `check()` is true, polling every few milliseconds
+ *
+ */
+function until(check, description) {
+  const started = Date.now();
+
+  return new Promise((resolve, reject) => {
+    const poll = () => {
+      if (check()) {
+        resolve();
+      } else if (Date.now() - started > 2000) {
+        reject(new Error(`Timed out waiting for ${description}`));
+      } else {
+        setTimeout(poll, 5);
+      }
+    };
+
+    poll();
+  });
+}
+
+describe("event queue", () => {
+  let queues;
+
+  // A queue with memory stores, fast retries and a handler that records
+  // every call, stopped after each test
+  function createQueue(options) {
+    const queue = createEventQueue(
+      Object.assign(
+        { retries: 2, backoff: 5, timeout: 1000, log },
+        memoryStores(),
+        options
+      )
+    );
+
+    queues.push(queue);
+    return queue;
+  }
+
+  beforeEach(() => {
+    queues = [];
+  });
+
+  afterEach(() => queues.forEach(queue => queue.stop()));
+
+  it("handles each sender's events in the order they arrived", () => {
+    const handled = [];
+    const queue = createQueue({
+      concurrency: 2,
+      handler: event =>
+        delay(event.wait).then(() => handled.push(event.name))
+    });
+
+    queue.start();
+
+    return Promise.all([
+      queue.enqueue("1", "alice", { name: "alice 1", wait: 20 }),
+      queue.enqueue("2", "alice", { name: "alice 2", wait: 0 }),
+      queue.enqueue("3", "bob", { name: "bob 1", wait: 0 })
+    ])
+      .then(() => until(() => handled.length === 3, "three events"))
+      .then(() =>
+        assert.deepStrictEqual(handled, ["bob 1", "alice 1", "alice 2"])
+      );
+  });
+
+  it("retries a failed event until it succeeds", () => {
+    let calls = 0;
+    const queue = createQueue({
+      handler: () => {
+        calls += 1;
+        if (calls < 3) {
+          throw new Error("Curation API is down");
+        }
+      }
+    });
+
+    queue.start();
+
+    return queue
+      .enqueue("1", "alice", {})
+      .then(() => until(() => calls === 3, "the third attempt"))
+      .then(() => delay(20))
+      .then(() => Promise.all([queue.pending(), queue.failed()]))
+      .then(([pending, failed]) => {
+        assert.deepStrictEqual(pending, []);
+        assert.deepStrictEqual(failed, []);
+      });
+  });
+
+  it("moves an event that keeps failing to the dead letters", () => {
+    let calls = 0;
+    const queue = createQueue({
+      handler: () => {
+        calls += 1;
+        return Promise.reject(new Error("Still down"));
+      }
+    });
+
+    queue.start();
+
+    return queue
+      .enqueue("1", "alice", { name: "latest" })
+      .then(() => until(() => calls === 3, "every attempt"))
+      .then(() => delay(20))
+      .then(() => Promise.all([queue.pending(), queue.failed()]))
+      .then(([pending, failed]) => {
+        assert.strictEqual(calls, 3);
+        assert.deepStrictEqual(pending, []);
+        assert.strictEqual(failed.length, 1);
+        assert.strictEqual(failed[0].attempts, 3);
+        assert.strictEqual(failed[0].error, "Still down");
+        assert.deepStrictEqual(failed[0].event, { name: "latest" });
+      });
+  });
+
+  it("handles an event id only once", () => {
+    let calls = 0;
+    const queue = createQueue({
+      handler: () => {
+        calls += 1;
+      }
+    });
+
+    queue.start();
+
+    return queue
+      .enqueue("1", "alice", {})
+      .then(queued => {
+        assert.strictEqual(queued, true);
+        return queue.enqueue("1", "alice", {});
+      })
+      .then(queued => assert.strictEqual(queued, false))
+      .then(() => until(() => calls === 1, "the event"))
+      .then(() => delay(20))
+      .then(() => queue.enqueue("1", "alice", {}))
+      .then(queued => {
+        assert.strictEqual(queued, false);
+        assert.strictEqual(calls, 1);
+      });
+  });
+
+  it("queues a redelivery of an event it couldn't store", () => {
+    const stores = memoryStores();
+    const set = stores.jobs.set;
+    let calls = 0;
+    let full = true;
+
+    stores.jobs.set = (id, job) => {
+      if (full) {
+        full = false;
+        return Promise.reject(new Error("Disk full"));
+      }
+      return set(id, job);
+    };
+
+    const queue = createQueue(
+      Object.assign(stores, {
+        handler: () => {
+          calls += 1;
+        }
+      })
+    );
+
+    queue.start();
+
+    return queue
+      .enqueue("1", "alice", {})
+      .then(
+        () => assert.fail("The event was queued"),
+        error => assert.strictEqual(error.message, "Disk full")
+      )
+      .then(() => queue.enqueue("1", "alice", {}))
+      .then(queued => {
+        assert.strictEqual(queued, true);
+        return until(() => calls === 1, "the redelivered event");
+      });
+  });
+
+  it("doesn't handle an event again while a timed-out attempt runs", () => {
+    let calls = 0;
+    let finished = 0;
+    const queue = createQueue({
+      timeout: 30,
+      handler: () => {
+        calls += 1;
+        return delay(50).then(() => {
+          finished += 1;
+        });
+      }
+    });
+
+    queue.start();
+
+    return queue
+      .enqueue("1", "alice", {})
+      .then(() => until(() => finished === 1, "the slow attempt"))
+      .then(() => delay(100))
+      .then(() => Promise.all([queue.pending(), queue.failed()]))
+      .then(([pending, failed]) => {
+        assert.strictEqual(calls, 1);
+        assert.deepStrictEqual(pending, []);
+        assert.deepStrictEqual(failed, []);
+      });
+  });
+
+  it("retries an event whose timed-out attempt then fails", () => {
+    let calls = 0;
+    const queue = createQueue({
+      timeout: 20,
+      handler: () => {
+        calls += 1;
+        if (calls === 1) {
+          return delay(30).then(() => Promise.reject(new Error("Too slow")));
+        }
+      }
+    });
+
+    queue.start();
+
+    return queue
+      .enqueue("1", "alice", {})
+      .then(() => until(() => calls === 2, "the retry"))
+      .then(() => delay(20))
+      .then(() => queue.pending())
+      .then(pending => assert.deepStrictEqual(pending, []));
+  });
+
+  describe("with file stores", () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), "event-queue-"));
+    });
+
+    afterEach(() => {
+      fs.readdirSync(dir).forEach(file => fs.unlinkSync(path.join(dir, file)));
+      fs.rmdirSync(dir);
+    });
+
+    it("handles events left queued when the process stopped", () => {
+      const handled = [];
+      const stopped = createQueue(
+        Object.assign(fileStores(dir), { handler: () => {} })
+      );
+
+      // Queued but never started, as if the process stopped straight after
+      return stopped
+        .enqueue("1", "alice", { name: "latest" })
+        .then(() => {
+          const restarted = createQueue(
+            Object.assign(fileStores(dir), {
+              handler: (event, id) => handled.push([id, event.name])
+            })
+          );
+
+          restarted.start();
+          return until(() => handled.length === 1, "the queued event").then(
+            () => delay(20).then(() => restarted)
+          );
+        })
+        .then(restarted => {
+          assert.deepStrictEqual(handled, [["1", "latest"]]);
+          return restarted.enqueue("1", "alice", { name: "latest" });
+        })
+        .then(queued => assert.strictEqual(queued, false));
+    });
+  });
+});
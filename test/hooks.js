@@ -0,0 +1,9 @@
+/* jshint node: true, mocha: true */
+"use strict";
+
+const messenger = require("./support/messenger");
+
+// One app and one Graph API stub are shared by every test file
+before(() => messenger.start());
+
+after(() => messenger.stop());
@@ -0,0 +1,395 @@
+/* jshint node: true, mocha: true */
+"use strict";
+
+const assert = require("assert");
+const messenger = require("./support/messenger");
+
+const { say, textOf, quickReplyTitles, quickReplyPayloads, carousel } =
+  messenger;
+
+function assertText(messages, pattern) {
+  const text = textOf(messages);
+
+  assert.ok(pattern.test(text), `"${text}" doesn't match ${pattern}`);
+}
+
+describe("intents", () => {
+  let user;
+
+  beforeEach(() => {
+    user = messenger.user();
+  });
+
+  it("falls back to suggestions for anything it doesn't understand", () =>
+    say(user, "hello there").then(messages =>
+      assertText(messages, /^Sorry, I didn't catch that/)
+    ));
+
+  it("ignores case and punctuation", () =>
+    say(user, "What's a YORKER?").then(messages =>
+      assertText(messages, /batsman's toes/)
+    ));
+
+  describe("joke", () => {
+    it("tells a joke with the sponsor footer", () =>
+      say(user, "tell me a joke").then(messages => {
+        assertText(messages, /Brought to you by the test suite$/);
+        assert.deepStrictEqual(quickReplyPayloads(messages[0]), ["JOKE"]);
+      }));
+
+    it("doesn't repeat itself", () =>
+      say(user, "joke")
+        .then(first =>
+          say(user, "another joke").then(second => [first, second])
+        )
+        .then(([first, second]) =>
+          assert.notStrictEqual(textOf(first), textOf(second))
+        ));
+
+    it("owns up to not knowing a joke about something", () =>
+      say(user, "tell me a llama joke").then(messages => {
+        assert.strictEqual(
+          messages[0].text,
+          "I don't know any llama jokes, but here's another one."
+        );
+        assert.strictEqual(messages.length, 2);
+      }));
+  });
+
+  describe("player", () => {
+    it("shows a player's profile", () =>
+      say(user, "tell me about mitchell marsh").then(messages => {
+        assertText(messages, /^Mitchell Marsh is an all-rounder/);
+        assert.deepStrictEqual(
+          carousel(messages)[0].buttons.map(button => button.payload),
+          ["PLAYER_LATEST:mitchell-marsh"]
+        );
+      }));
+
+    it("finds a player by an alias", () =>
+      say(user, "who is bison").then(messages =>
+        assertText(messages, /^Mitchell Marsh/)
+      ));
+
+    it("asks which player when a name is ambiguous", () =>
+      say(user, "tell me about marsh").then(messages =>
+        assert.deepStrictEqual(quickReplyTitles(messages[0]), [
+          "Mitchell Marsh",
+          "Shaun Marsh"
+        ])
+      ));
+
+    it("searches stories for someone it has no profile for", () =>
+      say(user, "who is nobody in particular").then(messages =>
+        assert.strictEqual(
+          carousel(messages)[0].title,
+          "Top story about nobody in particular"
+        )
+      ));
+  });
+
+  describe("followUp", () => {
+    it("shows the latest on the player just mentioned", () =>
+      say(user, "tell me about mitchell marsh")
+        .then(() => say(user, "tell me more"))
+        .then(messages =>
+          assert.strictEqual(
+            carousel(messages)[0].title,
+            "Top story about Mitchell Marsh"
+          )
+        ));
+
+    it("needs something to follow up on", () =>
+      say(user, "tell me more").then(messages =>
+        assertText(messages, /^Sorry, I didn't catch that/)
+      ));
+  });
+
+  describe("explainer", () => {
+    [
+      "what is a yorker",
+      "whats a yorker",
+      "what does yorker mean",
+      "define yorker"
+    ].forEach(text =>
+      it(`explains "${text}"`, () =>
+        say(user, text).then(messages =>
+          assertText(messages, /aimed at the batsman's toes/)
+        ))
+    );
+
+    it("says when it doesn't know a term", () =>
+      say(user, "define zzzz").then(messages =>
+        assertText(messages, /^Sorry, I don't know what "zzzz" means/)
+      ));
+  });
+
+  describe("glossary", () => {
+    it("shows the first page of letters", () =>
+      say(user, "glossary").then(messages => {
+        const titles = quickReplyTitles(messages[0]);
+
+        assert.strictEqual(titles[0], "A");
+        assert.strictEqual(titles[titles.length - 1], "More letters");
+      }));
+
+    it("lists the terms under a letter", () =>
+      say(user, "jargon y").then(messages => {
+        assert.strictEqual(messages[0].text, "Y terms 1-2 of 2. Which one?");
+        assert.deepStrictEqual(quickReplyTitles(messages[0]), [
+          "Yips",
+          "Yorker",
+          "A-Z"
+        ]);
+      }));
+
+    it("offers other letters when one has no terms", () =>
+      say(user, "glossary z").then(messages =>
+        assertText(messages, /^There's nothing under Z in the glossary/)
+      ));
+
+    it("sends a random term", () =>
+      say(user, "random term").then(messages =>
+        assert.deepStrictEqual(quickReplyPayloads(messages[0]), [
+          "RANDOM_TERM",
+          "GLOSSARY_INDEX:1"
+        ])
+      ));
+  });
+
+  describe("term of the day", () => {
+    it("shows today's term with an opt-in", () =>
+      say(user, "word of the day").then(messages => {
+        assertText(messages, /^Today's term is /);
+        assert.deepStrictEqual(quickReplyPayloads(messages[0]), [
+          "TERM_OF_THE_DAY:subscribe"
+        ]);
+      }));
+
+    it("stops sending the term of the day", () =>
+      messenger
+        .tap(user, "TERM_OF_THE_DAY:subscribe")
+        .then(() => say(user, "stop term of the day"))
+        .then(messages =>
+          assert.strictEqual(
+            textOf(messages),
+            "No worries, no more terms of the day."
+          )
+        ));
+
+    it("says when there's nothing to stop", () =>
+      say(user, "cancel the term of the day").then(messages =>
+        assert.strictEqual(
+          textOf(messages),
+          "You're not getting the term of the day."
+        )
+      ));
+  });
+
+  it("offers to link an account", () =>
+    say(user, "my account").then(messages => {
+      const payload = messages[0].attachment.payload;
+
+      assert.strictEqual(
+        payload.text,
+        "Your Messenger isn't linked to an account yet."
+      );
+      assert.deepStrictEqual(payload.buttons, [
+        { type: "account_link", url: "https://bot.example.com/authorize" }
+      ]);
+    }));
+
+  describe("favourites", () => {
+    it("sets favourites from a list of teams and topics", () =>
+      say(user, "I follow the Scorchers and the Ashes and llamas").then(
+        messages => {
+          assert.strictEqual(
+            messages[0].text,
+            "Got it, your favourites are Scorchers and The Ashes. Say " +
+              "\"latest\" for their newest stories. I don't have stories " +
+              "about llamas, sorry."
+          );
+          assert.deepStrictEqual(quickReplyPayloads(messages[0]), [
+            "LATEST",
+            "FAVOURITES"
+          ]);
+        }
+      ));
+
+    it("says when none of them are topics it knows", () =>
+      say(user, "my favourite teams are llamas").then(messages =>
+        assertText(messages, /llamas/)
+      ));
+
+    it("shows favourites ticked for editing", () =>
+      say(user, "i support bbl")
+        .then(() => say(user, "edit my favourites"))
+        .then(messages => {
+          const titles = quickReplyTitles(messages[0]);
+
+          assert.ok(titles.indexOf("✓ Big Bash League") !== -1);
+          assert.ok(titles.indexOf("+ Cricket") !== -1);
+        }));
+
+    it("merges the favourites' stories into latest", () =>
+      say(user, "i like scorchers and ashes")
+        .then(() => say(user, "latest"))
+        .then(messages => {
+          const titles = carousel(messages).map(element => element.title);
+
+          assert.ok(titles.some(title => /scorchers/.test(title)));
+          assert.ok(titles.some(title => /ashes/.test(title)));
+        }));
+
+    it("asks for a topic when there are no favourites", () =>
+      say(user, "what's the latest").then(messages => {
+        assert.strictEqual(messages[0].text, "Select a Topic");
+        assert.strictEqual(
+          quickReplyTitles(messages[0]).pop(),
+          "My favourites"
+        );
+      }));
+  });
+
+  describe("digest", () => {
+    it("asks what time to send it", () =>
+      say(user, "subscribe").then(messages =>
+        assert.deepStrictEqual(quickReplyTitles(messages[0]), [
+          "6am",
+          "7am",
+          "8am",
+          "Midday",
+          "5pm",
+          "8pm"
+        ])
+      ));
+
+    it("subscribes at the time given", () =>
+      say(user, "digest at 7pm").then(messages =>
+        assert.strictEqual(
+          messages[0].text,
+          "Done! I'll send you the top stories every day at 7pm. Tell me " +
+            "your favourite teams to make it yours."
+        )
+      ));
+
+    it("asks again for a time that doesn't exist", () =>
+      say(user, "send me the digest at 25").then(messages =>
+        assertText(messages, /^Sorry, I didn't get that time/)
+      ));
+
+    it("unsubscribes", () =>
+      say(user, "digest at 6am")
+        .then(() => say(user, "stop my digest"))
+        .then(messages =>
+          assert.strictEqual(
+            textOf(messages),
+            "You won't get the daily digest any more."
+          )
+        )
+        .then(() => say(user, "unsubscribe"))
+        .then(messages =>
+          assert.strictEqual(
+            textOf(messages),
+            "You aren't subscribed to the daily digest."
+          )
+        ));
+  });
+
+  describe("search", () => {
+    it("shows the stories found", () =>
+      say(user, "search for ashes").then(messages => {
+        assert.strictEqual(
+          carousel(messages)[0].title,
+          "Top story about ashes"
+        );
+        assert.strictEqual(
+          messenger.curation.requests.slice(-1)[0].idOrKeyword,
+          "ashes"
+        );
+      }));
+
+    it("says when nothing was found", () =>
+      say(user, "news about nothing").then(messages =>
+        assert.strictEqual(
+          textOf(messages),
+          "Sorry, I couldn't find any stories about nothing."
+        )
+      ));
+  });
+
+  describe("follow", () => {
+    it("follows a team's live scores", () =>
+      say(user, "follow the scorchers").then(messages => {
+        assert.strictEqual(
+          messages[0].text,
+          "You're now following Perth Scorchers. I'll message you with " +
+            "wickets, milestones and results while they're playing."
+        );
+        assert.deepStrictEqual(quickReplyPayloads(messages[0]), [
+          "UNFOLLOW:Perth%20Scorchers"
+        ]);
+      }));
+
+    it("unfollows a team", () =>
+      say(user, "follow the scorchers")
+        .then(() => say(user, "stop following the scorchers"))
+        .then(messages => assertText(messages, /Perth Scorchers/))
+        .then(() => say(user, "unfollow scorchers"))
+        .then(messages =>
+          assert.strictEqual(
+            textOf(messages),
+            "You aren't following Perth Scorchers."
+          )
+        ));
+
+    it("unfollows everything", () =>
+      say(user, "follow india")
+        .then(() => say(user, "unfollow"))
+        .then(messages =>
+          assert.strictEqual(
+            textOf(messages),
+            "Done, I won't send you any more live score updates."
+          )
+        )
+        .then(() => say(user, "unfollow"))
+        .then(messages =>
+          assert.strictEqual(
+            textOf(messages),
+            "You aren't following any teams or matches."
+          )
+        ));
+  });
+
+  describe("nextMatch", () => {
+    it("lists the upcoming matches", () =>
+      say(user, "when is the next match").then(messages => {
+        const list = messages[0].attachment.payload;
+
+        assert.strictEqual(list.template_type, "list");
+        assert.deepStrictEqual(
+          list.elements.map(element => element.title),
+          [
+            "Australia v India, First Test",
+            "Perth Scorchers v Sydney Sixers, BBL Match 1"
+          ]
+        );
+      }));
+
+    it("shows a team's next match", () =>
+      say(user, "next game for the scorchers").then(messages =>
+        assert.deepStrictEqual(
+          carousel(messages).map(element => element.title),
+          ["Perth Scorchers v Sydney Sixers, BBL Match 1"]
+        )
+      ));
+
+    it("says when it doesn't know the team", () =>
+      say(user, "next llama match").then(messages =>
+        assert.strictEqual(
+          textOf(messages),
+          "Sorry, I don't know a team or competition called \"llama\"."
+        )
+      ));
+  });
+});
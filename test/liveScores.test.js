@@ -0,0 +1,134 @@
+/* jshint node: true, mocha: true */
+"use strict";
+
+const assert = require("assert");
+const { createLiveScores } = require("../lib/liveScores");
+const { createLogger } = require("../lib/logger");
+
+const MINUTE = 60 * 1000;
+
+function innings(runs, wickets, batsmen) {
+  return { team: "Scorchers", runs, wickets, overs: "10.0", batsmen };
+}
+
+function match(id, status, scorecard) {
+  return {
+    id,
+    teams: ["Scorchers", "Sixers"],
+    status,
+    innings: [scorecard]
+  };
+}
+
+describe("live scores", () => {
+  let clock;
+  let matches;
+  let subscribers;
+  let sent;
+  let liveScores;
+
+  beforeEach(() => {
+    clock = Date.parse("2018-12-20T10:00:00Z");
+    matches = [];
+    subscribers = { BBL01: ["alice", "bob"], BBL02: ["carol"] };
+    sent = [];
+    liveScores = createLiveScores({
+      feed: { load: () => Promise.resolve({ matches }) },
+      subscriptions: {
+        subscribersFor: fixture =>
+          Promise.resolve(subscribers[fixture.id] || [])
+      },
+      send: (id, text) => {
+        sent.push([id, text]);
+        return Promise.resolve();
+      },
+      throttle: MINUTE,
+      now: () => clock,
+      log: createLogger({ level: "silent" })
+    });
+  });
+
+  // Poll the feed with these matches, a few minutes after the last poll
+  function poll(current) {
+    matches = current;
+    clock += 5 * MINUTE;
+    return liveScores.poll();
+  }
+
+  it("only records a match the first time it is seen", () =>
+    poll([match("BBL01", "live", innings(80, 2, []))]).then(() =>
+      assert.deepStrictEqual(sent, [])
+    ));
+
+  it("pushes an update only when the score changes", () =>
+    poll([match("BBL01", "live", innings(80, 2, []))])
+      .then(() => poll([match("BBL01", "live", innings(80, 2, []))]))
+      .then(() => {
+        assert.deepStrictEqual(sent, []);
+        return poll([match("BBL01", "live", innings(84, 3, []))]);
+      })
+      .then(() => {
+        assert.deepStrictEqual(sent.map(([id]) => id).sort(), [
+          "alice",
+          "bob"
+        ]);
+        assert.strictEqual(
+          sent[0][1],
+          "Scorchers v Sixers: WICKET! Scorchers 3/84 (10.0 ov)"
+        );
+        return poll([match("BBL01", "live", innings(84, 3, []))]);
+      })
+      .then(() => assert.strictEqual(sent.length, 2)));
+
+  it("pushes each match's updates to its own subscribers", () =>
+    poll([
+      match("BBL01", "live", innings(80, 2, [{ name: "Marsh", runs: 48 }])),
+      match("BBL02", "live", innings(120, 4, []))
+    ])
+      .then(() =>
+        poll([
+          match(
+            "BBL01",
+            "live",
+            innings(83, 2, [{ name: "Marsh", runs: 51, balls: 33 }])
+          ),
+          Object.assign(match("BBL02", "complete", innings(120, 4, [])), {
+            result: "Sixers won by 6 wickets"
+          })
+        ])
+      )
+      .then(() =>
+        assert.deepStrictEqual(sent.sort(), [
+          ["alice", "Scorchers v Sixers: Marsh brings up 50 off 33 balls!"],
+          ["bob", "Scorchers v Sixers: Marsh brings up 50 off 33 balls!"],
+          ["carol", "Scorchers v Sixers: Result: Sixers won by 6 wickets"]
+        ])
+      ));
+
+  it("sends updates held back by the throttle together", () => {
+    subscribers = { BBL01: ["alice"] };
+
+    // Polls a quarter of a minute apart, within the throttle
+    function pollSoon(current) {
+      matches = current;
+      clock += MINUTE / 4;
+      return liveScores.poll();
+    }
+
+    return poll([match("BBL01", "live", innings(80, 2, []))])
+      .then(() => poll([match("BBL01", "live", innings(80, 3, []))]))
+      .then(() => pollSoon([match("BBL01", "live", innings(81, 4, []))]))
+      .then(() => pollSoon([match("BBL01", "live", innings(81, 5, []))]))
+      .then(() => {
+        assert.strictEqual(sent.length, 1);
+        return poll([match("BBL01", "live", innings(81, 5, []))]);
+      })
+      .then(() =>
+        assert.deepStrictEqual(sent[1], [
+          "alice",
+          "Scorchers v Sixers: WICKET! Scorchers 4/81 (10.0 ov)\n\n" +
+            "Scorchers v Sixers: WICKET! Scorchers 5/81 (10.0 ov)"
+        ])
+      );
+  });
+});
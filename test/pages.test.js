@@ -0,0 +1,164 @@
+/* jshint node: true, mocha: true */
+"use strict";
+
+const assert = require("assert");
+const messenger = require("./support/messenger");
+const { createPageRegistry } = require("../lib/pages");
+const { createStore } = require("../lib/stores");
+
+const { graph, textOf, quickReplyTitles, carousel } = messenger;
+
+const OTHER_PAGE = "OTHER_PAGE_ID";
+
+/*
+ * Events from a user of the second page in config/test.json
+ *
+ */
+function onOtherPage(psid, text, quickReplyPayload) {
+  const messagingEvent = messenger.messageEvent(psid, text, quickReplyPayload);
+
+  messagingEvent.recipient.id = OTHER_PAGE;
+  return messenger.converse(psid, messagingEvent, { page: OTHER_PAGE });
+}
+
+function tokensUsedFor(psid) {
+  return graph.calls
+    .filter(call => call.messageData.recipient.id === psid)
+    .map(call => call.query.access_token)
+    .filter((token, index, tokens) => tokens.indexOf(token) === index);
+}
+
+describe("pages", () => {
+  let user;
+
+  beforeEach(() => {
+    user = messenger.user();
+  });
+
+  it("replies with the token of the page the message arrived on", () =>
+    onOtherPage(user, "tell me a joke")
+      .then(() => {
+        assert.deepStrictEqual(tokensUsedFor(user), [
+          "other-page-access-token"
+        ]);
+
+        const other = messenger.user();
+
+        return messenger.say(other, "tell me a joke").then(() => other);
+      })
+      .then(other =>
+        assert.deepStrictEqual(tokensUsedFor(other), ["test-page-access-token"])
+      ));
+
+  it("keeps using the user's page for later messages", () =>
+    onOtherPage(user, "hello")
+      .then(() =>
+        // From a page that isn't configured, so the user's page is kept
+        messenger.converse(
+          user,
+          messenger.event(user, {
+            recipient: { id: "SOME_OTHER_PAGE" },
+            postback: { mid: messenger.mid(), payload: "JOKE" }
+          }),
+          { page: "SOME_OTHER_PAGE" }
+        )
+      )
+      .then(() =>
+        assert.deepStrictEqual(tokensUsedFor(user), [
+          "other-page-access-token"
+        ])
+      ));
+
+  it("greets users with the page's name", () =>
+    onOtherPage(user, "GET_STARTED", "GET_STARTED").then(messages =>
+      assert.ok(/news from The Other Paper,/.test(messages[0].text))
+    ));
+
+  it("offers the page's own topics", () =>
+    onOtherPage(user, "latest")
+      .then(messages => {
+        assert.deepStrictEqual(quickReplyTitles(messages[0]).slice(0, 2), [
+          "Sheffield Shield",
+          "Warriors"
+        ]);
+        return onOtherPage(user, "Warriors", "LATEST_WARRIORS_PAYLOAD");
+      })
+      .then(messages => {
+        const title = carousel(messages)[0].title;
+
+        assert.ok(/about sport\/western-warriors$/.test(title));
+        return messenger.tap(messenger.user(), "LATEST_WARRIORS_PAYLOAD");
+      })
+      .then(messages =>
+        assert.strictEqual(
+          textOf(messages),
+          "Sorry, that option isn't available any more."
+        )
+      ));
+
+  it("signs jokes off with the page's sponsor", () =>
+    onOtherPage(user, "tell me a joke").then(messages =>
+      assert.ok(/Brought to you by the other page$/.test(textOf(messages)))
+    ));
+});
+
+describe("page registry", () => {
+  function registry(pages) {
+    return createPageRegistry({
+      pages,
+      defaults: { name: "The West" },
+      store: createStore()
+    });
+  }
+
+  it("fills in what a page leaves out from the defaults", () => {
+    const pages = registry([
+      { id: "1", accessToken: "one" },
+      { id: 2, accessToken: "two", name: "Page Two" }
+    ]);
+
+    assert.deepStrictEqual(
+      pages.all().map(page => [page.id, page.name]),
+      [["1", "The West"], ["2", "Page Two"]]
+    );
+  });
+
+  it("falls back to the first page for pages it doesn't know", () => {
+    const pages = registry([
+      { id: "1", accessToken: "one" },
+      { id: "2", accessToken: "two" }
+    ]);
+
+    assert.strictEqual(pages.get("2").accessToken, "two");
+    assert.strictEqual(pages.get("3").accessToken, "one");
+    assert.strictEqual(pages.get(null).accessToken, "one");
+  });
+
+  it("remembers the page each user talks to", () => {
+    const pages = registry([
+      { id: "1", accessToken: "one" },
+      { id: "2", accessToken: "two" }
+    ]);
+
+    return Promise.all([
+      pages.remember({
+        pageId: "2",
+        sender: { id: "100" },
+        recipient: { id: "2" }
+      }),
+      // Echoes are sent by the page to the user
+      pages.remember({
+        sender: { id: "2" },
+        recipient: { id: "200" },
+        message: { is_echo: true }
+      }),
+      pages.remember({ sender: { id: "300" }, recipient: { id: "9" } })
+    ])
+      .then(() =>
+        Promise.all(["100", "200", "300"].map(psid => pages.pageFor(psid)))
+      )
+      .then(found =>
+        assert.deepStrictEqual(found.map(page => page.id), ["2", "2", "1"])
+      );
+  });
+});
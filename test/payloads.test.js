@@ -0,0 +1,317 @@
+/* jshint node: true, mocha: true */
+"use strict";
+
+const assert = require("assert");
+const messenger = require("./support/messenger");
+
+const {
+  tap,
+  postback,
+  say,
+  textOf,
+  quickReplyTitles,
+  quickReplyPayloads,
+  carousel
+} = messenger;
+
+function buttonPayloads(elements) {
+  return elements
+    .reduce((buttons, element) => buttons.concat(element.buttons || []), [])
+    .map(button => button.payload)
+    .filter(Boolean);
+}
+
+describe("payloads", () => {
+  let user;
+
+  beforeEach(() => {
+    user = messenger.user();
+  });
+
+  it("greets a new user from Get Started", () =>
+    postback(user, "GET_STARTED").then(messages => {
+      assert.ok(/^G'day!/.test(messages[0].text));
+      assert.deepStrictEqual(quickReplyPayloads(messages[0]), [
+        "LATEST",
+        "NEXT_MATCH",
+        "JARGON",
+        "JOKE"
+      ]);
+    }));
+
+  describe("stories", () => {
+    it("asks for a topic from Latest", () =>
+      postback(user, "LATEST").then(messages =>
+        assert.strictEqual(messages[0].text, "Select a Topic")
+      ));
+
+    it("shows the full topic menu from All topics", () =>
+      tap(user, "ALL_TOPICS").then(messages =>
+        assert.strictEqual(quickReplyTitles(messages[0])[0], "Cricket")
+      ));
+
+    it("shows a topic's stories with a button for more", () => {
+      let more;
+
+      return tap(user, "LATEST_CRICKET_PAYLOAD")
+        .then(messages => {
+          const elements = carousel(messages);
+
+          assert.strictEqual(
+            elements[0].title,
+            "Top story about sport/cricket"
+          );
+          assert.strictEqual(
+            messenger.curation.requests.slice(-1)[0].topics,
+            "sport/cricket"
+          );
+
+          more = buttonPayloads(elements).find(payload =>
+            /^MORE_STORIES:/.test(payload)
+          );
+          assert.ok(more, "no More stories button");
+
+          return tap(user, more);
+        })
+        .then(messages => {
+          assert.deepStrictEqual(
+            carousel(messages).map(element => element.title),
+            ["Sixth story about sport/cricket"]
+          );
+          assert.strictEqual(
+            textOf(messages),
+            "That's all the stories I have about Cricket for now."
+          );
+        });
+    });
+
+    it("asks for no more stories than a carousel holds", () =>
+      tap(user, "MORE_STORIES:search:ashes:2:20").then(() =>
+        assert.strictEqual(
+          messenger.curation.requests.slice(-1)[0].page_size,
+          "9"
+        )
+      ));
+
+    it("says when a topic has run out of stories", () =>
+      tap(user, "MORE_STORIES:search:ashes:3:5").then(messages =>
+        assert.strictEqual(
+          textOf(messages),
+          "That's all the stories I have about ashes for now."
+        )
+      ));
+  });
+
+  describe("favourites", () => {
+    it("shows every topic to pick from", () =>
+      tap(user, "FAVOURITES").then(messages => {
+        assert.strictEqual(
+          messages[0].text,
+          "Pick the teams and topics you want in \"latest\"."
+        );
+        assert.strictEqual(quickReplyTitles(messages[0]).pop(), "Done");
+      }));
+
+    it("adds and removes a favourite", () =>
+      tap(user, "FAVOURITE_TOGGLE:LATEST_BBL_PAYLOAD")
+        .then(messages => {
+          assert.strictEqual(
+            messages[0].text,
+            "Your favourites are Big Bash League. Tap a topic to add or " +
+              "remove it."
+          );
+          assert.ok(
+            quickReplyTitles(messages[0]).indexOf("✓ Big Bash League") !== -1
+          );
+
+          return tap(user, "FAVOURITE_TOGGLE:LATEST_BBL_PAYLOAD");
+        })
+        .then(messages =>
+          assert.ok(
+            quickReplyTitles(messages[0]).indexOf("+ Big Bash League") !== -1
+          )
+        ));
+
+    it("clears the favourites", () =>
+      tap(user, "FAVOURITE_TOGGLE:LATEST_ASHES_PAYLOAD")
+        .then(() => tap(user, "FAVOURITES_CLEAR"))
+        .then(messages =>
+          assert.ok(
+            quickReplyTitles(messages[0]).indexOf("✓ The Ashes") === -1
+          )
+        )
+        .then(() => tap(user, "FAVOURITES_DONE"))
+        .then(messages =>
+          assert.strictEqual(
+            messages[0].text,
+            "Done! \"Latest\" will ask which topic you want."
+          )
+        ));
+
+    it("sums up the favourites when done", () =>
+      tap(user, "FAVOURITE_TOGGLE:LATEST_IPL_PAYLOAD")
+        .then(() => tap(user, "FAVOURITES_DONE"))
+        .then(messages =>
+          assert.strictEqual(
+            messages[0].text,
+            "Done! \"Latest\" will show you Indian Premier League."
+          )
+        ));
+
+    it("won't toggle a topic that doesn't exist", () =>
+      tap(user, "FAVOURITE_TOGGLE:LATEST_LLAMA_PAYLOAD").then(messages =>
+        assert.ok(/isn't available/.test(textOf(messages)))
+      ));
+  });
+
+  describe("digest", () => {
+    it("asks what time to send it", () =>
+      tap(user, "DIGEST").then(messages =>
+        assert.strictEqual(quickReplyPayloads(messages[0])[0], "DIGEST_HOUR:6")
+      ));
+
+    it("subscribes at the hour tapped", () =>
+      say(user, "i follow the ashes")
+        .then(() => tap(user, "DIGEST_HOUR:12"))
+        .then(messages =>
+          assert.strictEqual(
+            messages[0].text,
+            "Done! I'll send you the top stories about The Ashes every day " +
+              "at midday."
+          )
+        ));
+
+    it("unsubscribes", () =>
+      tap(user, "DIGEST_HOUR:8")
+        .then(() => tap(user, "DIGEST_STOP"))
+        .then(messages =>
+          assert.strictEqual(
+            textOf(messages),
+            "You won't get the daily digest any more."
+          )
+        ));
+  });
+
+  describe("matches", () => {
+    it("lists the next matches", () =>
+      tap(user, "NEXT_MATCH").then(messages =>
+        assert.strictEqual(
+          messages[0].attachment.payload.elements.length,
+          2
+        )
+      ));
+
+    it("follows a match from its Notify me button", () =>
+      postback(user, "NOTIFY:sco-six-bbl-1").then(messages =>
+        assert.strictEqual(
+          textOf(messages),
+          "I'll message you with updates from Perth Scorchers v Sydney " +
+            "Sixers, BBL Match 1. Say \"unfollow\" to stop."
+        )
+      ));
+
+    it("says when a match has gone", () =>
+      postback(user, "NOTIFY:no-such-match").then(messages =>
+        assert.strictEqual(
+          textOf(messages),
+          "Sorry, I can't find that match any more."
+        )
+      ));
+
+    it("unfollows a team from its button", () =>
+      say(user, "follow the scorchers")
+        .then(() => tap(user, "UNFOLLOW:Perth%20Scorchers"))
+        .then(messages =>
+          assert.ok(/Perth Scorchers/.test(textOf(messages)))
+        ));
+  });
+
+  describe("glossary", () => {
+    it("explains jargon and shows the glossary", () =>
+      tap(user, "JARGON").then(messages => {
+        const [intro, letters] = messages;
+
+        assert.ok(/^Ask me about any bit of cricket jargon/.test(intro.text));
+        assert.strictEqual(
+          letters.text,
+          "Pick a letter to browse the glossary."
+        );
+        assert.strictEqual(quickReplyTitles(letters)[0], "A");
+      }));
+
+    it("pages through the letters", () =>
+      tap(user, "GLOSSARY_INDEX:2").then(messages =>
+        assert.strictEqual(quickReplyTitles(messages[0])[0], "M")
+      ));
+
+    it("lists a letter's terms", () =>
+      tap(user, "GLOSSARY:Y:1").then(messages =>
+        assert.deepStrictEqual(quickReplyPayloads(messages[0]), [
+          "EXPLAIN:Yips",
+          "EXPLAIN:Yorker",
+          "GLOSSARY_INDEX:1"
+        ])
+      ));
+
+    it("explains a term", () =>
+      tap(user, "EXPLAIN:Yorker").then(messages =>
+        assert.ok(/batsman's toes/.test(textOf(messages)))
+      ));
+
+    it("sends a random term", () =>
+      tap(user, "RANDOM_TERM").then(messages =>
+        assert.deepStrictEqual(quickReplyTitles(messages[0]), [
+          "Another one",
+          "Glossary A-Z"
+        ])
+      ));
+
+    it("subscribes to and unsubscribes from the term of the day", () =>
+      tap(user, "TERM_OF_THE_DAY:subscribe")
+        .then(messages =>
+          assert.ok(/^Done! I'll send you a new bit/.test(textOf(messages)))
+        )
+        .then(() => tap(user, "TERM_OF_THE_DAY:unsubscribe"))
+        .then(messages =>
+          assert.strictEqual(
+            textOf(messages),
+            "No worries, no more terms of the day."
+          )
+        ));
+  });
+
+  describe("players", () => {
+    it("shows the profile picked", () =>
+      tap(user, "PLAYER:shaun-marsh").then(messages =>
+        assert.ok(/^Shaun Marsh is a batsman/.test(textOf(messages)))
+      ));
+
+    it("shows a player's latest stories", () =>
+      postback(user, "PLAYER_LATEST:mitchell-marsh").then(messages =>
+        assert.strictEqual(
+          carousel(messages)[0].title,
+          "Top story about Mitchell Marsh"
+        )
+      ));
+  });
+
+  it("tells a joke", () =>
+    tap(user, "JOKE").then(messages =>
+      assert.deepStrictEqual(quickReplyTitles(messages[0]), ["Another one"])
+    ));
+
+  it("falls back to the topic registry", () =>
+    postback(user, "LATEST_ASHES_PAYLOAD").then(messages =>
+      assert.ok(carousel(messages))
+    ));
+
+  ["BOGUS", "PLAYER:nobody", "EXPLAIN:Nothing"].forEach(payload =>
+    it(`says "${payload}" isn't available`, () =>
+      tap(user, payload).then(messages =>
+        assert.strictEqual(
+          textOf(messages),
+          "Sorry, that option isn't available any more."
+        )
+      ))
+  );
+});
@@ -0,0 +1,118 @@
+/* jshint node: true, mocha: true */
+"use strict";
+
+const assert = require("assert");
+const messenger = require("./support/messenger");
+const { createSendClient } = require("../lib/sendClient");
+const { createLogger } = require("../lib/logger");
+
+const { say, tap, textOf } = messenger;
+
+const BACKOFF = 50;
+
+describe("send client", () => {
+  let user;
+  let client;
+
+  function send(text) {
+    return client.send({ recipient: { id: user }, message: { text } });
+  }
+
+  beforeEach(() => {
+    user = messenger.user();
+    client = createSendClient({
+      graphApiUrl: messenger.graph.url,
+      accessToken: "test-page-token",
+      retries: 2,
+      backoff: BACKOFF,
+      messagesPerSecond: 1000,
+      log: createLogger({ level: "silent" })
+    });
+  });
+
+  afterEach(() => messenger.graph.failures.clear());
+
+  it("retries a Graph API server error", () => {
+    messenger.graph.failures.set(user, [
+      { status: 503, message: "Service unavailable", code: 2 },
+      { status: 500, message: "Internal error" }
+    ]);
+
+    return send("hello").then(body => {
+      assert.ok(body.message_id);
+      assert.strictEqual(messenger.callsTo(user).length, 3);
+    });
+  });
+
+  it("backs off before retrying when rate limited", () => {
+    const started = Date.now();
+
+    messenger.graph.failures.set(user, [
+      { message: "Calls to this api have exceeded the rate limit", code: 613 },
+      { message: "Calls to this api have exceeded the rate limit", code: 613 }
+    ]);
+
+    return send("hello").then(() => {
+      assert.strictEqual(messenger.callsTo(user).length, 3);
+      // Waits of at least one and then two times the backoff
+      assert.ok(Date.now() - started >= 3 * BACKOFF);
+    });
+  });
+
+  it("gives up once the retries are used up", () => {
+    messenger.graph.failures.set(user, {
+      status: 500,
+      message: "Internal error"
+    });
+
+    return send("hello").then(
+      () => assert.fail("The message was sent"),
+      error => {
+        assert.strictEqual(error.reason, "server_error");
+        assert.strictEqual(error.permanent, false);
+        assert.strictEqual(messenger.callsTo(user).length, 3);
+      }
+    );
+  });
+
+  it("doesn't retry a permanent error", () => {
+    messenger.graph.failures.set(user, {
+      message: "This person isn't available right now.",
+      code: 551
+    });
+
+    return send("hello").then(
+      () => assert.fail("The message was sent"),
+      error => {
+        assert.strictEqual(error.name, "SendError");
+        assert.strictEqual(error.reason, "user_unavailable");
+        assert.strictEqual(error.permanent, true);
+        assert.strictEqual(messenger.callsTo(user).length, 1);
+      }
+    );
+  });
+
+  it("stops the bot's daily messages to a user who blocked the page", () =>
+    tap(user, "TERM_OF_THE_DAY:subscribe")
+      .then(() => {
+        messenger.graph.failures.set(user, {
+          message: "This person isn't available right now.",
+          type: "OAuthException",
+          code: 551
+        });
+
+        return say(user, "tell me a joke");
+      })
+      .then(() => messenger.settle())
+      .then(() => {
+        messenger.graph.failures.clear();
+
+        return say(user, "stop term of the day");
+      })
+      .then(messages =>
+        assert.strictEqual(
+          textOf(messages),
+          "You're not getting the term of the day."
+        )
+      ));
+});
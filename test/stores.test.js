@@ -0,0 +1,38 @@
+/* jshint node: true, mocha: true */
+"use strict";
+
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createStore } = require("../lib/stores");
+
+describe("file store", () => {
+  let dir;
+  let file;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "file-store-"));
+    file = path.join(dir, "store.json");
+  });
+
+  afterEach(() => {
+    fs.readdirSync(dir).forEach(name => fs.unlinkSync(path.join(dir, name)));
+    fs.rmdirSync(dir);
+  });
+
+  it("saves changes made while a write is running", () => {
+    const store = createStore({ backend: "file", file });
+    const ids = Array.from({ length: 20 }, (_, index) => `id${index}`);
+
+    return Promise.all(ids.map(id => store.set(id, 1)))
+      .then(() => store.delete("id0"))
+      .then(() => {
+        const saved = JSON.parse(fs.readFileSync(file, "utf8"));
+
+        assert.deepStrictEqual(Object.keys(saved), ids.slice(1));
+        return createStore({ backend: "file", file }).get("id19");
+      })
+      .then(value => assert.strictEqual(value, 1));
+  });
+});
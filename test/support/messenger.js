@@ -0,0 +1,454 @@
+/* jshint node: true, devel: true */
+"use strict";
+
+const crypto = require("crypto");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const express = require("express");
+const bodyParser = require("body-parser");
+const request = require("supertest");
+
+const curationFixture = require("../fixtures/curation.json");
+
+// How long to wait for the bot to finish replying before failing a test
+const REPLY_TIMEOUT = 5000;
+
+const ROOT = path.join(__dirname, "..", "..");
+
+// Content the admin tests change, copied so the originals are left alone
+const CONTENT_FILES = {
+  jokes: "data/jokes.json",
+  glossary: "data/explainers.json",
+  topics: "data/topics.json",
+  fixtures: "test/fixtures/fixtures.json"
+};
+
+/*
+ * Messenger simulator
+ *
+ * Loads the app without listening, with the Graph API and the curation API
+ * pointed at a local stub server. Webhook events are posted to the app
+ * signed with the app secret from config/test.json, and every Send API call
+ * the app makes is captured by the stub so tests can check the replies.
+ *
+ *   const messenger = require("./support/messenger");
+ *
+ *   messenger.say(user, "tell me a joke").then(messages => ...)
+ *
+ */
+const graph = {
+  // The stub's Graph API base URL, once started
+  url: null,
+  // Every Send API call, in the order they arrived
+  calls: [],
+  // Send API errors to answer with, by recipient PSID: one error answered to
+  // every call, or a list of them answered one per call before calls succeed.
+  // An error's `status` is the HTTP status to answer with, 400 by default.
+  failures: new Map(),
+  // Timezones returned by the user profile lookup, by PSID
+  timezones: new Map()
+};
+
+const curation = {
+  // The stub's curation API base URL, once started
+  url: null,
+  requests: [],
+  failing: false
+};
+
+// The content files the app reads, by name
+const content = {};
+
+let app = null;
+let contentDir = null;
+let stubServer = null;
+let starting = null;
+let lastPsid = 0;
+let lastMid = 0;
+
+function createStub() {
+  const stub = express();
+
+  stub.post("/v2.6/me/messages", bodyParser.json(), (req, res) => {
+    const messageData = req.body;
+    const recipientId = messageData.recipient && messageData.recipient.id;
+    let failure = graph.failures.get(recipientId);
+
+    graph.calls.push({ messageData, query: req.query });
+
+    if (Array.isArray(failure)) {
+      failure = failure.shift();
+    }
+
+    if (failure) {
+      const error = Object.assign({}, failure);
+
+      delete error.status;
+      res.status(failure.status || 400).json({ error });
+      return;
+    }
+
+    res.json({
+      recipient_id: recipientId,
+      message_id: messageData.message ? `m_${graph.calls.length}` : undefined
+    });
+  });
+
+  stub.get("/v2.6/:psid", (req, res) => {
+    const timezone = graph.timezones.get(req.params.psid);
+
+    res.json(timezone === undefined ? { id: req.params.psid } : { timezone });
+  });
+
+  stub.get("/curation/publication", (req, res) => {
+    const query = req.query.topics || req.query.idOrKeyword;
+    const page = Number(req.query.page) || 1;
+    const pageSize = Number(req.query.page_size) || 5;
+
+    curation.requests.push(req.query);
+
+    if (curation.failing) {
+      res.status(500).json({ message: "Curation API is down" });
+      return;
+    }
+
+    // Searches for "nothing" find nothing
+    let documents = [];
+
+    if (query !== "nothing") {
+      documents = curationFixture.documents.map(document =>
+        Object.assign({}, document, {
+          id: `${query}/${document.id}`,
+          homepageHead: `${document.homepageHead} about ${query}`
+        })
+      );
+    }
+
+    res.json({
+      documents: documents.slice((page - 1) * pageSize, page * pageSize),
+      total: documents.length
+    });
+  });
+
+  return stub;
+}
+
+/*
+ * Copy the content files to a temporary directory, resolving to their new
+ * paths by name
+ *
+ */
+function copyContent() {
+  const files = {};
+
+  contentDir = fs.mkdtempSync(path.join(os.tmpdir(), "bot-content-"));
+  Object.keys(CONTENT_FILES).forEach(name => {
+    files[name] = path.join(contentDir, path.basename(CONTENT_FILES[name]));
+    fs.copyFileSync(path.join(ROOT, CONTENT_FILES[name]), files[name]);
+  });
+
+  return files;
+}
+
+function removeContent() {
+  if (contentDir) {
+    fs.readdirSync(contentDir).forEach(file =>
+      fs.unlinkSync(path.join(contentDir, file))
+    );
+    fs.rmdirSync(contentDir);
+    contentDir = null;
+  }
+}
+
+/*
+ * Start the stub server, load the app against it and start the app's
+ * workers. Only done once however often it's called. The app reads its
+ * content from copies, in `content` by name, so tests can change it.
+ *
+ */
+function start() {
+  if (starting) {
+    return starting;
+  }
+
+  starting = new Promise((resolve, reject) => {
+    stubServer = http.createServer(createStub());
+    stubServer.on("error", reject);
+    stubServer.listen(0, "127.0.0.1", () => resolve());
+  }).then(() => {
+    const stubUrl = `http://127.0.0.1:${stubServer.address().port}`;
+    const files = copyContent();
+
+    graph.url = `${stubUrl}/v2.6`;
+    curation.url = `${stubUrl}/curation`;
+    Object.assign(content, files);
+    process.env.NODE_ENV = "test";
+    process.env.GRAPH_API_URL = stubUrl;
+    process.env.NODE_CONFIG = JSON.stringify({
+      curation: { baseUrl: curation.url },
+      topicsFile: files.topics,
+      glossaryFile: files.glossary,
+      jokes: { file: files.jokes },
+      fixtures: { file: files.fixtures }
+    });
+
+    app = require(path.join(ROOT, "app"));
+    app.startWorkers();
+  });
+
+  return starting;
+}
+
+function stop() {
+  if (app) {
+    app.stopWorkers();
+  }
+  removeContent();
+
+  return new Promise(resolve =>
+    stubServer ? stubServer.close(() => resolve()) : resolve()
+  );
+}
+
+/*
+ * A new PSID, so each test talks to the bot as a user it hasn't met
+ *
+ */
+function user() {
+  lastPsid += 1;
+  return String(1000000000000000 + lastPsid);
+}
+
+function mid() {
+  lastMid += 1;
+  return `m_test_${lastMid}`;
+}
+
+function sign(body, algorithm) {
+  return `${algorithm}=${crypto
+    .createHmac(algorithm, "test-app-secret")
+    .update(body)
+    .digest("hex")}`;
+}
+
+/*
+ * POST a webhook callback to the app. `messaging` is one messaging event or
+ * a list of them, sent to the page `options.page` ("PAGE_ID" by default).
+ * The body is signed unless `options.headers` says otherwise; `options.body`
+ * replaces the whole body.
+ *
+ */
+function post(messaging, options) {
+  options = options || {};
+
+  let body = options.body;
+
+  if (body === undefined) {
+    body = JSON.stringify({
+      object: "page",
+      entry: [
+        {
+          id: options.page || "PAGE_ID",
+          time: Date.now(),
+          messaging: [].concat(messaging)
+        }
+      ]
+    });
+  }
+
+  const headers = Object.assign(
+    {
+      "Content-Type": "application/json",
+      "X-Hub-Signature-256": sign(body, "sha256")
+    },
+    options.headers
+  );
+  const req = request(app).post("/webhook");
+
+  Object.keys(headers).forEach(name => {
+    if (headers[name] !== null) {
+      req.set(name, headers[name]);
+    }
+  });
+
+  return req.send(body);
+}
+
+function event(psid, fields) {
+  return Object.assign(
+    {
+      sender: { id: psid },
+      recipient: { id: "PAGE_ID" },
+      timestamp: Date.now()
+    },
+    fields
+  );
+}
+
+function messageEvent(psid, text, quickReplyPayload) {
+  const message = { mid: mid(), text };
+
+  if (quickReplyPayload) {
+    message.quick_reply = { payload: quickReplyPayload };
+  }
+
+  return event(psid, { message });
+}
+
+function postbackEvent(psid, payload) {
+  return event(psid, { postback: { mid: mid(), title: payload, payload } });
+}
+
+/*
+ * The Send API calls made to a user so far
+ *
+ */
+function callsTo(psid) {
+  return graph.calls
+    .map(call => call.messageData)
+    .filter(messageData => messageData.recipient.id === psid);
+}
+
+function messagesTo(psid) {
+  return callsTo(psid)
+    .filter(messageData => messageData.message)
+    .map(messageData => messageData.message);
+}
+
+function typingOffCount(psid) {
+  return callsTo(psid).filter(
+    messageData => messageData.sender_action === "typing_off"
+  ).length;
+}
+
+/*
+ * Resolve once `check()` returns something truthy, polling until it does
+ *
+ */
+function waitFor(check, description) {
+  const started = Date.now();
+
+  return new Promise((resolve, reject) => {
+    const poll = () => {
+      const result = check();
+
+      if (result) {
+        resolve(result);
+      } else if (Date.now() - started > REPLY_TIMEOUT) {
+        reject(new Error(`Timed out waiting for ${description}`));
+      } else {
+        setTimeout(poll, 10);
+      }
+    };
+
+    poll();
+  });
+}
+
+/*
+ * Deliver an event from a user and resolve to the messages the bot sent
+ * them in reply. Every reply ends by turning the typing indicator off, so
+ * that marks the end of the bot's turn. `options` are passed to `post`.
+ *
+ */
+function converse(psid, messagingEvent, options) {
+  const typingOffs = typingOffCount(psid);
+  const messagesBefore = messagesTo(psid).length;
+
+  return post(messagingEvent, options)
+    .then(res => {
+      if (res.status !== 200) {
+        throw new Error(`Webhook answered ${res.status}`);
+      }
+
+      return waitFor(
+        () => typingOffCount(psid) > typingOffs,
+        `the reply to ${JSON.stringify(messagingEvent)}`
+      );
+    })
+    .then(() => messagesTo(psid).slice(messagesBefore));
+}
+
+function say(psid, text) {
+  return converse(psid, messageEvent(psid, text));
+}
+
+function tap(psid, payload) {
+  return converse(psid, messageEvent(psid, payload, payload));
+}
+
+function postback(psid, payload) {
+  return converse(psid, postbackEvent(psid, payload));
+}
+
+/*
+ * Give the event queue time to handle events that get no reply
+ *
+ */
+function settle() {
+  return new Promise(resolve => setTimeout(resolve, 200));
+}
+
+/*
+ * The text of a message, or of the text message in a list of them
+ *
+ */
+function textOf(messages) {
+  return [].concat(messages)
+    .filter(message => message.text)
+    .map(message => message.text)
+    .join("\n");
+}
+
+function quickReplyTitles(message) {
+  return (message.quick_replies || []).map(quickReply => quickReply.title);
+}
+
+function quickReplyPayloads(message) {
+  return (message.quick_replies || []).map(quickReply => quickReply.payload);
+}
+
+/*
+ * The elements of the first generic template (carousel) in a list of
+ * messages, or null if there isn't one
+ *
+ */
+function carousel(messages) {
+  const found = [].concat(messages).find(
+    message =>
+      message.attachment &&
+      message.attachment.payload.template_type === "generic"
+  );
+
+  return found ? found.attachment.payload.elements : null;
+}
+
+module.exports = {
+  start,
+  stop,
+  app: () => app,
+  graph,
+  curation,
+  content,
+  user,
+  mid,
+  sign,
+  post,
+  event,
+  messageEvent,
+  postbackEvent,
+  callsTo,
+  messagesTo,
+  waitFor,
+  converse,
+  say,
+  tap,
+  postback,
+  settle,
+  textOf,
+  quickReplyTitles,
+  quickReplyPayloads,
+  carousel
+};
@@ -0,0 +1,141 @@
+/* jshint node: true, mocha: true */
+"use strict";
+
+const assert = require("assert");
+const { createTermOfTheDay } = require("../lib/termOfTheDay");
+const { createLogger } = require("../lib/logger");
+const { createStore } = require("../lib/stores");
+
+const HOUR = 60 * 60 * 1000;
+
+// 8am on 21 November 2018 in Perth (UTC+8)
+const BEFORE_NINE = Date.parse("2018-11-21T08:00:00+08:00");
+
+describe("term of the day", () => {
+  let clock;
+  let sent;
+  let failing;
+  let termOfTheDay;
+
+  beforeEach(() => {
+    clock = BEFORE_NINE;
+    sent = [];
+    failing = [];
+    termOfTheDay = createTermOfTheDay({
+      glossary: { forDay: day => Promise.resolve({ term: `term ${day}` }) },
+      store: createStore(),
+      send: (id, term) => {
+        if (failing.indexOf(id) !== -1) {
+          return Promise.reject(new Error("The Send API didn't take it"));
+        }
+        sent.push([id, term.term]);
+        return Promise.resolve();
+      },
+      hour: 9,
+      utcOffset: 8,
+      retryDelay: HOUR,
+      now: () => clock,
+      log: createLogger({ level: "silent" })
+    });
+  });
+
+  // Subscribe users the day before, so today's term is due
+  function subscribed(ids) {
+    const today = clock;
+
+    clock -= 24 * HOUR;
+    return Promise.all(ids.map(id => termOfTheDay.subscribe(id))).then(() => {
+      clock = today;
+    });
+  }
+
+  it("sends each subscriber the term once the hour has come", () =>
+    subscribed(["alice", "bob"])
+      .then(() => termOfTheDay.tick())
+      .then(count => {
+        assert.strictEqual(count, 0);
+        clock += HOUR;
+        return termOfTheDay.tick();
+      })
+      .then(count => {
+        assert.strictEqual(count, 2);
+        assert.deepStrictEqual(sent.map(([id]) => id).sort(), [
+          "alice",
+          "bob"
+        ]);
+        assert.strictEqual(sent[0][1], sent[1][1]);
+      }));
+
+  it("doesn't send the term twice on the same day", () =>
+    subscribed(["alice"])
+      .then(() => {
+        clock += HOUR;
+        return termOfTheDay.tick();
+      })
+      .then(() => {
+        clock += 10 * HOUR;
+        return termOfTheDay.tick();
+      })
+      .then(count => {
+        assert.strictEqual(count, 0);
+        clock += 14 * HOUR;
+        return termOfTheDay.tick();
+      })
+      .then(count => {
+        assert.strictEqual(count, 1);
+        assert.strictEqual(sent.length, 2);
+        assert.notStrictEqual(sent[0][1], sent[1][1]);
+      }));
+
+  it("skips users who have unsubscribed", () =>
+    subscribed(["alice", "bob"])
+      .then(() => termOfTheDay.unsubscribe("bob"))
+      .then(unsubscribed => {
+        assert.strictEqual(unsubscribed, true);
+        clock += HOUR;
+        return termOfTheDay.tick();
+      })
+      .then(() => assert.deepStrictEqual(sent.map(([id]) => id), ["alice"])));
+
+  it("starts new subscribers on the next day's term", () =>
+    termOfTheDay
+      .subscribe("alice")
+      .then(() => {
+        clock += HOUR;
+        return termOfTheDay.tick();
+      })
+      .then(count => {
+        assert.strictEqual(count, 0);
+        clock += 24 * HOUR;
+        return termOfTheDay.tick();
+      })
+      .then(count => assert.strictEqual(count, 1)));
+
+  it("tries a term that couldn't be sent again later that day", () =>
+    subscribed(["alice", "bob"])
+      .then(() => {
+        failing = ["alice"];
+        clock += HOUR;
+        return termOfTheDay.tick();
+      })
+      .then(count => {
+        assert.strictEqual(count, 1);
+        failing = [];
+        clock += HOUR / 2;
+        return termOfTheDay.tick();
+      })
+      .then(count => {
+        assert.strictEqual(count, 0);
+        clock += HOUR / 2;
+        return termOfTheDay.tick();
+      })
+      .then(count => {
+        assert.strictEqual(count, 1);
+        assert.deepStrictEqual(sent.map(([id]) => id).sort(), [
+          "alice",
+          "bob"
+        ]);
+        return termOfTheDay.tick();
+      })
+      .then(count => assert.strictEqual(count, 0)));
+});
@@ -0,0 +1,228 @@
+/* jshint node: true, mocha: true */
+"use strict";
+
+const assert = require("assert");
+const request = require("supertest");
+const messenger = require("./support/messenger");
+
+describe("webhook", () => {
+  describe("verification", () => {
+    it("echoes the challenge for the validation token", () =>
+      request(messenger.app())
+        .get("/webhook")
+        .query({
+          "hub.mode": "subscribe",
+          "hub.verify_token": "test-validation-token",
+          "hub.challenge": "challenge-accepted"
+        })
+        .expect(200, "challenge-accepted"));
+
+    it("refuses any other token", () =>
+      request(messenger.app())
+        .get("/webhook")
+        .query({
+          "hub.mode": "subscribe",
+          "hub.verify_token": "wrong",
+          "hub.challenge": "challenge-accepted"
+        })
+        .expect(403));
+  });
+
+  describe("signatures", () => {
+    it("rejects a delivery without a signature", () => {
+      const user = messenger.user();
+
+      return messenger
+        .post(messenger.messageEvent(user, "latest"), {
+          headers: { "X-Hub-Signature-256": null }
+        })
+        .expect(403)
+        .then(() => messenger.settle())
+        .then(() => assert.deepStrictEqual(messenger.callsTo(user), []));
+    });
+
+    it("rejects a malformed signature", () =>
+      messenger
+        .post(messenger.messageEvent(messenger.user(), "latest"), {
+          headers: { "X-Hub-Signature-256": "sha256=not-hex" }
+        })
+        .expect(403));
+
+    it("rejects a signature made with another secret", () =>
+      messenger
+        .post(messenger.messageEvent(messenger.user(), "latest"), {
+          headers: { "X-Hub-Signature-256": `sha256=${"0".repeat(64)}` }
+        })
+        .expect(403));
+
+    it("accepts the older sha1 signature", () => {
+      const user = messenger.user();
+      const body = JSON.stringify({
+        object: "page",
+        entry: [{ messaging: [messenger.messageEvent(user, "joke")] }]
+      });
+
+      return messenger
+        .post(null, {
+          body,
+          headers: {
+            "X-Hub-Signature-256": null,
+            "X-Hub-Signature": messenger.sign(body, "sha1")
+          }
+        })
+        .expect(200)
+        .then(() =>
+          messenger.waitFor(
+            () => messenger.messagesTo(user).length,
+            "the joke"
+          )
+        );
+    });
+
+    it("answers 400 to a body that isn't JSON", () =>
+      messenger.post(null, { body: "{not json" }).expect(400));
+  });
+
+  it("acknowledges callbacks for objects other than pages", () =>
+    messenger
+      .post(null, { body: JSON.stringify({ object: "instagram", entry: [] }) })
+      .expect(200));
+
+  it("answers every event in a batch", () => {
+    const first = messenger.user();
+    const second = messenger.user();
+
+    return messenger
+      .post([
+        messenger.messageEvent(first, "what is a yorker"),
+        messenger.postbackEvent(second, "GET_STARTED")
+      ])
+      .expect(200)
+      .then(() =>
+        messenger.waitFor(
+          () =>
+            messenger.messagesTo(first).length &&
+            messenger.messagesTo(second).length,
+          "both replies"
+        )
+      )
+      .then(() => {
+        const explained = messenger.textOf(messenger.messagesTo(first));
+        const greeted = messenger.textOf(messenger.messagesTo(second));
+
+        assert.ok(/toes/.test(explained));
+        assert.ok(/G'day/.test(greeted));
+      });
+  });
+
+  it("handles a message delivered twice only once", () => {
+    const user = messenger.user();
+    const event = messenger.messageEvent(user, "tell me a joke");
+
+    return messenger
+      .converse(user, event)
+      .then(() => messenger.post(event).expect(200))
+      .then(() => messenger.settle())
+      .then(() => assert.strictEqual(messenger.messagesTo(user).length, 1));
+  });
+
+  it("marks the message seen and shows typing around every reply", () => {
+    const user = messenger.user();
+
+    return messenger.say(user, "what is a yorker").then(() =>
+      assert.deepStrictEqual(
+        messenger
+          .callsTo(user)
+          .map(call => call.sender_action || "message"),
+        ["mark_seen", "typing_on", "message", "typing_off"]
+      )
+    );
+  });
+
+  describe("events", () => {
+    it("confirms an opt-in from the Send to Messenger plugin", () => {
+      const user = messenger.user();
+
+      return messenger
+        .post(messenger.event(user, { optin: { ref: "PASS_THROUGH" } }))
+        .expect(200)
+        .then(() =>
+          messenger.waitFor(
+            () => messenger.messagesTo(user).length,
+            "the opt-in reply"
+          )
+        )
+        .then(() =>
+          assert.strictEqual(
+            messenger.textOf(messenger.messagesTo(user)),
+            "Authentication successful"
+          )
+        );
+    });
+
+    it("answers a quick reply by its payload", () =>
+      messenger
+        .tap(messenger.user(), "EXPLAIN:Yorker")
+        .then(messages =>
+          assert.ok(/toes/.test(messenger.textOf(messages)))
+        ));
+
+    it("answers a postback by its payload", () =>
+      messenger
+        .postback(messenger.user(), "GET_STARTED")
+        .then(messages =>
+          assert.deepStrictEqual(
+            messenger.quickReplyTitles(messages[0]),
+            ["Latest", "Next match", "Jargon", "Joke"]
+          )
+        ));
+
+    it("acknowledges an attachment", () => {
+      const user = messenger.user();
+
+      return messenger
+        .converse(
+          user,
+          messenger.event(user, {
+            message: {
+              mid: messenger.mid(),
+              attachments: [
+                { type: "image", payload: { url: "https://example.com/a.png" } }
+              ]
+            }
+          })
+        )
+        .then(messages =>
+          assert.strictEqual(
+            messenger.textOf(messages),
+            "Message with attachment received"
+          )
+        );
+    });
+
+    ["delivery", "read", "echo", "unknown"].forEach(kind => {
+      it(`doesn't reply to ${kind} events`, () => {
+        const user = messenger.user();
+        const fields = {
+          delivery: { delivery: { mids: ["m_1"], watermark: 1, seq: 1 } },
+          read: { read: { watermark: 1, seq: 1 } },
+          echo: {
+            message: {
+              mid: messenger.mid(),
+              is_echo: true,
+              app_id: 1,
+              text: "latest"
+            }
+          },
+          unknown: { reaction: { reaction: "like" } }
+        }[kind];
+
+        return messenger
+          .post(messenger.event(user, fields))
+          .expect(200)
+          .then(() => messenger.settle())
+          .then(() => assert.deepStrictEqual(messenger.callsTo(user), []));
+      });
+    });
+  });
+});